@@ -0,0 +1,179 @@
+/**
+ * @module ApiAuth
+ *
+ * The ApiAuth module authenticates and authorizes the requests to the /v1/api routes. Requests are authenticated with a
+ * bearer token in the Authorization header, or with an HMAC-SHA256 signature in the X-Optimizely-Signature header.
+ * Credentials are read from environment secrets and grant one of two scopes:
+ * - read: GET and HEAD requests.
+ * - write: every request. The write credentials also grant the read scope.
+ * Each secret may contain several comma-separated values to rotate credentials without downtime. When no credentials
+ * are configured, every request to the API is rejected.
+ *
+ * Signed requests send the Unix timestamp in seconds in the X-Optimizely-Timestamp header, and the hex encoded
+ * HMAC-SHA256 of "timestamp.METHOD.path.body" in the X-Optimizely-Signature header, optionally prefixed with "sha256=".
+ * The path includes the query string. Signatures older than apiSignatureToleranceSeconds are rejected.
+ *
+ * The following methods are implemented:
+ * - getRequiredScope(method) - Returns the scope required by an HTTP method.
+ * - authenticateApiRequest(request, abstractionHelper, logger, defaultSettings) - Authenticates and authorizes an API
+ *   request.
+ */
+
+import { computeHmac, splitAndTrimArray, timingSafeEqual } from '../_helpers_/optimizelyHelper';
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Returns the scope required by an HTTP method.
+ * @param {string} method - The HTTP method of the request.
+ * @returns {string} - "read" for GET and HEAD requests, "write" otherwise.
+ */
+export function getRequiredScope(method) {
+	return READ_METHODS.includes(method) ? 'read' : 'write';
+}
+
+/**
+ * Reads the comma-separated values of an environment secret.
+ * @param {object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {string} name - The name of the secret.
+ * @returns {Promise<string[]>} - The values of the secret, or an empty array if it is not set.
+ */
+async function getSecretValues(abstractionHelper, name) {
+	try {
+		const value = await abstractionHelper.getEnvVariableValue(name);
+		return splitAndTrimArray(typeof value === 'string' ? value : '').filter((secret) => secret !== '');
+	} catch (error) {
+		return [];
+	}
+}
+
+/**
+ * Reads the credentials of the read and write scopes.
+ * @param {object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {object} defaultSettings - The default settings object containing the names of the secrets.
+ * @returns {Promise<object>} - The bearer tokens and HMAC secrets of each scope.
+ */
+async function getCredentials(abstractionHelper, defaultSettings) {
+	return {
+		read: {
+			tokens: await getSecretValues(abstractionHelper, defaultSettings.apiReadTokenSecret),
+			hmacSecrets: await getSecretValues(abstractionHelper, defaultSettings.apiReadHmacSecret),
+		},
+		write: {
+			tokens: await getSecretValues(abstractionHelper, defaultSettings.apiWriteTokenSecret),
+			hmacSecrets: await getSecretValues(abstractionHelper, defaultSettings.apiWriteHmacSecret),
+		},
+	};
+}
+
+/**
+ * Verifies the HMAC signature of a request against a list of secrets.
+ * @param {Request} request - The incoming request.
+ * @param {string} signature - The hex encoded signature sent by the client.
+ * @param {string} timestamp - The timestamp sent by the client.
+ * @param {string[]} secrets - The HMAC secrets.
+ * @param {object} abstractionHelper - The abstraction helper to read the request.
+ * @returns {Promise<boolean>} - True if the signature matches one of the secrets.
+ */
+async function verifySignature(request, signature, timestamp, secrets, abstractionHelper) {
+	if (secrets.length === 0) return false;
+	const url = abstractionHelper.abstractRequest.getNewURL(request.url);
+	const method = abstractionHelper.abstractRequest.getHttpMethodFromRequest(request);
+	// The body is read from a clone so that the route handler can still read it
+	const body = READ_METHODS.includes(method) ? '' : await request.clone().text();
+	const message = `${timestamp}.${method}.${url.pathname}${url.search}.${body}`;
+	for (const secret of secrets) {
+		if (timingSafeEqual(await computeHmac(secret, message), signature)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Creates the JSON response returned when a request is not authenticated or not authorized.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {number} status - 401 when the request is not authenticated, 403 when it lacks the required scope.
+ * @param {string} message - The error message.
+ * @returns {Response} - The error response.
+ */
+function createAuthErrorResponse(abstractionHelper, status, message) {
+	const headers = { 'Content-Type': 'application/json' };
+	if (status === 401) {
+		headers['WWW-Authenticate'] = 'Bearer realm="optimizely-edge-agent-api"';
+	}
+	const error = status === 401 ? 'unauthorized' : 'forbidden';
+	return abstractionHelper.createResponse({ error, message }, status, headers);
+}
+
+/**
+ * Authenticates and authorizes an API request. Requests without valid credentials are rejected with a 401 response,
+ * and requests whose credentials do not grant the scope required by the HTTP method are rejected with a 403 response.
+ * @param {Request} request - The incoming request.
+ * @param {object} abstractionHelper - The abstraction helper to read the request and create responses.
+ * @param {object} logger - The logger object.
+ * @param {object} defaultSettings - The default settings object containing the authentication settings.
+ * @returns {Promise<object>} - { authorized: true, scope } if the request is allowed, or { authorized: false, response }
+ *   with the error response to return.
+ */
+export async function authenticateApiRequest(request, abstractionHelper, logger, defaultSettings) {
+	const method = abstractionHelper.abstractRequest.getHttpMethodFromRequest(request);
+	const requiredScope = getRequiredScope(method);
+	const credentials = await getCredentials(abstractionHelper, defaultSettings);
+	const reject = (status, message) => {
+		logger.debug(`API Auth - Request rejected with status ${status} [authenticateApiRequest]: ${message}`);
+		return { authorized: false, response: createAuthErrorResponse(abstractionHelper, status, message) };
+	};
+
+	const configured = [credentials.read, credentials.write].some(
+		({ tokens, hmacSecrets }) => tokens.length > 0 || hmacSecrets.length > 0
+	);
+	if (!configured) {
+		logger.error('API Auth - No API credentials are configured, the /v1/api routes are disabled');
+		return reject(401, 'API authentication is not configured.');
+	}
+
+	let grantedScope;
+	const authorization = abstractionHelper.abstractRequest.getHeaderFromRequest(request, 'Authorization') || '';
+	const signatureHeader = abstractionHelper.abstractRequest.getHeaderFromRequest(
+		request,
+		defaultSettings.apiSignatureHeader
+	);
+
+	if (signatureHeader) {
+		const timestamp = abstractionHelper.abstractRequest.getHeaderFromRequest(
+			request,
+			defaultSettings.apiTimestampHeader
+		);
+		const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+		if (!timestamp || !Number.isFinite(age) || age > defaultSettings.apiSignatureToleranceSeconds) {
+			return reject(401, `Missing or expired ${defaultSettings.apiTimestampHeader} header.`);
+		}
+		const signature = signatureHeader
+			.trim()
+			.replace(/^sha256=/i, '')
+			.toLowerCase();
+		if (await verifySignature(request, signature, timestamp, credentials.write.hmacSecrets, abstractionHelper)) {
+			grantedScope = 'write';
+		} else if (await verifySignature(request, signature, timestamp, credentials.read.hmacSecrets, abstractionHelper)) {
+			grantedScope = 'read';
+		}
+	} else if (/^Bearer\s+/i.test(authorization)) {
+		const token = authorization.replace(/^Bearer\s+/i, '').trim();
+		if (credentials.write.tokens.some((secret) => timingSafeEqual(secret, token))) {
+			grantedScope = 'write';
+		} else if (credentials.read.tokens.some((secret) => timingSafeEqual(secret, token))) {
+			grantedScope = 'read';
+		}
+	} else {
+		return reject(401, 'Missing credentials. Use a bearer token or an HMAC signature.');
+	}
+
+	if (!grantedScope) {
+		return reject(401, 'Invalid credentials.');
+	}
+	if (requiredScope === 'write' && grantedScope !== 'write') {
+		return reject(403, `The credentials do not grant the ${requiredScope} scope required by ${method} requests.`);
+	}
+	return { authorized: true, scope: grantedScope };
+}
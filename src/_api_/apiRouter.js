@@ -2,18 +2,35 @@
  * @module ApiRouter
  *
  * The ApiRouter module is responsible for routing the incoming requests to the appropriate handlers. The APIRouter only handles requests
- * that are related to the API. Specifically for updating and retrieving datafiles and flag keys in the KV store of the CDN provider.
+ * that are related to the API. Specifically for updating and retrieving datafiles, flag keys and variation changes in the
+ * KV store of the CDN provider. Every request is authenticated and authorized before it is routed, see ApiAuth, except
+ * the webhook routes, whose handlers verify the signature of the delivery.
  *
  * The following methods are implemented:
  * - apiRouter(request, abstractionHelper, kvStore, logger, defaultSettings) - Manually handle routing based on URL and method.
  * - handleRequest(request, abstractionHelper, kvStore, logger, defaultSettings) - Handle incoming requests using the manual routing function.
  */
 
+import { authenticateApiRequest } from './apiAuth';
 // Define your route handlers as before
-import { handleDatafile, handleGetDatafile } from './handlers/datafile';
+import {
+	handleDatafile,
+	handleGetDatafile,
+	handleGetDatafileRevisions,
+	handleGetDatafileRevision,
+	handleRollbackDatafile,
+} from './handlers/datafile';
 import { handleFlagKeys, handleGetFlagKeys } from './handlers/flagKeys';
 import handleSDK from './handlers/sdk';
-import handleVariationChanges from './handlers/variationChanges';
+import {
+	handleVariationChanges,
+	handleGetVariationChanges,
+	handleDeleteVariationChanges,
+} from './handlers/variationChanges';
+import { handleDatafileWebhook } from './handlers/webhook';
+
+// Routes called by Optimizely webhooks, authenticated by the signature of the delivery instead of API credentials
+const WEBHOOK_ROUTES = ['/v1/api/webhooks/datafile'];
 
 /**
  * Manually handle routing based on URL and method.
@@ -31,6 +48,15 @@ async function apiRouter(request, abstractionHelper, kvStore, logger, defaultSet
 			GET: handleGetDatafile,
 			POST: handleDatafile,
 		},
+		'/v1/api/datafiles/:key/revisions': {
+			GET: handleGetDatafileRevisions,
+		},
+		'/v1/api/datafiles/:key/revisions/:revision_id': {
+			GET: handleGetDatafileRevision,
+		},
+		'/v1/api/datafiles/:key/rollback': {
+			POST: handleRollbackDatafile,
+		},
 		'/v1/api/flag_keys': {
 			POST: handleFlagKeys,
 			GET: handleGetFlagKeys,
@@ -38,9 +64,13 @@ async function apiRouter(request, abstractionHelper, kvStore, logger, defaultSet
 		'/v1/api/sdk/:sdk_url': {
 			GET: handleSDK,
 		},
-		'/v1/api/variation_changes/:experiment_id/:api_token': {
-			GET: handleVariationChanges,
+		'/v1/api/variation_changes/:experiment_id': {
+			GET: handleGetVariationChanges,
 			POST: handleVariationChanges,
+			DELETE: handleDeleteVariationChanges,
+		},
+		'/v1/api/webhooks/datafile': {
+			POST: handleDatafileWebhook,
 		},
 	};
 
@@ -58,6 +88,13 @@ async function apiRouter(request, abstractionHelper, kvStore, logger, defaultSet
 				});
 			}
 
+			if (!WEBHOOK_ROUTES.includes(route)) {
+				const auth = await authenticateApiRequest(request, abstractionHelper, logger, defaultSettings);
+				if (!auth.authorized) {
+					return auth.response;
+				}
+			}
+
 			const result = routes[route][method](request, abstractionHelper, kvStore, logger, defaultSettings, params);
 			logger.debug('ApiRouter: Handled request for URL ', url.href, '- Method:', method);
 			return result;
@@ -6,10 +6,24 @@
  *
  * The following methods are implemented:
  * - handleDatafile(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Fetches and updates the Optimizely datafile based on the provided datafile key.
+ *   The datafile of a secure environment is fetched with the access token of the X-Optimizely-Datafile-Access-Token
+ *   header or of the OPTIMIZELY_DATAFILE_ACCESS_TOKEN secret.
  * - handleGetDatafile(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Retrieves the current Optimizely SDK datafile from KV storage.
+ * - handleGetDatafileRevisions(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Lists the stored revisions of a datafile.
+ * - handleGetDatafileRevision(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Retrieves a specific revision of a datafile.
+ * - handleRollbackDatafile(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Rolls the datafile back to a previous revision.
  */
 
 import { AbstractRequest } from '../../_helpers_/abstraction-classes/abstractRequest';
+import {
+	getCurrentDatafile,
+	getDatafileRevision,
+	listDatafileRevisions,
+	rollbackDatafile,
+	storeDatafileRevision,
+} from '../../_helpers_/datafileRevisions';
+import { validateDatafile } from '../../_helpers_/datafileValidator';
+import { getDatafileAccessToken, getDatafileRequestHeaders, getDatafileUrl } from '../../_helpers_/optimizelyHelper';
 
 /**
  * Fetches and updates the Optimizely datafile based on the provided datafile key.
@@ -30,7 +44,12 @@ const handleDatafile = async (request, abstractionHelper, kvStore, logger, defau
 	}
 
 	const datafileKey = params.key;
-	const datafileUrl = `https://cdn.optimizely.com/datafiles/${datafileKey}.json`;
+	// Datafiles of secure environments are fetched from the authenticated endpoint
+	const accessToken = await getDatafileAccessToken(
+		abstractionHelper,
+		abstractionHelper.abstractRequest.getHeaderFromRequest(request, defaultSettings.datafileAccessTokenHeader)
+	);
+	const datafileUrl = getDatafileUrl(datafileKey, accessToken);
 	logger.debug('API Router - Datafile URL:', datafileUrl);
 
 	/**
@@ -48,14 +67,35 @@ const handleDatafile = async (request, abstractionHelper, kvStore, logger, defau
 
 	try {
 		logger.debug('API Router - Fetching datafile [fetchRequest]');
-		const datafileResponse = await AbstractRequest.fetchRequest(datafileUrl);
+		const datafileResponse = await AbstractRequest.fetchRequest(datafileUrl, {
+			headers: getDatafileRequestHeaders(accessToken),
+		});
 		logger.debugExt('API Router - Datafile response:', datafileResponse);
+		if (!datafileResponse.ok) {
+			// A missing or invalid access token of a secure environment is rejected with 401 or 403
+			logger.error('API Router - Error fetching the datafile:', datafileResponse.status);
+			return abstractionHelper.createResponse(
+				{ message: `Error fetching the datafile of ${datafileKey}.`, status: datafileResponse.status },
+				502
+			);
+		}
 		const jsonString = await processResponse(datafileResponse);
-		await kvStore.put(datafileKey, jsonString);
-		const kvDatafile = await kvStore.get(datafileKey);
+
+		// A corrupt or truncated datafile is rejected and never replaces the current revision
+		const validation = validateDatafile(jsonString);
+		if (!validation.valid) {
+			logger.error('API Router - Invalid datafile, not stored:', JSON.stringify(validation.errors));
+			return abstractionHelper.createResponse(
+				{ message: `Invalid datafile for Key: ${datafileKey}`, errors: validation.errors },
+				422
+			);
+		}
+		const revision = await storeDatafileRevision(kvStore, datafileKey, jsonString, 'api');
+		const kvDatafile = await getCurrentDatafile(kvStore, datafileKey);
 
 		const responseObject = {
 			message: `Datafile updated to Key: ${datafileKey}`,
+			revision,
 			datafile: kvDatafile,
 		};
 
@@ -89,7 +129,7 @@ const handleGetDatafile = async (request, abstractionHelper, kvStore, logger, de
 
 	try {
 		// const datafile = await kvStore.get(defaultSettings.kv_key_optly_sdk_datafile);
-		const datafile = await kvStore.get(datafileKey);
+		const datafile = await getCurrentDatafile(kvStore, datafileKey);
 		logger.debugExt('API Router - Datafile:', datafile);
 
 		if (!datafile) {
@@ -103,5 +143,104 @@ const handleGetDatafile = async (request, abstractionHelper, kvStore, logger, de
 	}
 };
 
-// Export both functions using named exports
-export { handleDatafile, handleGetDatafile };
+/**
+ * Lists the stored revisions of a datafile, newest first, with the pointer to the current revision.
+ * @param {Request} request - The incoming request object.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @param {object} params - The route parameters, including the SDK key.
+ * @returns {Promise<Response>} - A promise that resolves to the response containing the revisions.
+ */
+const handleGetDatafileRevisions = async (request, abstractionHelper, kvStore, logger, defaultSettings, params) => {
+	logger.debug('API Router - Handling datafile revisions via GET [handleGetDatafileRevisions]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'GET') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
+	}
+
+	try {
+		const { current, revisions } = await listDatafileRevisions(kvStore, params.key);
+		return abstractionHelper.createResponse({ sdkKey: params.key, current, revisions }, 200, {
+			'Content-Type': 'application/json',
+		});
+	} catch (error) {
+		logger.error('Error retrieving the datafile revisions:', error.message);
+		return abstractionHelper.createResponse('Error retrieving datafile revisions', 500);
+	}
+};
+
+/**
+ * Retrieves a specific revision of a datafile.
+ * @param {Request} request - The incoming request object.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @param {object} params - The route parameters, including the SDK key and the revision ID.
+ * @returns {Promise<Response>} - A promise that resolves to the response containing the datafile revision.
+ */
+const handleGetDatafileRevision = async (request, abstractionHelper, kvStore, logger, defaultSettings, params) => {
+	logger.debug('API Router - Handling datafile revision via GET [handleGetDatafileRevision]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'GET') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
+	}
+
+	try {
+		const datafile = await getDatafileRevision(kvStore, params.key, params.revision_id);
+		if (!datafile) {
+			return abstractionHelper.createResponse('Datafile revision not found', 404);
+		}
+		return abstractionHelper.createResponse(datafile, 200, { 'Content-Type': 'application/json' });
+	} catch (error) {
+		logger.error('Error retrieving the datafile revision:', error.message);
+		return abstractionHelper.createResponse('Error retrieving datafile revision', 500);
+	}
+};
+
+/**
+ * Rolls the datafile back to a previous revision. The revision ID is read from the revisionId property of the JSON
+ * body. Without a revision ID, the datafile is rolled back to the revision before the current one.
+ * @param {Request} request - The incoming request object.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @param {object} params - The route parameters, including the SDK key.
+ * @returns {Promise<Response>} - A promise that resolves to the response containing the new current revision.
+ */
+const handleRollbackDatafile = async (request, abstractionHelper, kvStore, logger, defaultSettings, params) => {
+	logger.debug('API Router - Handling datafile rollback via POST [handleRollbackDatafile]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'POST') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
+	}
+
+	try {
+		const requestBody = await AbstractRequest.readRequestBody(request);
+		const revisionId = requestBody && typeof requestBody === 'object' ? requestBody.revisionId : undefined;
+		const current = await rollbackDatafile(kvStore, params.key, revisionId);
+		if (!current) {
+			return abstractionHelper.createResponse(
+				{ message: `No datafile revision to roll back to for Key: ${params.key}` },
+				404
+			);
+		}
+		return abstractionHelper.createResponse(
+			{ message: `Datafile rolled back to revision ${current.id} for Key: ${params.key}`, current },
+			200,
+			{ 'Content-Type': 'application/json' }
+		);
+	} catch (error) {
+		logger.error('Error rolling back the datafile:', error.message);
+		return abstractionHelper.createResponse(`Error rolling back datafile: ${error.message}`, 500);
+	}
+};
+
+// Export the functions using named exports
+export {
+	handleDatafile,
+	handleGetDatafile,
+	handleGetDatafileRevisions,
+	handleGetDatafileRevision,
+	handleRollbackDatafile,
+};
@@ -1,59 +1,218 @@
 /**
  * @module VariationChanges
+ *
+ * The VariationChanges module is responsible for handling the variation changes API.
+ * It fetches the changes of every variation of an experiment from the Optimizely REST API and stores them in the KV
+ * store of the CDN provider, keyed by experiment ID and variation key, so that the agent can apply the changes of the
+ * decided variation. The Optimizely API token is read from the X-Optimizely-API-Token header.
+ *
+ * The following methods are implemented:
+ * - handleVariationChanges(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Fetches the changes of
+ *   every variation of an experiment and stores them in the KV store.
+ * - handleGetVariationChanges(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Retrieves the
+ *   stored changes of every variation of an experiment.
+ * - handleDeleteVariationChanges(request, abstractionHelper, kvStore, logger, defaultSettings, params) - Removes the
+ *   stored changes of every variation of an experiment.
  */
 
-import { logger } from '../../_helpers_/optimizelyHelper.js';
+import { AbstractRequest } from '../../_helpers_/abstraction-classes/abstractRequest';
+import { safelyParseJSON } from '../../_helpers_/optimizelyHelper';
+import { getExperimentChangesKey, getVariationChangesKey } from '../../_html_rewriter_/variationChanges';
+
+const OPTIMIZELY_EXPERIMENTS_API = 'https://api.optimizely.com/v2/experiments/';
+
+/**
+ * Extracts the changes of every variation of an experiment returned by the Optimizely REST API.
+ * The changes of all the actions of a variation, one action per page, are combined in a single list.
+ * @param {object} experiment - The experiment returned by the Optimizely REST API.
+ * @returns {object[]} - The variations, each with its key, ID and changes.
+ */
+function extractVariationChanges(experiment) {
+	return (experiment.variations || []).map((variation) => ({
+		variationKey: variation.key || String(variation.variation_id),
+		variationId: variation.variation_id,
+		changes: (variation.actions || []).flatMap((action) => action.changes || []),
+	}));
+}
 
 /**
- * Fetches and updates the variation changes from the Optimizely API.
+ * Reads the index of the stored variations of an experiment from the KV store.
+ * @param {object} kvStore - The key-value store object.
+ * @param {string} experimentId - The experiment ID.
+ * @returns {Promise<object|null>} - The index, or null if no changes are stored for the experiment.
+ */
+async function getExperimentIndex(kvStore, experimentId) {
+	const index = safelyParseJSON(await kvStore.get(getExperimentChangesKey(experimentId)));
+	return index && Array.isArray(index.variations) ? index : null;
+}
+
+/**
+ * Fetches the changes of every variation of an experiment from the Optimizely REST API and stores them in the KV store.
+ * The changes of each variation are stored under their own key. Variations that no longer exist in the experiment are
+ * removed from the KV store.
  * @param {Request} request - The incoming request object.
- * @returns {Promise<Response>} - A promise that resolves to the response object.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @param {object} params - The route parameters, including the experiment_id.
+ * @returns {Promise<Response>} - A promise that resolves to the API response.
  */
-const handleVariationChanges = async (request) => {
-	const baseUrl = 'https://api.optimizely.com/v2/experiments/';
-	const experimentId = request.params.experiment_id;
-	const bearerToken = request.params.api_token;
-	const apiUrl = baseUrl + experimentId;
-
-	/**
-	 * Processes the response from the Optimizely API.
-	 * @param {Response} response - The response object from the API.
-	 * @returns {Promise<string>} - A promise that resolves to the stringified JSON or text content.
-	 */
-	async function processResponse(response) {
-		const { headers } = response;
-		const contentType = headers.get('content-type') || '';
-		if (contentType.includes('application/json')) {
-			const data = await response.json();
-			const variation = data.variations[1];
-			const changes = variation.actions[0].changes;
-			return JSON.stringify(changes);
-		}
-		return response.text();
+const handleVariationChanges = async (request, abstractionHelper, kvStore, logger, defaultSettings, params = {}) => {
+	logger.debug('API Router - Handling variation changes via POST [handleVariationChanges]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'POST') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
 	}
 
-	const initJSON = {
-		headers: {
-			'content-type': 'application/json;charset=UTF-8',
-			Authorization: 'Bearer ' + bearerToken,
-		},
-	};
+	const experimentId = params.experiment_id;
+	const apiToken = abstractionHelper.abstractRequest.getHeaderFromRequest(
+		request,
+		defaultSettings.optimizelyApiTokenHeader
+	);
+	if (!apiToken) {
+		return abstractionHelper.createResponse(
+			{ message: `The ${defaultSettings.optimizelyApiTokenHeader} header is required.` },
+			401
+		);
+	}
 
 	try {
-		const apiResponse = await fetch(apiUrl, initJSON);
-		const changes = await processResponse(apiResponse);
-		await OPTLY_HYBRID_AGENT_KV.put('optly_variation_changes', changes);
+		logger.debug('API Router - Fetching experiment from the Optimizely REST API:', experimentId);
+		const apiResponse = await AbstractRequest.fetchRequest(OPTIMIZELY_EXPERIMENTS_API + experimentId, {
+			headers: {
+				'Content-Type': 'application/json;charset=UTF-8',
+				Authorization: `Bearer ${apiToken}`,
+			},
+		});
+		if (!apiResponse.ok) {
+			logger.error('Error fetching the experiment from the Optimizely REST API:', apiResponse.status);
+			return abstractionHelper.createResponse(
+				{ message: `The Optimizely REST API returned status ${apiResponse.status} for experiment ${experimentId}.` },
+				apiResponse.status === 401 || apiResponse.status === 404 ? apiResponse.status : 502
+			);
+		}
+
+		const experiment = await apiResponse.json();
+		const variations = extractVariationChanges(experiment);
+		const updatedAt = new Date().toISOString();
+		for (const { variationKey, variationId, changes } of variations) {
+			const value = { experimentId, experimentKey: experiment.key, variationKey, variationId, changes, updatedAt };
+			await kvStore.put(getVariationChangesKey(experimentId, variationKey), JSON.stringify(value));
+		}
+
+		// Remove the variations stored by a previous update that no longer exist
+		const variationKeys = variations.map(({ variationKey }) => variationKey);
+		const previousIndex = await getExperimentIndex(kvStore, experimentId);
+		const removedKeys = previousIndex ? previousIndex.variations.filter((key) => !variationKeys.includes(key)) : [];
+		for (const variationKey of removedKeys) {
+			await kvStore.delete(getVariationChangesKey(experimentId, variationKey));
+		}
 
-		const headers = {
-			'Access-Control-Allow-Origin': '*',
-			'Content-type': 'application/json; charset=UTF-8',
+		const index = { experimentId, experimentKey: experiment.key, variations: variationKeys, updatedAt };
+		await kvStore.put(getExperimentChangesKey(experimentId), JSON.stringify(index));
+		logger.debugExt('API Router - Variation changes stored in KV store:', index);
+
+		const responseObject = {
+			message: `Variation changes updated for experiment ${experimentId}.`,
+			...index,
+			changeCounts: Object.fromEntries(variations.map(({ variationKey, changes }) => [variationKey, changes.length])),
 		};
+		return abstractionHelper.createResponse(responseObject, 200, { 'Content-Type': 'application/json' });
+	} catch (error) {
+		logger.error('Error in handleVariationChanges:', error.message);
+		return abstractionHelper.createResponse({ message: `Error updating variation changes: ${error.message}` }, 500);
+	}
+};
 
-		return new Response(`Variation changes updated to:\n\n${changes}`, { headers });
+/**
+ * Retrieves the stored changes of every variation of an experiment from the KV store.
+ * @param {Request} request - The incoming request object.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @param {object} params - The route parameters, including the experiment_id.
+ * @returns {Promise<Response>} - A promise that resolves to the API response with the changes of every variation.
+ */
+const handleGetVariationChanges = async (request, abstractionHelper, kvStore, logger, defaultSettings, params = {}) => {
+	logger.debug('API Router - Handling variation changes via GET [handleGetVariationChanges]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'GET') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
+	}
+
+	const experimentId = params.experiment_id;
+	try {
+		const index = await getExperimentIndex(kvStore, experimentId);
+		if (!index) {
+			return abstractionHelper.createResponse(
+				{ message: `No variation changes found for experiment ${experimentId}.` },
+				404
+			);
+		}
+
+		const variations = {};
+		for (const variationKey of index.variations) {
+			const stored = safelyParseJSON(await kvStore.get(getVariationChangesKey(experimentId, variationKey)));
+			variations[variationKey] = stored ? stored.changes : [];
+		}
+
+		const responseObject = { ...index, variations };
+		return abstractionHelper.createResponse(responseObject, 200, { 'Content-Type': 'application/json' });
+	} catch (error) {
+		logger.error('Error retrieving variation changes:', error.message);
+		return abstractionHelper.createResponse({ message: `Error retrieving variation changes: ${error.message}` }, 500);
+	}
+};
+
+/**
+ * Removes the stored changes of every variation of an experiment from the KV store.
+ * @param {Request} request - The incoming request object.
+ * @param {object} abstractionHelper - The abstraction helper to create responses.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @param {object} params - The route parameters, including the experiment_id.
+ * @returns {Promise<Response>} - A promise that resolves to the API response.
+ */
+const handleDeleteVariationChanges = async (
+	request,
+	abstractionHelper,
+	kvStore,
+	logger,
+	defaultSettings,
+	params = {}
+) => {
+	logger.debug('API Router - Handling variation changes via DELETE [handleDeleteVariationChanges]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'DELETE') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
+	}
+
+	const experimentId = params.experiment_id;
+	try {
+		const index = await getExperimentIndex(kvStore, experimentId);
+		if (!index) {
+			return abstractionHelper.createResponse(
+				{ message: `No variation changes found for experiment ${experimentId}.` },
+				404
+			);
+		}
+
+		for (const variationKey of index.variations) {
+			await kvStore.delete(getVariationChangesKey(experimentId, variationKey));
+		}
+		await kvStore.delete(getExperimentChangesKey(experimentId));
+
+		const responseObject = {
+			message: `Variation changes removed for experiment ${experimentId}.`,
+			experimentId,
+			variations: index.variations,
+		};
+		return abstractionHelper.createResponse(responseObject, 200, { 'Content-Type': 'application/json' });
 	} catch (error) {
-		logger().error('Error in handleVariationChanges:', error);
-		return new Response('Error updating variation changes', { status: 500 });
+		logger.error('Error removing variation changes:', error.message);
+		return abstractionHelper.createResponse({ message: `Error removing variation changes: ${error.message}` }, 500);
 	}
 };
 
-export default handleVariationChanges;
+// Export the functions using named exports
+export { handleVariationChanges, handleGetVariationChanges, handleDeleteVariationChanges };
@@ -0,0 +1,172 @@
+/**
+ * @module Webhook
+ *
+ * The Webhook module is responsible for handling the Optimizely datafile webhook.
+ * Optimizely sends a project.datafile_updated event each time the datafile of an environment changes. The request is
+ * signed with the webhook secret in the X-Hub-Signature header. After the signature is verified, the datafile of the
+ * environment is fetched from the Optimizely CDN and stored in the KV store of the CDN provider as a new revision.
+ * Deliveries are idempotent: a delivery whose revision is not newer than the last processed revision is acknowledged
+ * without fetching the datafile again.
+ *
+ * The following methods are implemented:
+ * - verifyWebhookSignature(body, signatureHeader, secrets) - Verifies the X-Hub-Signature of a webhook delivery.
+ * - handleDatafileWebhook(request, abstractionHelper, kvStore, logger, defaultSettings) - Handles a datafile webhook delivery.
+ */
+
+import { AbstractRequest } from '../../_helpers_/abstraction-classes/abstractRequest';
+import { storeDatafileRevision } from '../../_helpers_/datafileRevisions';
+import { validateDatafile } from '../../_helpers_/datafileValidator';
+import {
+	computeHmac,
+	getDatafileAccessToken,
+	getDatafileRequestHeaders,
+	getDatafileUrl,
+	safelyParseJSON,
+	splitAndTrimArray,
+	timingSafeEqual,
+} from '../../_helpers_/optimizelyHelper';
+
+const DATAFILE_UPDATED_EVENT = 'project.datafile_updated';
+const SDK_KEY_REGEX = /^https:\/\/cdn\.optimizely\.com\/datafiles\/([\w-]+)\.json$/;
+
+/**
+ * Verifies the X-Hub-Signature of a webhook delivery, the hex encoded HMAC-SHA1 of the body prefixed with "sha1=".
+ * @param {string} body - The raw body of the request.
+ * @param {string} signatureHeader - The value of the X-Hub-Signature header.
+ * @param {string[]} secrets - The webhook secrets.
+ * @returns {Promise<boolean>} - True if the signature matches one of the secrets.
+ */
+export async function verifyWebhookSignature(body, signatureHeader, secrets) {
+	if (!signatureHeader || !signatureHeader.startsWith('sha1=')) return false;
+	const signature = signatureHeader.slice('sha1='.length).toLowerCase();
+	for (const secret of secrets) {
+		if (timingSafeEqual(await computeHmac(secret, body, 'SHA-1'), signature)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Reads the comma-separated webhook secrets from the environment.
+ * @param {object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {object} defaultSettings - The default settings object containing the name of the secret.
+ * @returns {Promise<string[]>} - The webhook secrets, or an empty array if the secret is not set.
+ */
+async function getWebhookSecrets(abstractionHelper, defaultSettings) {
+	try {
+		const value = await abstractionHelper.getEnvVariableValue(defaultSettings.webhookSecret);
+		return splitAndTrimArray(typeof value === 'string' ? value : '').filter((secret) => secret !== '');
+	} catch (error) {
+		return [];
+	}
+}
+
+/**
+ * Handles a datafile webhook delivery. The signature is verified, then the datafile of the environment referenced by
+ * the payload is fetched and stored in the KV store, unless the revision was already processed.
+ * @param {Request} request - The incoming request.
+ * @param {object} abstractionHelper - The abstraction helper to create responses and read environment variables.
+ * @param {object} kvStore - The key-value store object.
+ * @param {object} logger - The logger object for logging errors.
+ * @param {object} defaultSettings - The default settings object containing configuration details.
+ * @returns {Promise<Response>} - A promise that resolves to the API response.
+ */
+const handleDatafileWebhook = async (request, abstractionHelper, kvStore, logger, defaultSettings) => {
+	logger.debug('API Router - Handling datafile webhook via POST [handleDatafileWebhook]');
+	if (abstractionHelper.abstractRequest.getHttpMethodFromRequest(request) !== 'POST') {
+		return abstractionHelper.createResponse('Method Not Allowed', 405);
+	}
+
+	try {
+		const secrets = await getWebhookSecrets(abstractionHelper, defaultSettings);
+		if (secrets.length === 0) {
+			logger.error('API Router - The webhook secret is not configured, datafile webhooks are rejected');
+			return abstractionHelper.createResponse({ message: 'The webhook secret is not configured.' }, 401);
+		}
+
+		const body = await request.text();
+		const signatureHeader = abstractionHelper.abstractRequest.getHeaderFromRequest(request, 'X-Hub-Signature');
+		if (!(await verifyWebhookSignature(body, signatureHeader, secrets))) {
+			logger.debug('API Router - Invalid webhook signature [handleDatafileWebhook]');
+			return abstractionHelper.createResponse({ message: 'Invalid X-Hub-Signature.' }, 401);
+		}
+
+		const payload = safelyParseJSON(body);
+		if (!payload || typeof payload !== 'object' || !payload.event) {
+			return abstractionHelper.createResponse({ message: 'Invalid webhook payload.' }, 400);
+		}
+		if (payload.event !== DATAFILE_UPDATED_EVENT) {
+			logger.debug('API Router - Webhook event ignored:', payload.event);
+			return abstractionHelper.createResponse({ message: `Event ${payload.event} ignored.`, status: 'ignored' }, 200);
+		}
+
+		const data = payload.data || {};
+		const match = SDK_KEY_REGEX.exec(data.cdn_url || '');
+		if (!match) {
+			return abstractionHelper.createResponse({ message: 'The webhook payload has no valid cdn_url.' }, 400);
+		}
+		const sdkKey = match[1];
+		const revision = Number(data.revision);
+
+		// Duplicate and out of order deliveries are acknowledged without fetching the datafile again
+		const deliveryKey = `${defaultSettings.kv_key_optly_webhook_delivery}:${sdkKey}`;
+		const lastDelivery = safelyParseJSON(await kvStore.get(deliveryKey));
+		if (lastDelivery && Number.isFinite(revision) && revision <= lastDelivery.revision) {
+			logger.debug(`API Router - Webhook revision ${revision} already processed for ${sdkKey}`);
+			return abstractionHelper.createResponse(
+				{
+					message: `Datafile revision ${revision} was already processed.`,
+					status: 'duplicate',
+					sdkKey,
+					environment: data.environment,
+					revision: lastDelivery.revision,
+				},
+				200
+			);
+		}
+
+		// Datafiles of secure environments are fetched with the access token of the environment secret
+		const accessToken = await getDatafileAccessToken(abstractionHelper);
+		const datafileUrl = getDatafileUrl(sdkKey, accessToken);
+		logger.debug('API Router - Fetching datafile for webhook:', datafileUrl);
+		const datafileResponse = await AbstractRequest.fetchRequest(datafileUrl, {
+			headers: getDatafileRequestHeaders(accessToken),
+		});
+		if (!datafileResponse.ok) {
+			logger.error('API Router - Error fetching the datafile for webhook:', datafileResponse.status);
+			return abstractionHelper.createResponse({ message: `Error fetching the datafile of ${sdkKey}.` }, 502);
+		}
+		const datafile = await abstractionHelper.getResponseContent(datafileResponse);
+		const validation = validateDatafile(datafile);
+		if (!validation.valid) {
+			// The delivery is not recorded, so that a retry fetches the datafile again
+			logger.error('API Router - Invalid datafile from webhook, not stored:', JSON.stringify(validation.errors));
+			return abstractionHelper.createResponse(
+				{ message: `Invalid datafile for Key: ${sdkKey}`, errors: validation.errors },
+				422
+			);
+		}
+		await storeDatafileRevision(kvStore, sdkKey, datafile, 'webhook');
+
+		const storedRevision = Number(validation.datafile.revision) || revision;
+		const delivery = { revision: storedRevision, environment: data.environment, processedAt: new Date().toISOString() };
+		await kvStore.put(deliveryKey, JSON.stringify(delivery));
+
+		return abstractionHelper.createResponse(
+			{
+				message: `Datafile updated to Key: ${sdkKey}`,
+				status: 'updated',
+				sdkKey,
+				environment: data.environment,
+				revision: storedRevision,
+			},
+			200
+		);
+	} catch (error) {
+		logger.error('Error in handleDatafileWebhook:', error.message);
+		return abstractionHelper.createResponse({ message: `Error processing the webhook: ${error.message}` }, 500);
+	}
+};
+
+export { handleDatafileWebhook };
@@ -0,0 +1,14 @@
+/**
+ * @module BundledDatafiles
+ *
+ * The BundledDatafiles module contains the datafiles bundled with the edge worker, by SDK key. They are served by the
+ * bundled datafile source, the last source of the defaultSettings.datafileSources list, when no other source returns a
+ * valid datafile. A bundled datafile may be a JSON string or an object.
+ *
+ */
+
+const bundledDatafiles = {
+	// 'YOUR_SDK_KEY': { version: '4', revision: '1', ... },
+};
+
+export default bundledDatafiles;
@@ -1,17 +1,17 @@
 /**
  * @module cookieOptions
  *
- * The CookieOptions specifies the default options for the cookies. *
+ * The CookieOptions specifies the default options for the cookies. The cookies set on the response also get a max-age
+ * and an expiration date from cookieExpirationInDays, and the options can be overridden per deployment, see
+ * CookieSettings. *
  */
 
 const cookieDefaultOptions = {
 	path: '/', // Default path for the cookie.
-	expires: new Date(Date.now() + 86400e3 * 365), // Sets expiration date to 365 days from now.
-	maxAge: 86400 * 365, // Maximum age of the cookie in seconds (365 days).
-	domain: '.optimizely.com', // Domain where the cookie is valid.
+	domain: null, // Domain where the cookie is valid. Without a domain, the cookie is valid for the host of the request.
 	secure: true, // Indicates if the cookie should be sent over secure protocol only.
 	httpOnly: true, // Indicates that the cookie is accessible only through the HTTP protocol.
-	sameSite: 'none', // Cross-site request setting for the cookie.
+	sameSite: 'None', // Cross-site request setting for the cookie.
 	// Options are:
 	// - "Strict": The cookie will only be sent along with "same-site" requests.
 	// - "Lax": The cookie is not sent on cross-site requests except when navigating to the target site.
@@ -21,7 +21,109 @@ const defaultSettings = {
 	urlIgnoreQueryParameters: true,
 	enableOptimizelyHeader: 'X-Optimizely-Enable-FEX',
 	workerOperationHeader: 'X-Optimizely-Worker-Operation',
+	// Header carrying the Optimizely REST API token used by the variation changes API
+	optimizelyApiTokenHeader: 'X-Optimizely-API-Token',
+	// Names of the environment secrets holding the bearer tokens and HMAC secrets of the /v1/api routes.
+	// Write credentials grant every method, read credentials only GET and HEAD.
+	apiReadTokenSecret: 'API_READ_TOKEN',
+	apiWriteTokenSecret: 'API_WRITE_TOKEN',
+	apiReadHmacSecret: 'API_READ_HMAC_SECRET',
+	apiWriteHmacSecret: 'API_WRITE_HMAC_SECRET',
+	apiSignatureHeader: 'X-Optimizely-Signature',
+	apiTimestampHeader: 'X-Optimizely-Timestamp',
+	// Maximum age of a signed API request
+	apiSignatureToleranceSeconds: 300,
+	// Name of the environment secret holding the secret of the Optimizely datafile webhook
+	webhookSecret: 'OPTIMIZELY_WEBHOOK_SECRET',
+	// Names of the environment secrets holding the HMAC secrets of the decisions cookie. Cookies are signed with the
+	// primary secret and verified with the primary or the secondary secret, so that the secret can be rotated.
+	cookieSigningSecret: 'COOKIE_SIGNING_SECRET',
+	cookieSigningSecondarySecret: 'COOKIE_SIGNING_SECRET_SECONDARY',
+	// Whether unsigned decisions cookies in the legacy format are accepted once a signing secret is set. They are re-issued
+	// signed in the version 2 format, disable it once the legacy cookies have expired.
+	acceptLegacyDecisionsCookies: true,
+	// Names of the environment variables holding the JSON cookie options (domain, path, sameSite, secure, httpOnly and
+	// maxAge in seconds) of all the cookies set on the response, of the visitor ID cookie and of the decisions cookie
+	cookieOptionsVariable: 'OPTIMIZELY_COOKIE_OPTIONS',
+	visitorIdCookieOptionsVariable: 'OPTIMIZELY_VISITOR_ID_COOKIE_OPTIONS',
+	decisionsCookieOptionsVariable: 'OPTIMIZELY_DECISIONS_COOKIE_OPTIONS',
+	// Ordered chain of visitor ID resolvers, see VisitorIdResolvers. A random UUID is generated when no resolver returns
+	// a visitor ID. The chain is overridden by the JSON array of the environment variable visitorIdResolversVariable.
+	visitorIdResolvers: [{ type: 'request' }, { type: 'cookie' }, { type: 'custom' }],
+	visitorIdResolversVariable: 'OPTIMIZELY_VISITOR_ID_RESOLVERS',
+	// Attribute keys of the user attributes derived from the edge context of the request, see EdgeAttributes. The mapping
+	// is overridden by the JSON object of the environment variable edgeAttributesVariable, or disabled with false. Only
+	// coarse attributes are enabled by default, city, postalCode, latitude, longitude, asn and asOrganization are opt-in.
+	edgeAttributes: {
+		country: 'country',
+		region: 'region',
+		continent: 'continent',
+		timezone: 'timezone',
+		deviceType: 'device_type',
+		language: 'language',
+		referrerHost: 'referrer_host',
+	},
+	edgeAttributesVariable: 'OPTIMIZELY_EDGE_ATTRIBUTES',
+	// Attribute keys of the user attributes derived from the User-Agent header, see UserAgentParser. The mapping is
+	// overridden by the JSON object of the environment variable userAgentAttributesVariable, or disabled with false.
+	userAgentAttributes: {
+		deviceType: 'device_type',
+		browser: 'browser',
+		browserVersion: 'browser_version',
+		os: 'os',
+		isBot: 'is_bot',
+	},
+	userAgentAttributesVariable: 'OPTIMIZELY_USER_AGENT_ATTRIBUTES',
+	// Detection of the bot requests, see BotDetection. The configuration is merged with the JSON object of the
+	// environment variable botDetectionVariable, or disabled with false.
+	botDetection: {
+		enabled: true,
+		userAgents: [], // Additional case-insensitive User-Agent substrings of bots
+		builtInUserAgents: true, // Detects the common bots and crawlers from the User-Agent
+		verifiedBotSignals: true, // Detects the verified bots flagged by the CDN
+		verifiedBotHeader: undefined, // Header set to "true" or "1" by a bot management product for verified bots
+	},
+	botDetectionVariable: 'OPTIMIZELY_BOT_DETECTION',
+	// When true, detected bots are excluded from experiments: no flag is decided, so that they get the default
+	// experience, and no cookie is set nor event dispatched. Requests to the API endpoints are never excluded. When
+	// false, bots are bucketed like visitors and only reported.
+	skipBucketingForBots: true,
+	// Name of the environment variable holding the JSON mapping of the attributes sourced from the cookies, query
+	// parameters and headers of the request, see AttributeMapping. When it is not set, the mapping is read from the
+	// kv_key_optly_attribute_mapping key of the KV store.
+	attributeMappingVariable: 'OPTIMIZELY_ATTRIBUTE_MAPPING',
+	// Age in seconds after which the attribute mapping of the KV store cached in the isolate is read again
+	attributeMappingCacheTtlSeconds: 60,
+	// Name of the environment variable holding the JSON configuration of consent-aware mode: the cookie or header
+	// carrying the consent signal and its format, "tcf" or "flag". Consent-aware mode is disabled when it is not set.
+	consentVariable: 'OPTIMIZELY_CONSENT',
+	// Maximum length of the value of a decisions cookie. Longer values are split across up to decisionsCookieMaxChunks
+	// numbered cookies, and the decisions that do not fit are not stored.
+	decisionsCookieMaxLength: 3800,
+	decisionsCookieMaxChunks: 4,
+	// Datafile endpoints. Datafiles of secure environments are fetched from datafileAuthUrl with a bearer access token.
+	datafileCdnUrl: 'https://cdn.optimizely.com/datafiles',
+	datafileAuthUrl: 'https://config.optimizely.com/datafiles/auth',
+	// Name of the environment secret holding the datafile access token, and header that overrides it for a request
+	datafileAccessTokenSecret: 'OPTIMIZELY_DATAFILE_ACCESS_TOKEN',
+	datafileAccessTokenHeader: 'X-Optimizely-Datafile-Access-Token',
+	// Ordered list of the datafile sources: kv, mirror, cdn and bundled. The first source that returns a valid datafile
+	// serves it. The kv source is used only when the datafile is requested from KV storage.
+	datafileSources: ['kv', 'mirror', 'cdn', 'bundled'],
+	// Name of the environment variable overriding the list of datafile sources, as comma-separated values
+	datafileSourcesVariable: 'OPTIMIZELY_DATAFILE_SOURCES',
+	// Name of the environment variable holding the URL of the datafile mirror, where {sdkKey} is replaced by the SDK key.
+	// The mirror source is skipped when it is not set.
+	datafileMirrorUrlVariable: 'OPTIMIZELY_DATAFILE_MIRROR_URL',
+	// Timeout in milliseconds of each datafile source
+	datafileSourceTimeouts: { kv: 1000, mirror: 2000, cdn: 3000 },
 	optimizelyEventsEndpoint: 'https://logx.optimizely.com/v1/events',
+	// Maximum number of operations accepted in a single /v1/batch request
+	batchMaxOperations: 100,
+	// Maximum number of events accepted in a single /v1/send-odp-event request, sent to ODP as one batch
+	odpMaxEventsPerRequest: 100,
+	// Path appended to the host of the ODP integration in the datafile
+	odpEventsPath: '/v3/events',
 	// Do not include trailing slashes "/" for valid experimentation endpoints
 	// TODO - Should we implement KV Storage or use a dedicated flag with a variable containing the endpoints?
 	validExperimentationEndpoints: ['https://apidev.expedge.com', 'https://apidev.expedge.com/chart'],
@@ -30,6 +132,19 @@ const defaultSettings = {
 	kv_key_optly_sdk_datafile: 'optly_sdk_datafile',
 	kv_key_optly_js_sdk: 'optly_js_sdk',
 	kv_key_optly_variation_changes: 'optly_variation_changes',
+	kv_key_optly_webhook_delivery: 'optly_webhook_delivery',
+	kv_key_optly_datafile_revision: 'optly_datafile_revision',
+	kv_key_optly_datafile_history: 'optly_datafile_history',
+	kv_key_optly_datafile_current: 'optly_datafile_current',
+	kv_key_optly_attribute_mapping: 'optly_attribute_mapping',
+	// Number of datafile revisions kept in the KV store for each SDK key
+	datafileMaxRevisions: 20,
+	// Maximum number of Optimizely clients kept in the isolate, one for each SDK key and datafile revision
+	optimizelyClientPoolSize: 10,
+	// Age in seconds after which the datafile cached in the isolate is refreshed in the background
+	datafileCacheTtlSeconds: 60,
+	// Additional age in seconds after which a stale datafile is refreshed before it is used
+	datafileCacheMaxStaleSeconds: 3600,
 	kv_cloudfront_dyanmodb_table: 'OptlyHybridAgentKV',
 	kv_cloudfront_dyanmodb_options: {},
 	kv_user_profile_enabled: false,
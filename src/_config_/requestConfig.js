@@ -13,12 +13,17 @@
  * - initializeFromHeaders() - Initializes configuration settings from HTTP headers.
  * - initializeFromQueryParams() - Initializes configuration settings from URL query parameters.
  * - initializeFromBody() - Initializes configuration settings from the request body if available. Only POST requests are considered.
+ * - validateInputs() - Validates the headers, query parameters and body of the request against the request schema.
+ * - applyAttributeMapping() - Adds the attributes mapped from the cookies, query parameters and headers of the request.
  *
  */
 
 import Logger from '../_helpers_/logger';
 import EventListeners from '../_event_listeners_/eventListeners';
-import { logger } from '../_helpers_/optimizelyHelper';
+import { getCookieValueByName, logger } from '../_helpers_/optimizelyHelper';
+import { getAttributeMapping, resolveMappedAttributes } from '../_helpers_/attributeMapping';
+import { validateRequestInputs } from '../_helpers_/requestValidator';
+import requestSchema from './requestSchema';
 
 /**
  * Manages the configuration settings for a request, including headers, query parameters, and body content.
@@ -37,6 +42,7 @@ export default class RequestConfig {
 		this.url = this.abstractionHelper.abstractRequest.getNewURL(this.abstractionHelper.request.url);
 		this.method = this.abstractionHelper.abstractRequest.getHttpMethod();
 		this.body = null;
+		this.validationErrors = [];
 		this.headers = this.abstractionHelper.headers;
 		this.trimmedDecisions = undefined;
 		this.isPostMethod = this.method === 'POST';
@@ -111,6 +117,12 @@ export default class RequestConfig {
 			await this.loadRequestBody(request);
 		}
 
+		// Validate the headers, query parameters and body against the request schema.
+		this.validateInputs();
+
+		// Add the attributes mapped from the cookies, query parameters and headers before the user context is created.
+		await this.applyAttributeMapping();
+
 		if (!this.enableFlagsFromKV) {
 			this.enableFlagsFromKV = this.settings.flagsFromKV;
 		}
@@ -143,14 +155,14 @@ export default class RequestConfig {
 
 	/**
 	 * Retrieves the JSON payload from a request, ensuring the request method is POST.
-	 * This method clones the request for safe reading and handles errors in JSON parsing,
-	 * returning null if the JSON is invalid or the method is not POST.
+	 * This method clones the request for safe reading, returning null if the body is empty or the method is not POST.
 	 *
 	 * @param {Request} request - The incoming HTTP request object.
-	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body isn't valid JSON or method is not POST.
+	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body is empty or method is not POST.
+	 * @throws {SyntaxError} - If the body isn't valid JSON.
 	 */
 	async getJsonPayload(request) {
-		return this.cdnAdapter.getJsonPayload(request);
+		return this.cdnAdapter.getJsonPayload(request, true);
 	}
 
 	/**
@@ -196,11 +208,16 @@ export default class RequestConfig {
 			decideOptions: [],
 			attributes: {},
 			attributesFrom: '',
+			mappedAttributes: {},
 			eventTags: {},
 			eventTagsFrom: '',
 			sdkKey: '',
 			sdkKeyFrom: '',
 			datafileFrom: '',
+			consentGranted: true,
+			consentFrom: '',
+			botDetected: false,
+			botDetectedFrom: '',
 			trimmedDecisions: true,
 			decideAll: false,
 			flagKeysDecided: [],
@@ -227,6 +244,10 @@ export default class RequestConfig {
 					await this.initializeFromBody();
 				} catch (error) {
 					logger().error('Failed to parse JSON body:', error);
+					if (error instanceof SyntaxError) {
+						const message = `must be valid JSON: ${error.message}`;
+						this.validationErrors.push({ field: 'body', source: 'body', name: 'body', message });
+					}
 					this.body = null;
 				}
 			} else {
@@ -437,6 +458,14 @@ export default class RequestConfig {
 			if (this.body.eventTags && this.settings.enableResponseMetadata) this.configMetadata.eventTagsFrom = 'body';
 			this.enableResponseMetadata = this.enableResponseMetadata || this.body.enableResponseMetadata;
 			this.forcedDecisions = this.body.forcedDecisions;
+			this.batchOperations = this.body.operations;
+			// ODP events are sent either as an "events" array or as a body that is itself an event, with an action. Any
+			// other body leaves odpEvents undefined, and is rejected by sendOdpEvent.
+			if (Array.isArray(this.body.events)) {
+				this.odpEvents = this.body.events;
+			} else if (this.body.events === undefined && this.body.action !== undefined) {
+				this.odpEvents = [this.body];
+			}
 			this.enableFlagsFromKV = this.enableFlagsFromKV || this.body.enableFlagsFromKV === true;
 			this.datafileFromKV = this.datafileFromKV || this.body.datafileFromKV === true;
 			this.decideAll = this.decideAll || this.body.decideAll;
@@ -468,6 +497,58 @@ export default class RequestConfig {
 		}
 	}
 
+	/**
+	 * Validates the headers, query parameters and body of the request against the request schema, see RequestValidator.
+	 * The invalid inputs are added to validationErrors, and the requests of the API endpoints with invalid inputs are
+	 * rejected with a 400 response.
+	 */
+	validateInputs() {
+		logger().debugExt('RequestConfig - Validating inputs [validateInputs]');
+		const pathName = this.url.pathname.toLowerCase().replace(/^\/\//, '/');
+		const errors = validateRequestInputs(
+			requestSchema,
+			{
+				getHeader: (name) => this.getHeader(name),
+				getQueryParameter: (name) => this.url.searchParams.get(name),
+				body: this.body,
+				headerNames: this.settings,
+				queryParameterNames: this.queryParameters,
+			},
+			pathName
+		);
+		this.validationErrors.push(...errors);
+		if (this.validationErrors.length > 0) {
+			logger().debug('RequestConfig - Invalid inputs [validateInputs]:', JSON.stringify(this.validationErrors));
+		}
+	}
+
+	/**
+	 * Adds the attributes mapped from the cookies, query parameters and headers of the request, see AttributeMapping.
+	 * The attributes sent in the attributes header or the body take precedence over the mapped attributes.
+	 */
+	async applyAttributeMapping() {
+		logger().debugExt('RequestConfig - Applying attribute mapping [applyAttributeMapping]');
+		const mapping = await getAttributeMapping(this.abstractionHelper, this.cdnAdapter && this.cdnAdapter.kvStore);
+		if (!mapping) return;
+
+		const mappedAttributes = resolveMappedAttributes(mapping, {
+			getCookie: (name) => getCookieValueByName(this.headerCookiesString, name),
+			getQueryParameter: (name) => this.url.searchParams.get(name),
+			getHeader: (name) => this.getHeader(name),
+		});
+		if (Object.keys(mappedAttributes).length === 0) return;
+
+		if (!this.attributes) {
+			this.attributes = mappedAttributes;
+			if (this.settings.enableResponseMetadata) this.configMetadata.attributesFrom = 'mapping';
+		} else if (typeof this.attributes === 'object' && !Array.isArray(this.attributes)) {
+			this.attributes = { ...mappedAttributes, ...this.attributes };
+		}
+		if (this.settings.enableResponseMetadata) {
+			this.configMetadata.mappedAttributes = mappedAttributes;
+		}
+	}
+
 	/**
 	 * Retrieves a header value by name.
 	 * @param {string} name - The name of the header to retrieve.
@@ -489,7 +570,7 @@ export default class RequestConfig {
 	}
 
 	/**
-	 * Attempts to parse a JSON string safely.
+	 * Attempts to parse a JSON string safely. Invalid JSON is reported by validateInputs.
 	 * @param {string} value - The JSON string to parse.
 	 * @returns {Object|null} The parsed JSON object, or null if parsing fails.
 	 */
@@ -498,8 +579,8 @@ export default class RequestConfig {
 		try {
 			return JSON.parse(value);
 		} catch (error) {
-			logger().error('Failed to parse JSON:', error);
-			return error;
+			logger().error('Failed to parse JSON:', error.message);
+			return null;
 		}
 	}
 }
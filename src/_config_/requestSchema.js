@@ -0,0 +1,106 @@
+/**
+ * @module requestSchema
+ *
+ * The request schema is the single definition of the configuration inputs of the API endpoints, shared by the headers,
+ * query parameters and body of the request, see RequestValidator. Each input has a type and the names it is read from:
+ * - header - The name of the RequestConfig setting holding the header name, such as "attributesHeader".
+ * - query - The name of the RequestConfig query parameter, such as "keys".
+ * - body - The property of the JSON body.
+ * The supported types are "string", "boolean", "object" and "array", with "items" for the type of the array items.
+ * Headers and query parameters carry booleans as "true" or "false", and objects and arrays as JSON, except the arrays
+ * marked as "list", which are carried as plain values. An input listed in "requiredFor" must be present in one of its
+ * sources for these endpoints.
+ */
+
+const requestSchema = {
+	sdkKey: { type: 'string', header: 'sdkKeyHeader', query: 'sdkKey', body: 'sdkKey' },
+	visitorId: { type: 'string', header: 'visitorIdHeader', query: 'visitorId', body: 'visitorId' },
+	flagKeys: { type: 'array', items: 'string', list: true, query: 'keys', body: 'flagKeys' },
+	eventKey: {
+		type: 'string',
+		header: 'eventKeyHeader',
+		query: 'eventKey',
+		body: 'eventKey',
+		requiredFor: ['/v1/track'],
+	},
+	attributes: { type: 'object', header: 'attributesHeader', body: 'attributes' },
+	eventTags: { type: 'object', header: 'eventTagsHeader', body: 'eventTags' },
+	decideOptions: { type: 'array', items: 'string', header: 'decideOptionsHeader' },
+	datafileAccessToken: { type: 'string', header: 'datafileAccessToken' },
+	forcedDecisions: { type: 'array', items: 'object', body: 'forcedDecisions' },
+	operations: { type: 'array', items: 'object', body: 'operations', requiredFor: ['/v1/batch'] },
+	events: { type: 'array', body: 'events' },
+	overrideVisitorId: {
+		type: 'boolean',
+		header: 'overrideVisitorIdHeader',
+		query: 'overrideVisitorId',
+		body: 'overrideVisitorId',
+	},
+	overrideCache: { type: 'boolean', header: 'overrideCacheHeader', query: 'overrideCache', body: 'overrideCache' },
+	enableResponseMetadata: {
+		type: 'boolean',
+		header: 'enableRespMetadataHeader',
+		query: 'enableResponseMetadata',
+		body: 'enableResponseMetadata',
+	},
+	trimmedDecisions: {
+		type: 'boolean',
+		header: 'trimmedDecisionsHeader',
+		query: 'trimmedDecisions',
+		body: 'trimmedDecisions',
+	},
+	decideAll: { type: 'boolean', query: 'decideAll', body: 'decideAll' },
+	disableDecisionEvent: { type: 'boolean', query: 'disableDecisionEvent', body: 'disableDecisionEvent' },
+	enabledFlagsOnly: { type: 'boolean', query: 'enabledFlagsOnly', body: 'enabledFlagsOnly' },
+	includeReasons: { type: 'boolean', query: 'includeReasons', body: 'includeReasons' },
+	ignoreUserProfileService: { type: 'boolean', query: 'ignoreUserProfileService', body: 'ignoreUserProfileService' },
+	excludeVariables: { type: 'boolean', query: 'excludeVariables', body: 'excludeVariables' },
+	enableFlagsFromKV: {
+		type: 'boolean',
+		header: 'enableFlagsFromKV',
+		query: 'enableFlagsFromKV',
+		body: 'enableFlagsFromKV',
+	},
+	datafileFromKV: {
+		type: 'boolean',
+		header: 'enableDatafileFromKV',
+		query: 'enableDatafileFromKV',
+		body: 'datafileFromKV',
+	},
+	setRequestHeaders: {
+		type: 'boolean',
+		header: 'setRequestHeaders',
+		query: 'setRequestHeaders',
+		body: 'setRequestHeaders',
+	},
+	setRequestCookies: {
+		type: 'boolean',
+		header: 'setRequestCookies',
+		query: 'setRequestCookies',
+		body: 'setRequestCookies',
+	},
+	setResponseHeaders: {
+		type: 'boolean',
+		header: 'setResponseHeaders',
+		query: 'setResponseHeaders',
+		body: 'setResponseHeaders',
+	},
+	setResponseCookies: {
+		type: 'boolean',
+		header: 'setResponseCookies',
+		query: 'setResponseCookies',
+		body: 'setResponseCookies',
+	},
+};
+
+// Endpoints whose requests are rejected with a 400 response when their configuration inputs are invalid
+export const validatedEndpoints = [
+	'/v1/decide',
+	'/v1/track',
+	'/v1/batch',
+	'/v1/send-odp-event',
+	'/v1/datafile',
+	'/v1/config',
+];
+
+export default requestSchema;
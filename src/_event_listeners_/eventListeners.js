@@ -8,6 +8,7 @@
  * - getInstance() - Gets the singleton instance of EventListeners.
  * - on(event, listener) - Registers a listener for a given event.
  * - trigger(event, ...args) - Triggers an event with optional arguments.
+ * - isRegistered(event) - Checks if a listener is registered for a given event.
  */
 
 import { logger } from '../_helpers_/optimizelyHelper.js';
@@ -53,6 +54,11 @@ class EventListeners {
 			afterReadingRequestConfig: [],
 			beforeDispatchingEvents: [],
 			afterDispatchingEvents: [],
+			transformResponse: [],
+			beforeDispatchingOdpEvents: [],
+			afterDispatchingOdpEvents: [],
+			resolveVisitorId: [],
+			botDetected: [],
 		};
 
 		/**
@@ -89,6 +95,15 @@ class EventListeners {
 		}
 	}
 
+	/**
+	 * Checks if a listener is registered for a given event.
+	 * @param {string} event - The event.
+	 * @returns {boolean} True if at least one listener is registered for the event.
+	 */
+	isRegistered(event) {
+		return this.registeredEvents.has(event);
+	}
+
 	/**
 	 * Triggers an event with optional arguments.
 	 * @param {string} event - The event to trigger.
@@ -251,5 +251,26 @@ eventListeners.on('afterDispatchingEvents', async (request, response, events, op
 	// Log information without modifying the request
 });
 
+// Register an async event listener for 'transformResponse', triggered once per active experiment
+eventListeners.on('transformResponse', async (request, response, experiment, processedResult) => {
+	// logger().debug('Transform response event triggered for flag:', experiment.flagKey);
+	// This must be an async operation
+	// Modify the response for the flag and variation of the experiment
+	// return { modifiedResponse };
+});
+
+eventListeners.on('beforeDispatchingOdpEvents', async (url, events) => {
+	logger().debug('Before dispatching ODP events event triggered');
+	// This must be an async operation
+	// Log information without modifying the request
+	// return { modifiedUrl, modifiedEvents };
+});
+
+eventListeners.on('afterDispatchingOdpEvents', async (request, response, events, operationResult) => {
+	logger().debug('After dispatching ODP events event triggered');
+	// This must be an async operation
+	// This method expects no return value.
+});
+
 export default eventListeners;
 // event
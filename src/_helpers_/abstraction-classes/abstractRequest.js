@@ -581,9 +581,10 @@ export class AbstractRequest {
 	 * returning null if the JSON is invalid or the method is not POST.
 	 *
 	 * @param {Request} request - The incoming HTTP request object.
+	 * @param {boolean} [throwOnInvalidJson=false] - Throws the SyntaxError of a body that isn't valid JSON instead of returning null.
 	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body isn't valid JSON or method is not POST.
 	 */
-	static async getJsonPayload(request) {
+	static async getJsonPayload(request, throwOnInvalidJson = false) {
 		logger().debugExt('AbstractRequest - Retrieving JSON payload [getJsonPayload]');
 		if (request.method !== 'POST') {
 			logger().error('Request is not an HTTP POST method.');
@@ -600,6 +601,7 @@ export class AbstractRequest {
 
 			return JSON.parse(bodyText);
 		} catch (error) {
+			if (throwOnInvalidJson && error instanceof SyntaxError) throw error;
 			logger().error('Error parsing JSON:', error);
 			return null;
 		}
@@ -609,10 +611,11 @@ export class AbstractRequest {
 	 * Instance method wrapper for getJsonPayload static method.
 	 *
 	 * @param {Request} request - The incoming HTTP request object.
+	 * @param {boolean} [throwOnInvalidJson=false] - Throws the SyntaxError of a body that isn't valid JSON instead of returning null.
 	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body isn't valid JSON or method is not POST.
 	 */
-	getJsonPayload(request) {
-		return AbstractRequest.getJsonPayload(request);
+	getJsonPayload(request, throwOnInvalidJson = false) {
+		return AbstractRequest.getJsonPayload(request, throwOnInvalidJson);
 	}
 
 	/**
@@ -0,0 +1,148 @@
+/**
+ * @module AttributeMapping
+ *
+ * The AttributeMapping module sources user attributes from the cookies, query parameters and headers of the request
+ * with a declarative mapping. The mapping is a JSON object read from the OPTIMIZELY_ATTRIBUTE_MAPPING environment
+ * variable or, when the variable is not set, from the optly_attribute_mapping key of the KV store. Each attribute key is
+ * mapped to one source and an optional type:
+ *   {
+ *     "plan": { "cookie": "user_plan" },
+ *     "campaign": { "query": "utm_campaign" },
+ *     "loggedIn": { "cookie": "session", "exists": true },
+ *     "visits": { "cookie": "visit_count", "type": "number" },
+ *     "beta": { "header": "X-Beta-User", "type": "boolean" }
+ *   }
+ * With "exists", the attribute is true when the source is present and false otherwise. The values are strings unless
+ * "type" is "number" or "boolean", and values that cannot be coerced to their type are left out.
+ *
+ * The mapping read from the KV store, or its absence, is cached in the isolate for attributeMappingCacheTtlSeconds, so
+ * that the KV store is not read on every request. When reading the KV store fails, the last mapping read keeps being
+ * used.
+ *
+ * The following methods are implemented:
+ * - getAttributeMapping(abstractionHelper, kvStore) - Reads the attribute mapping.
+ * - coerceAttributeValue(value, type) - Coerces a value to the type of an attribute.
+ * - resolveMappedAttributes(mapping, sources) - Resolves the attributes of a mapping from the request.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { logger } from './optimizelyHelper';
+
+const ATTRIBUTE_SOURCES = ['cookie', 'query', 'header'];
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+// Attribute mapping of the KV store cached in the isolate: { mapping, fetchedAt }
+let kvMappingCache;
+
+/**
+ * Parses an attribute mapping.
+ * @param {string|Object} value - The JSON attribute mapping.
+ * @param {string} from - The origin of the mapping, used in the logs.
+ * @returns {Object|null} The attribute mapping, or null if it is not valid.
+ */
+function parseAttributeMapping(value, from) {
+	let mapping = value;
+	if (typeof value === 'string') {
+		try {
+			mapping = JSON.parse(value);
+		} catch (error) {
+			logger().error(`AttributeMapping - The attribute mapping of ${from} is not valid JSON, it is ignored`);
+			return null;
+		}
+	}
+	if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+		logger().error(`AttributeMapping - The attribute mapping of ${from} must be a JSON object, it is ignored`);
+		return null;
+	}
+
+	const result = {};
+	for (const [attributeKey, rule] of Object.entries(mapping)) {
+		const source = rule && ATTRIBUTE_SOURCES.find((name) => typeof rule[name] === 'string');
+		if (!source) {
+			logger().error(`AttributeMapping - The attribute ${attributeKey} has no cookie, query or header, it is ignored`);
+			continue;
+		}
+		result[attributeKey] = rule;
+	}
+	return result;
+}
+
+/**
+ * Reads the attribute mapping from the environment variable or, when it is not set, from the KV store. The mapping of
+ * the KV store is cached in the isolate for attributeMappingCacheTtlSeconds.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {Object} [kvStore] - The KV store.
+ * @returns {Promise<Object|null>} The attribute mapping, or null if no attribute is mapped.
+ */
+export async function getAttributeMapping(abstractionHelper, kvStore) {
+	try {
+		const value = await abstractionHelper.getEnvVariableValue(defaultSettings.attributeMappingVariable);
+		if (value) return parseAttributeMapping(value, defaultSettings.attributeMappingVariable);
+	} catch (error) {
+		// The environment variable is not set, the mapping is read from the KV store
+	}
+
+	if (!kvStore) return null;
+	const ttlMilliseconds = defaultSettings.attributeMappingCacheTtlSeconds * 1000;
+	if (kvMappingCache && Date.now() - kvMappingCache.fetchedAt < ttlMilliseconds) {
+		return kvMappingCache.mapping;
+	}
+	try {
+		const value = await kvStore.get(defaultSettings.kv_key_optly_attribute_mapping);
+		const mapping = value ? parseAttributeMapping(value, defaultSettings.kv_key_optly_attribute_mapping) : null;
+		kvMappingCache = { mapping, fetchedAt: Date.now() };
+		return mapping;
+	} catch (error) {
+		logger().error('AttributeMapping - Error reading the attribute mapping from the KV store:', error.message);
+		return kvMappingCache ? kvMappingCache.mapping : null;
+	}
+}
+
+/**
+ * Coerces a value to the type of an attribute.
+ * @param {string} value - The value read from the request.
+ * @param {string} [type='string'] - The type of the attribute: "string", "number" or "boolean".
+ * @returns {string|number|boolean|undefined} The coerced value, or undefined if it cannot be coerced.
+ */
+export function coerceAttributeValue(value, type = 'string') {
+	if (value === undefined || value === null) return undefined;
+	const text = String(value).trim();
+	switch (type) {
+		case 'number': {
+			const number = Number(text);
+			return text !== '' && Number.isFinite(number) ? number : undefined;
+		}
+		case 'boolean':
+			if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+			if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+			return undefined;
+		default:
+			return text;
+	}
+}
+
+/**
+ * Resolves the attributes of a mapping from the request.
+ * @param {Object} mapping - The attribute mapping, see getAttributeMapping.
+ * @param {Object} sources - { getCookie, getQueryParameter, getHeader }, which return the value of a cookie, query
+ *   parameter or header of the request, or undefined or null if it is missing.
+ * @returns {Object} The mapped user attributes.
+ */
+export function resolveMappedAttributes(mapping, { getCookie, getQueryParameter, getHeader }) {
+	const readers = { cookie: getCookie, query: getQueryParameter, header: getHeader };
+	const attributes = {};
+	for (const [attributeKey, rule] of Object.entries(mapping || {})) {
+		const source = ATTRIBUTE_SOURCES.find((name) => typeof rule[name] === 'string');
+		const value = readers[source](rule[source]);
+		if (rule.exists) {
+			attributes[attributeKey] = value !== undefined && value !== null;
+			continue;
+		}
+		const coercedValue = coerceAttributeValue(value, rule.type);
+		if (coercedValue !== undefined) {
+			attributes[attributeKey] = coercedValue;
+		}
+	}
+	return attributes;
+}
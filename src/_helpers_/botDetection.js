@@ -0,0 +1,90 @@
+/**
+ * @module BotDetection
+ *
+ * The BotDetection module detects the requests of bots and crawlers. Unless the skipBucketingForBots setting is false,
+ * they are excluded from experiments: they get the default experience, no cookie is set and no event is dispatched, so
+ * that they neither inflate the results nor see unstable content. A request is a bot request when:
+ * - The CDN flags it as a verified bot, with the verifiedBot value of the edge context of the adapter, or with the
+ *   "verifiedBotHeader" header set by a bot management product in front of the agent.
+ * - Its User-Agent header matches the built-in bot patterns, see UserAgentParser, or one of the case-insensitive
+ *   "userAgents" substrings.
+ *
+ * The detection is configured by the JSON object of the OPTIMIZELY_BOT_DETECTION environment variable, merged into the
+ * botDetection default setting, for example '{"userAgents": ["MyMonitor"], "verifiedBotHeader": "X-Verified-Bot"}'.
+ * Setting the variable to false, or "enabled" to false, disables the detection.
+ *
+ * The following methods are implemented:
+ * - getBotDetectionConfig(abstractionHelper) - Reads the bot detection configuration.
+ * - detectBot(config, userAgent, edgeContext, getHeader) - Detects whether a request is a bot request.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { logger } from './optimizelyHelper';
+import { parseUserAgent } from './userAgentParser';
+
+/**
+ * Reads the bot detection configuration.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @returns {Promise<Object|null>} { userAgents, builtInUserAgents, verifiedBotSignals, verifiedBotHeader }, or null if
+ *   the detection is disabled.
+ */
+export async function getBotDetectionConfig(abstractionHelper) {
+	let value;
+	try {
+		value = await abstractionHelper.getEnvVariableValue(defaultSettings.botDetectionVariable);
+	} catch (error) {
+		value = undefined;
+	}
+
+	let overrides = {};
+	if (value !== undefined && value !== null && value !== '') {
+		try {
+			overrides = typeof value === 'string' ? JSON.parse(value) : value;
+		} catch (error) {
+			logger().error(`BotDetection - ${defaultSettings.botDetectionVariable} is not valid JSON, it is ignored`);
+		}
+	}
+	if (overrides === false) return null;
+	if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+		logger().error(`BotDetection - ${defaultSettings.botDetectionVariable} must be a JSON object or false`);
+		overrides = {};
+	}
+
+	const config = { ...defaultSettings.botDetection, ...overrides };
+	if (config.enabled === false) return null;
+	return {
+		userAgents: (Array.isArray(config.userAgents) ? config.userAgents : [])
+			.filter((userAgent) => typeof userAgent === 'string' && userAgent !== '')
+			.map((userAgent) => userAgent.toLowerCase()),
+		builtInUserAgents: config.builtInUserAgents !== false,
+		verifiedBotSignals: config.verifiedBotSignals !== false,
+		verifiedBotHeader: typeof config.verifiedBotHeader === 'string' ? config.verifiedBotHeader : undefined,
+	};
+}
+
+/**
+ * Detects whether a request is a bot request. The verified bot signals of the CDN take precedence over the User-Agent.
+ * @param {Object} config - The bot detection configuration, see getBotDetectionConfig.
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @param {Object} edgeContext - The edge context of the request, see EdgeAttributes.
+ * @param {Function} getHeader - Returns the value of a request header.
+ * @returns {Object} { isBot, from }, where from is "verified-bot" or "user-agent" for bot requests.
+ */
+export function detectBot(config, userAgent, edgeContext, getHeader) {
+	if (config.verifiedBotSignals) {
+		const header = config.verifiedBotHeader ? getHeader(config.verifiedBotHeader) : undefined;
+		if ((edgeContext && edgeContext.verifiedBot === true) || ['true', '1'].includes(String(header).toLowerCase())) {
+			return { isBot: true, from: 'verified-bot' };
+		}
+	}
+
+	const ua = typeof userAgent === 'string' ? userAgent : '';
+	if (ua && config.builtInUserAgents && parseUserAgent(ua).isBot) {
+		return { isBot: true, from: 'user-agent' };
+	}
+	const lowerCaseUserAgent = ua.toLowerCase();
+	if (ua && config.userAgents.some((pattern) => lowerCaseUserAgent.includes(pattern))) {
+		return { isBot: true, from: 'user-agent' };
+	}
+	return { isBot: false, from: '' };
+}
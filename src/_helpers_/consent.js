@@ -0,0 +1,130 @@
+/**
+ * @module Consent
+ *
+ * The Consent module reads the consent of the visitor when the agent runs in consent-aware mode. The mode is enabled
+ * by the JSON object of the OPTIMIZELY_CONSENT environment variable, which names the cookie or header carrying the
+ * consent signal and its format:
+ * - "tcf": an IAB TCF v2 consent string, such as the euconsent-v2 cookie. Consent is granted when the visitor consented
+ *   to every purpose listed in "purposes", by default purpose 1, storing and accessing information on a device.
+ * - "flag": a custom value. Consent is granted when the value is one of "grantedValues", case-insensitive.
+ * For example:
+ *   OPTIMIZELY_CONSENT = '{"cookie": "euconsent-v2", "format": "tcf", "purposes": [1, 7]}'
+ *   OPTIMIZELY_CONSENT = '{"header": "X-Visitor-Consent", "format": "flag", "grantedValues": ["granted"]}'
+ * A missing or unreadable consent signal means that the visitor has not consented.
+ *
+ * The following methods are implemented:
+ * - getConsentConfig(abstractionHelper) - Reads the consent configuration, or null if consent-aware mode is disabled.
+ * - getTcfPurposeConsents(tcString) - Reads the purposes the visitor consented to from a TCF v2 consent string.
+ * - resolveConsent(config, cookieHeader, getHeader) - Resolves the consent of the visitor from the consent signal.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { getCookieValueByName, logger } from './optimizelyHelper';
+
+const CONSENT_FORMATS = ['tcf', 'flag'];
+const DEFAULT_TCF_PURPOSES = [1];
+const DEFAULT_GRANTED_VALUES = ['true', '1', 'yes', 'granted'];
+
+// Position of the purpose consents in the core segment of a TCF v2 consent string: 24 bits after Version (6),
+// Created (36), LastUpdated (36), CmpId (12), CmpVersion (12), ConsentScreen (6), ConsentLanguage (12),
+// VendorListVersion (12), TcfPolicyVersion (6), IsServiceSpecific (1), UseNonStandardTexts (1) and
+// SpecialFeatureOptIns (12)
+const TCF_PURPOSES_OFFSET = 152;
+const TCF_PURPOSES_COUNT = 24;
+
+/**
+ * Reads the consent configuration.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @returns {Promise<Object|null>} { cookie, header, format, purposes, grantedValues }, or null if consent-aware mode
+ *   is disabled or its configuration is invalid.
+ */
+export async function getConsentConfig(abstractionHelper) {
+	let value;
+	try {
+		value = await abstractionHelper.getEnvVariableValue(defaultSettings.consentVariable);
+	} catch (error) {
+		return null;
+	}
+	if (!value) return null;
+
+	let config = value;
+	if (typeof value === 'string') {
+		try {
+			config = JSON.parse(value);
+		} catch (error) {
+			logger().error(`Consent - ${defaultSettings.consentVariable} is not valid JSON, consent-aware mode is disabled`);
+			return null;
+		}
+	}
+	if (typeof config !== 'object' || config === null || (!config.cookie && !config.header)) {
+		logger().error(`Consent - ${defaultSettings.consentVariable} must name a cookie or a header, it is ignored`);
+		return null;
+	}
+
+	const format = CONSENT_FORMATS.includes(config.format) ? config.format : 'flag';
+	return {
+		cookie: typeof config.cookie === 'string' ? config.cookie : undefined,
+		header: typeof config.header === 'string' ? config.header : undefined,
+		format,
+		purposes: Array.isArray(config.purposes) ? config.purposes.map(Number) : DEFAULT_TCF_PURPOSES,
+		grantedValues: (Array.isArray(config.grantedValues) ? config.grantedValues : DEFAULT_GRANTED_VALUES).map(
+			(grantedValue) => String(grantedValue).toLowerCase()
+		),
+	};
+}
+
+/**
+ * Reads the purposes the visitor consented to from a TCF v2 consent string.
+ * @param {string} tcString - The TCF consent string.
+ * @returns {Set<number>|null} The purposes the visitor consented to, or null if the string is not a TCF v2 string.
+ */
+export function getTcfPurposeConsents(tcString) {
+	const coreSegment = (tcString || '').split('.')[0];
+	if (!/^[A-Za-z0-9_-]+$/.test(coreSegment)) return null;
+
+	let bits = '';
+	const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+	for (const character of coreSegment) {
+		bits += alphabet.indexOf(character).toString(2).padStart(6, '0');
+	}
+	if (bits.length < TCF_PURPOSES_OFFSET + TCF_PURPOSES_COUNT || parseInt(bits.slice(0, 6), 2) !== 2) {
+		return null;
+	}
+
+	const purposes = new Set();
+	for (let purpose = 1; purpose <= TCF_PURPOSES_COUNT; purpose++) {
+		if (bits[TCF_PURPOSES_OFFSET + purpose - 1] === '1') {
+			purposes.add(purpose);
+		}
+	}
+	return purposes;
+}
+
+/**
+ * Resolves the consent of the visitor from the consent signal. The header takes precedence over the cookie.
+ * @param {Object} config - The consent configuration, see getConsentConfig.
+ * @param {string} cookieHeader - The Cookie header of the request.
+ * @param {Function} getHeader - Returns the value of a request header.
+ * @returns {Object} { granted, from }, where from is the source of the signal: "header", "cookie" or "missing".
+ */
+export function resolveConsent(config, cookieHeader, getHeader) {
+	let signal = config.header ? getHeader(config.header) : undefined;
+	let from = 'header';
+	if (!signal && config.cookie) {
+		signal = getCookieValueByName(cookieHeader || '', config.cookie);
+		from = 'cookie';
+	}
+	if (!signal) {
+		return { granted: false, from: 'missing' };
+	}
+
+	if (config.format === 'tcf') {
+		const purposes = getTcfPurposeConsents(signal);
+		if (!purposes) {
+			logger().debug('Consent - Invalid TCF consent string, consent is not granted');
+			return { granted: false, from };
+		}
+		return { granted: config.purposes.every((purpose) => purposes.has(purpose)), from };
+	}
+	return { granted: config.grantedValues.includes(String(signal).trim().toLowerCase()), from };
+}
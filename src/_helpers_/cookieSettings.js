@@ -0,0 +1,98 @@
+/**
+ * @module CookieSettings
+ *
+ * The CookieSettings module resolves the options of the cookies set by the agent on the response. The options start
+ * from the defaults of CookieOptions, with a max-age of cookieExpirationInDays, and are overridden by the JSON objects of
+ * the OPTIMIZELY_COOKIE_OPTIONS environment variable, shared by all the cookies, and of the
+ * OPTIMIZELY_VISITOR_ID_COOKIE_OPTIONS or OPTIMIZELY_DECISIONS_COOKIE_OPTIONS environment variable.
+ * The supported options are domain, path, sameSite, secure, httpOnly and maxAge, in seconds. For example:
+ *   OPTIMIZELY_COOKIE_OPTIONS = '{"domain": ".example.com", "sameSite": "Lax"}'
+ *
+ * The following methods are implemented:
+ * - getCookieOptions(abstractionHelper, cookie, expirationInDays) - Resolves the options of the visitor ID or decisions cookie.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import cookieDefaultOptions from '../_config_/cookieOptions';
+import { logger } from './optimizelyHelper';
+
+const SAME_SITE_VALUES = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+// Checks of the supported options, returning the normalized value or undefined if the value is invalid
+const OPTION_PARSERS = {
+	domain: (value) => (typeof value === 'string' ? value.trim() || null : value === null ? null : undefined),
+	path: (value) => (typeof value === 'string' && value.startsWith('/') ? value : undefined),
+	sameSite: (value) => (typeof value === 'string' ? SAME_SITE_VALUES[value.trim().toLowerCase()] : undefined),
+	secure: (value) => (typeof value === 'boolean' ? value : undefined),
+	httpOnly: (value) => (typeof value === 'boolean' ? value : undefined),
+	maxAge: (value) => (Number.isInteger(value) && value >= 0 ? value : undefined),
+};
+
+/**
+ * Reads the cookie options of an environment variable.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {string} name - The name of the environment variable.
+ * @returns {Promise<Object>} The valid options of the variable, empty if the variable is not set or not valid JSON.
+ */
+async function readCookieOptions(abstractionHelper, name) {
+	let value;
+	try {
+		value = await abstractionHelper.getEnvVariableValue(name);
+	} catch (error) {
+		return {};
+	}
+	if (!value) return {};
+
+	let parsed = value;
+	if (typeof value === 'string') {
+		try {
+			parsed = JSON.parse(value);
+		} catch (error) {
+			logger().error(`CookieSettings - ${name} is not valid JSON, it is ignored:`, error.message);
+			return {};
+		}
+	}
+	if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+		logger().error(`CookieSettings - ${name} must be a JSON object, it is ignored`);
+		return {};
+	}
+
+	const options = {};
+	for (const [option, optionValue] of Object.entries(parsed)) {
+		const parse = OPTION_PARSERS[option];
+		const parsedValue = parse ? parse(optionValue) : undefined;
+		if (parsedValue === undefined) {
+			logger().error(`CookieSettings - Invalid or unsupported cookie option ${option} in ${name}, it is ignored`);
+			continue;
+		}
+		options[option] = parsedValue;
+	}
+	return options;
+}
+
+/**
+ * Resolves the options of the visitor ID or decisions cookie.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {string} cookie - The cookie, "visitorId" or "decisions".
+ * @param {number} expirationInDays - The default lifetime of the cookie, in days.
+ * @returns {Promise<Object>} The cookie options, with the expiration date matching the max-age.
+ */
+export async function getCookieOptions(abstractionHelper, cookie, expirationInDays) {
+	const variable =
+		cookie === 'decisions'
+			? defaultSettings.decisionsCookieOptionsVariable
+			: defaultSettings.visitorIdCookieOptionsVariable;
+	const options = {
+		...cookieDefaultOptions,
+		maxAge: Math.round(86400 * expirationInDays),
+		...(await readCookieOptions(abstractionHelper, defaultSettings.cookieOptionsVariable)),
+		...(await readCookieOptions(abstractionHelper, variable)),
+	};
+
+	if (options.sameSite === 'None' && !options.secure) {
+		logger().error('CookieSettings - Cookies with SameSite=None must be secure, the Secure attribute is set');
+		options.secure = true;
+	}
+	options.expires = new Date(Date.now() + options.maxAge * 1000);
+	return options;
+}
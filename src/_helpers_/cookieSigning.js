@@ -0,0 +1,103 @@
+/**
+ * @module CookieSigning
+ *
+ * The CookieSigning module signs the decisions cookie with an HMAC-SHA256, so that a visitor cannot force a variation by
+ * editing the cookie. The signed value is the cookie value followed by a dot and the hex encoded signature.
+ * Cookies are signed with the primary secret and verified with the primary or the secondary secret. To rotate the
+ * secret, the current primary secret becomes the secondary secret and a new primary secret is set. The secondary
+ * secret can be removed once the cookies signed with it have expired. Until a secret is configured, the decisions cookie
+ * is read and set unsigned, and a warning is logged once per isolate.
+ *
+ * The following methods are implemented:
+ * - getCookieSigningSecrets(abstractionHelper) - Reads the primary and secondary cookie signing secrets.
+ * - signCookieValue(value, secret) - Signs a cookie value.
+ * - verifySignedCookieValue(signedValue, secrets) - Verifies a signed cookie value and returns the original value.
+ * - hasCookieSignature(value) - Checks if a cookie value ends with a signature.
+ * - warnUnsignedCookies() - Logs once per isolate that the decisions cookie is not signed.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { computeHmac, logger, timingSafeEqual } from './optimizelyHelper';
+
+const SIGNATURE_SEPARATOR = '.';
+const SIGNATURE_REGEX = /\.[0-9a-f]{64}$/i;
+
+// Whether the isolate already warned that no cookie signing secret is configured
+let unsignedCookiesWarned = false;
+
+/**
+ * Reads an environment secret.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {string} name - The name of the secret.
+ * @returns {Promise<string|undefined>} The value of the secret, or undefined if it is not set.
+ */
+async function readSecret(abstractionHelper, name) {
+	try {
+		const value = await abstractionHelper.getEnvVariableValue(name);
+		return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+	} catch (error) {
+		return undefined;
+	}
+}
+
+/**
+ * Reads the primary and secondary cookie signing secrets.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @returns {Promise<string[]>} The secrets, primary first. Empty if no secret is configured.
+ */
+export async function getCookieSigningSecrets(abstractionHelper) {
+	const primary = await readSecret(abstractionHelper, defaultSettings.cookieSigningSecret);
+	const secondary = await readSecret(abstractionHelper, defaultSettings.cookieSigningSecondarySecret);
+	return [primary, secondary].filter(Boolean);
+}
+
+/**
+ * Signs a cookie value.
+ * @param {string} value - The cookie value.
+ * @param {string} secret - The signing secret.
+ * @returns {Promise<string>} The value followed by a dot and its signature.
+ */
+export async function signCookieValue(value, secret) {
+	return `${value}${SIGNATURE_SEPARATOR}${await computeHmac(secret, value)}`;
+}
+
+/**
+ * Verifies a signed cookie value and returns the original value.
+ * @param {string} signedValue - The signed cookie value.
+ * @param {string[]} secrets - The secrets accepted for verification.
+ * @returns {Promise<string|null>} The original value, or null if the signature is missing or invalid.
+ */
+export async function verifySignedCookieValue(signedValue, secrets) {
+	if (typeof signedValue !== 'string') return null;
+	const separatorIndex = signedValue.lastIndexOf(SIGNATURE_SEPARATOR);
+	if (separatorIndex === -1) return null;
+	const value = signedValue.slice(0, separatorIndex);
+	const signature = signedValue.slice(separatorIndex + 1).toLowerCase();
+	for (const secret of secrets) {
+		if (timingSafeEqual(await computeHmac(secret, value), signature)) {
+			return value;
+		}
+	}
+	return null;
+}
+
+/**
+ * Checks if a cookie value ends with a signature, whether or not the signature is valid.
+ * @param {string} value - The cookie value.
+ * @returns {boolean} True if the value ends with a dot and a hex encoded HMAC-SHA256.
+ */
+export function hasCookieSignature(value) {
+	return typeof value === 'string' && SIGNATURE_REGEX.test(value);
+}
+
+/**
+ * Logs once per isolate that the decisions cookie is not signed because no cookie signing secret is configured.
+ */
+export function warnUnsignedCookies() {
+	if (unsignedCookiesWarned) return;
+	unsignedCookiesWarned = true;
+	logger().warning(
+		`CookieSigning - ${defaultSettings.cookieSigningSecret} is not set, the decisions cookie is not signed and ` +
+			'visitors can force a variation by editing it'
+	);
+}
@@ -0,0 +1,104 @@
+/**
+ * @module DatafileCache
+ *
+ * The DatafileCache module keeps the datafiles fetched from the Optimizely CDN in the memory of the isolate, so that
+ * they are not fetched on every request. It implements stale-while-revalidate:
+ * - A datafile younger than datafileCacheTtlSeconds is served from the cache.
+ * - A stale datafile is served from the cache while a single background refresh fetches the datafile again. The
+ *   refresh is registered with waitUntil so that it completes after the response is returned.
+ * - A datafile older than datafileCacheTtlSeconds + datafileCacheMaxStaleSeconds is refreshed before it is served.
+ * When a refresh fails, the last-known-good datafile stays in the cache and keeps being served.
+ *
+ * The following methods are implemented:
+ * - getCachedDatafile(sdkKey, fetchDatafile, options) - Retrieves a datafile from the cache, fetching it when needed.
+ */
+
+import { logger } from './optimizelyHelper';
+
+// Datafiles cached in the isolate, by SDK key: { datafile, revision, fetchedAt }
+const datafileCache = new Map();
+
+// Fetches in flight, by SDK key, shared by the concurrent requests of the isolate
+const pendingFetches = new Map();
+
+/**
+ * Fetches a datafile and stores it in the cache. Only one fetch runs at a time for each SDK key, including when the
+ * datafile is not cached yet: concurrent requests wait for the fetch in flight.
+ * @param {string} sdkKey - The SDK key.
+ * @param {Function} fetchDatafile - Fetches the datafile, resolves to { datafile, revision }. Throws on failure.
+ * @returns {Promise<Object>} The cache entry.
+ */
+function refreshDatafile(sdkKey, fetchDatafile) {
+	const pendingFetch = pendingFetches.get(sdkKey);
+	if (pendingFetch) {
+		return pendingFetch;
+	}
+
+	const refreshing = (async () => {
+		try {
+			const { datafile, revision } = await fetchDatafile();
+			const previous = datafileCache.get(sdkKey);
+			if (previous && previous.revision !== revision) {
+				logger().debug(
+					`Datafile of ${sdkKey} changed from revision ${previous.revision} to ${revision} [refreshDatafile]`
+				);
+			}
+			const refreshed = { datafile, revision, fetchedAt: Date.now() };
+			datafileCache.set(sdkKey, refreshed);
+			return refreshed;
+		} catch (error) {
+			const lastKnownGood = datafileCache.get(sdkKey);
+			if (!lastKnownGood) {
+				throw error;
+			}
+			logger().error(
+				`Error refreshing the datafile of ${sdkKey}, serving revision ${lastKnownGood.revision}:`,
+				error.message
+			);
+			return lastKnownGood;
+		}
+	})();
+
+	pendingFetches.set(sdkKey, refreshing);
+	const clearPendingFetch = () => pendingFetches.delete(sdkKey);
+	refreshing.then(clearPendingFetch, clearPendingFetch);
+	return refreshing;
+}
+
+/**
+ * Retrieves a datafile from the cache, fetching it when it is not cached or when it is stale.
+ * @param {string} sdkKey - The SDK key.
+ * @param {Function} fetchDatafile - Fetches the datafile, resolves to { datafile, revision }. Throws on failure.
+ * @param {Object} options - The cache options.
+ * @param {number} options.ttlSeconds - The age after which a datafile is refreshed in the background.
+ * @param {number} options.maxStaleSeconds - The additional age after which a datafile is refreshed before it is served.
+ * @param {Function} [options.waitUntil] - Extends the lifetime of the request until the background refresh completes.
+ * @returns {Promise<Object>} { datafile, revision, status }, where status is "miss", "fresh", "stale" or "refreshed".
+ * @throws {Error} If the datafile is not cached and cannot be fetched.
+ */
+export async function getCachedDatafile(sdkKey, fetchDatafile, { ttlSeconds, maxStaleSeconds, waitUntil }) {
+	const entry = datafileCache.get(sdkKey);
+	if (!entry) {
+		logger().debug(`Datafile of ${sdkKey} not cached, fetching it [getCachedDatafile]`);
+		const { datafile, revision } = await refreshDatafile(sdkKey, fetchDatafile);
+		return { datafile, revision, status: 'miss' };
+	}
+
+	const age = (Date.now() - entry.fetchedAt) / 1000;
+	if (age < ttlSeconds) {
+		return { datafile: entry.datafile, revision: entry.revision, status: 'fresh' };
+	}
+
+	if (age >= ttlSeconds + maxStaleSeconds) {
+		logger().debug(`Datafile of ${sdkKey} is ${Math.round(age)}s old, refreshing it [getCachedDatafile]`);
+		const { datafile, revision } = await refreshDatafile(sdkKey, fetchDatafile);
+		return { datafile, revision, status: 'refreshed' };
+	}
+
+	logger().debug(`Datafile of ${sdkKey} is stale, refreshing it in the background [getCachedDatafile]`);
+	const refreshing = refreshDatafile(sdkKey, fetchDatafile);
+	if (typeof waitUntil === 'function') {
+		waitUntil(refreshing);
+	}
+	return { datafile: entry.datafile, revision: entry.revision, status: 'stale' };
+}
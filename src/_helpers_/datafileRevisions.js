@@ -0,0 +1,137 @@
+/**
+ * @module DatafileRevisions
+ *
+ * The DatafileRevisions module keeps every datafile stored in the KV store as a revision, so that a bad datafile can be
+ * rolled back at the edge. For each SDK key, the KV store holds:
+ * - optly_datafile_revision:<sdkKey>:<id> - The content of each revision.
+ * - optly_datafile_history:<sdkKey> - The list of revisions, newest first, with their ID, datafile revision, storage
+ *   date and source. The oldest revisions are removed when there are more than datafileMaxRevisions.
+ * - optly_datafile_current:<sdkKey> - The pointer to the current revision.
+ * The pointer is written last, in a single KV write, so that readers never see a partially stored revision and a
+ * rollback is atomic. Revision IDs are the storage time followed by a random suffix, so concurrent writes never store
+ * their content under the same key. KV writes are last-writer-wins: when two datafiles are stored at the same time,
+ * both contents are kept, but the history and the pointer reflect the last write only. Datafiles stored under the SDK
+ * key before revisions existed are still read when there is no pointer.
+ *
+ * The following methods are implemented:
+ * - storeDatafileRevision(kvStore, sdkKey, datafile, source) - Stores a datafile as a new revision and makes it current.
+ * - listDatafileRevisions(kvStore, sdkKey) - Retrieves the current pointer and the revision history.
+ * - getDatafileRevision(kvStore, sdkKey, id) - Retrieves the content of a revision.
+ * - getCurrentDatafile(kvStore, sdkKey) - Retrieves the content of the current revision.
+ * - rollbackDatafile(kvStore, sdkKey, id) - Makes a previous revision current.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { generateUUID, logger, safelyParseJSON } from './optimizelyHelper';
+
+const getRevisionKey = (sdkKey, id) => `${defaultSettings.kv_key_optly_datafile_revision}:${sdkKey}:${id}`;
+const getHistoryKey = (sdkKey) => `${defaultSettings.kv_key_optly_datafile_history}:${sdkKey}`;
+const getCurrentKey = (sdkKey) => `${defaultSettings.kv_key_optly_datafile_current}:${sdkKey}`;
+
+/**
+ * Reads the revision history of an SDK key.
+ * @param {Object} kvStore - The KV store.
+ * @param {string} sdkKey - The SDK key.
+ * @returns {Promise<Object[]>} The revisions, newest first.
+ */
+async function readHistory(kvStore, sdkKey) {
+	const history = safelyParseJSON(await kvStore.get(getHistoryKey(sdkKey)));
+	return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Stores a datafile as a new revision and makes it current.
+ * @param {Object} kvStore - The KV store.
+ * @param {string} sdkKey - The SDK key.
+ * @param {string} datafile - The datafile JSON string.
+ * @param {string} [source='api'] - Where the datafile comes from, such as "api" or "webhook".
+ * @returns {Promise<Object>} The stored revision.
+ */
+export async function storeDatafileRevision(kvStore, sdkKey, datafile, source = 'api') {
+	const history = await readHistory(kvStore, sdkKey);
+	const parsedDatafile = safelyParseJSON(datafile) || {};
+	const entry = {
+		id: `${Date.now()}-${(await generateUUID()).slice(0, 8)}`,
+		revision: parsedDatafile.revision,
+		storedAt: new Date().toISOString(),
+		source,
+	};
+
+	await kvStore.put(getRevisionKey(sdkKey, entry.id), datafile);
+	const removedEntries = history.splice(defaultSettings.datafileMaxRevisions - 1);
+	history.unshift(entry);
+	await kvStore.put(getHistoryKey(sdkKey), JSON.stringify(history));
+	await kvStore.put(getCurrentKey(sdkKey), JSON.stringify({ ...entry, updatedAt: entry.storedAt }));
+
+	for (const removedEntry of removedEntries) {
+		await kvStore.delete(getRevisionKey(sdkKey, removedEntry.id));
+	}
+	logger().debug(`Datafile revision ${entry.id} stored for ${sdkKey} [storeDatafileRevision]`);
+	return entry;
+}
+
+/**
+ * Retrieves the current pointer and the revision history of an SDK key.
+ * @param {Object} kvStore - The KV store.
+ * @param {string} sdkKey - The SDK key.
+ * @returns {Promise<Object>} The current pointer, or null if there is none, and the revisions, newest first.
+ */
+export async function listDatafileRevisions(kvStore, sdkKey) {
+	const current = safelyParseJSON(await kvStore.get(getCurrentKey(sdkKey)));
+	return { current, revisions: await readHistory(kvStore, sdkKey) };
+}
+
+/**
+ * Retrieves the content of a revision.
+ * @param {Object} kvStore - The KV store.
+ * @param {string} sdkKey - The SDK key.
+ * @param {number|string} id - The revision ID.
+ * @returns {Promise<string|null>} The datafile JSON string, or null if the revision does not exist.
+ */
+export async function getDatafileRevision(kvStore, sdkKey, id) {
+	return (await kvStore.get(getRevisionKey(sdkKey, id))) || null;
+}
+
+/**
+ * Retrieves the content of the current revision. When no revision was stored yet, the datafile stored under the SDK
+ * key is returned.
+ * @param {Object} kvStore - The KV store.
+ * @param {string} sdkKey - The SDK key.
+ * @returns {Promise<string|null>} The datafile JSON string, or null if no datafile is stored.
+ */
+export async function getCurrentDatafile(kvStore, sdkKey) {
+	const current = safelyParseJSON(await kvStore.get(getCurrentKey(sdkKey)));
+	if (current && current.id) {
+		const datafile = await getDatafileRevision(kvStore, sdkKey, current.id);
+		if (datafile) return datafile;
+		logger().error(`Current datafile revision ${current.id} of ${sdkKey} not found [getCurrentDatafile]`);
+	}
+	return (await kvStore.get(sdkKey)) || null;
+}
+
+/**
+ * Makes a previous revision current. The revision history is not modified, so a rollback can itself be undone by
+ * rolling back to a newer revision.
+ * @param {Object} kvStore - The KV store.
+ * @param {string} sdkKey - The SDK key.
+ * @param {number|string} [id] - The revision ID. Defaults to the revision before the current one.
+ * @returns {Promise<Object|null>} The new current pointer, or null if the revision does not exist.
+ */
+export async function rollbackDatafile(kvStore, sdkKey, id) {
+	const { current, revisions } = await listDatafileRevisions(kvStore, sdkKey);
+	let target;
+	if (id !== undefined && id !== null && id !== '') {
+		target = revisions.find((entry) => String(entry.id) === String(id));
+	} else if (current) {
+		const currentIndex = revisions.findIndex((entry) => String(entry.id) === String(current.id));
+		target = currentIndex !== -1 ? revisions[currentIndex + 1] : undefined;
+	}
+	if (!target || !(await getDatafileRevision(kvStore, sdkKey, target.id))) {
+		return null;
+	}
+
+	const pointer = { ...target, updatedAt: new Date().toISOString(), rolledBackFrom: current ? current.id : undefined };
+	await kvStore.put(getCurrentKey(sdkKey), JSON.stringify(pointer));
+	logger().debug(`Datafile of ${sdkKey} rolled back to revision ${target.id} [rollbackDatafile]`);
+	return pointer;
+}
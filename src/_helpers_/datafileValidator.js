@@ -0,0 +1,192 @@
+/**
+ * @module DatafileValidator
+ *
+ * The DatafileValidator module validates the structure of an Optimizely datafile before it is stored in the KV store or
+ * used to initialize the Optimizely client, so that a corrupt or truncated datafile is rejected with detailed errors.
+ * It checks the top level properties, the experiments, groups, feature flags, rollouts and audiences, and the
+ * references from the feature flags to their experiments and rollouts.
+ *
+ * The following methods are implemented:
+ * - validateDatafile(datafile) - Validates a datafile JSON string or object.
+ */
+
+const SUPPORTED_VERSIONS = ['2', '3', '4'];
+
+const isString = (value) => typeof value === 'string';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Collects the validation errors of a datafile, each with the path of the invalid property and a message.
+ * @private
+ */
+class ErrorCollector {
+	constructor() {
+		this.errors = [];
+	}
+
+	add(path, message) {
+		this.errors.push({ path, message });
+	}
+
+	/**
+	 * Checks the type of a property of an object.
+	 * @param {Object} object - The object.
+	 * @param {string} property - The property name.
+	 * @param {Function} check - The type check.
+	 * @param {string} type - The type name used in the error message.
+	 * @param {string} path - The path of the object.
+	 * @returns {boolean} True if the property has the expected type.
+	 */
+	expect(object, property, check, type, path) {
+		if (check(object[property])) return true;
+		const message = object[property] === undefined ? `is required and must be ${type}` : `must be ${type}`;
+		this.add(path ? `${path}.${property}` : property, message);
+		return false;
+	}
+
+	/**
+	 * Checks that a property is an array and validates each of its items.
+	 * @param {Object} object - The object.
+	 * @param {string} property - The property name.
+	 * @param {string} path - The path of the object.
+	 * @param {Function} [validateItem] - Validates an item, called with the item and its path.
+	 */
+	expectArray(object, property, path, validateItem) {
+		if (!this.expect(object, property, Array.isArray, 'an array', path)) return;
+		const arrayPath = path ? `${path}.${property}` : property;
+		object[property].forEach((item, index) => {
+			const itemPath = `${arrayPath}[${index}]`;
+			if (!validateItem) return;
+			if (!isObject(item)) {
+				this.add(itemPath, 'must be an object');
+				return;
+			}
+			validateItem(item, itemPath);
+		});
+	}
+}
+
+/**
+ * Validates an experiment, a rollout rule or an experiment of a group.
+ * @param {ErrorCollector} collector - The error collector.
+ * @param {Object} experiment - The experiment.
+ * @param {string} path - The path of the experiment.
+ */
+function validateExperiment(collector, experiment, path) {
+	collector.expect(experiment, 'id', isString, 'a string', path);
+	collector.expect(experiment, 'key', isString, 'a string', path);
+	collector.expect(experiment, 'status', isString, 'a string', path);
+	collector.expect(experiment, 'layerId', isString, 'a string', path);
+	collector.expectArray(experiment, 'audienceIds', path);
+	collector.expectArray(experiment, 'variations', path, (variation, variationPath) => {
+		collector.expect(variation, 'id', isString, 'a string', variationPath);
+		collector.expect(variation, 'key', isString, 'a string', variationPath);
+	});
+	collector.expectArray(experiment, 'trafficAllocation', path, (allocation, allocationPath) => {
+		collector.expect(allocation, 'entityId', isString, 'a string', allocationPath);
+		collector.expect(allocation, 'endOfRange', isNumber, 'a number', allocationPath);
+	});
+}
+
+/**
+ * Validates a datafile JSON string or object.
+ * @param {string|Object} datafile - The datafile.
+ * @returns {Object} { valid, errors, datafile }, where errors lists the path and message of each problem, and datafile
+ *   is the parsed datafile, or null if it is not valid JSON.
+ */
+export function validateDatafile(datafile) {
+	const collector = new ErrorCollector();
+	let parsed = datafile;
+	if (isString(datafile)) {
+		try {
+			parsed = JSON.parse(datafile);
+		} catch (error) {
+			collector.add('', `is not valid JSON: ${error.message}`);
+			return { valid: false, errors: collector.errors, datafile: null };
+		}
+	}
+	if (!isObject(parsed)) {
+		collector.add('', 'must be a JSON object');
+		return { valid: false, errors: collector.errors, datafile: null };
+	}
+
+	if (collector.expect(parsed, 'version', isString, 'a string', '') && !SUPPORTED_VERSIONS.includes(parsed.version)) {
+		collector.add('version', `is not supported, expected one of ${SUPPORTED_VERSIONS.join(', ')}`);
+	}
+	collector.expect(parsed, 'projectId', isString, 'a string', '');
+	collector.expect(parsed, 'accountId', isString, 'a string', '');
+	collector.expect(parsed, 'revision', isString, 'a string', '');
+	collector.expectArray(parsed, 'experiments', '', (experiment, path) =>
+		validateExperiment(collector, experiment, path)
+	);
+	collector.expectArray(parsed, 'events', '', (event, path) => {
+		collector.expect(event, 'id', isString, 'a string', path);
+		collector.expect(event, 'key', isString, 'a string', path);
+	});
+	collector.expectArray(parsed, 'attributes', '', (attribute, path) => {
+		collector.expect(attribute, 'id', isString, 'a string', path);
+		collector.expect(attribute, 'key', isString, 'a string', path);
+	});
+	collector.expectArray(parsed, 'audiences', '', (audience, path) => {
+		collector.expect(audience, 'id', isString, 'a string', path);
+		collector.expect(audience, 'name', isString, 'a string', path);
+		if (!isString(audience.conditions) && !Array.isArray(audience.conditions)) {
+			collector.add(`${path}.conditions`, 'is required and must be a string or an array');
+		}
+	});
+	collector.expectArray(parsed, 'groups', '', (group, path) => {
+		collector.expect(group, 'id', isString, 'a string', path);
+		collector.expect(group, 'policy', isString, 'a string', path);
+		collector.expectArray(group, 'experiments', path, (experiment, experimentPath) =>
+			validateExperiment(collector, experiment, experimentPath)
+		);
+		collector.expectArray(group, 'trafficAllocation', path);
+	});
+
+	if (parsed.version === '4' || parsed.featureFlags !== undefined || parsed.rollouts !== undefined) {
+		collector.expectArray(parsed, 'rollouts', '', (rollout, path) => {
+			collector.expect(rollout, 'id', isString, 'a string', path);
+			collector.expectArray(rollout, 'experiments', path, (experiment, experimentPath) =>
+				validateExperiment(collector, experiment, experimentPath)
+			);
+		});
+
+		const experimentIds = new Set(
+			[
+				...(Array.isArray(parsed.experiments) ? parsed.experiments : []),
+				...(Array.isArray(parsed.groups) ? parsed.groups : []).flatMap((group) =>
+					Array.isArray(group.experiments) ? group.experiments : []
+				),
+			]
+				.filter(isObject)
+				.map((experiment) => experiment.id)
+		);
+		const rolloutIds = new Set(
+			(Array.isArray(parsed.rollouts) ? parsed.rollouts : []).filter(isObject).map((rollout) => rollout.id)
+		);
+		collector.expectArray(parsed, 'featureFlags', '', (flag, path) => {
+			collector.expect(flag, 'id', isString, 'a string', path);
+			collector.expect(flag, 'key', isString, 'a string', path);
+			if (collector.expect(flag, 'rolloutId', isString, 'a string', path) && flag.rolloutId !== '') {
+				if (!rolloutIds.has(flag.rolloutId)) {
+					collector.add(`${path}.rolloutId`, `references unknown rollout ${flag.rolloutId}`);
+				}
+			}
+			collector.expectArray(flag, 'experimentIds', path);
+			(Array.isArray(flag.experimentIds) ? flag.experimentIds : []).forEach((experimentId, index) => {
+				if (!experimentIds.has(experimentId)) {
+					collector.add(`${path}.experimentIds[${index}]`, `references unknown experiment ${experimentId}`);
+				}
+			});
+			collector.expectArray(flag, 'variables', path, (variable, variablePath) => {
+				collector.expect(variable, 'id', isString, 'a string', variablePath);
+				collector.expect(variable, 'key', isString, 'a string', variablePath);
+				collector.expect(variable, 'type', isString, 'a string', variablePath);
+				collector.expect(variable, 'defaultValue', isString, 'a string', variablePath);
+			});
+		});
+	}
+
+	return { valid: collector.errors.length === 0, errors: collector.errors, datafile: parsed };
+}
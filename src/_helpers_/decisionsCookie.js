@@ -0,0 +1,285 @@
+/**
+ * @module DecisionsCookie
+ *
+ * The DecisionsCookie module encodes the decisions stored in the decisions cookie. The version 2 encoding replaces the
+ * flag, rule and variation keys with their datafile IDs, packs the IDs as variable length integers and encodes the
+ * bytes in base64url, prefixed with "v2.". Keys never need escaping, and the cookie is several times smaller than the
+ * legacy "flagKey:variationKey:ruleKey&..." format, which is still read.
+ *
+ * A value longer than decisionsCookieMaxLength is split across numbered cookies: the decisions cookie then holds
+ * "split.<count>", and the chunks are stored in the <name>_1 to <name>_<count> cookies. When even
+ * decisionsCookieMaxChunks cookies are too small, the last decisions are left out.
+ *
+ * The following methods are implemented:
+ * - buildDecisionIndex(datafile) - Builds the index of the flag, rule and variation IDs and keys of a datafile.
+ * - encodeDecisions(decisions, index, maxLength) - Encodes decisions in the version 2 format.
+ * - decodeDecisions(value, index) - Decodes decisions in the version 2 or the legacy format.
+ * - isLegacyDecisions(value) - Checks if decisions are encoded in the legacy format.
+ * - readDecisionsCookie(cookieHeader, name) - Reads the value of the decisions cookie, joining its chunks.
+ * - createDecisionsCookies(name, value, cookieHeader, options) - Creates the decisions cookie, split into chunks if needed.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { createCookie, deserializeDecisions, logger, parseCookies } from './optimizelyHelper';
+
+const VERSION_PREFIX = 'v2.';
+const SPLIT_PREFIX = 'split.';
+const MAX_PACKED_NUMBER = Math.floor(Number.MAX_SAFE_INTEGER / 2);
+
+/**
+ * Builds the index of the flag, rule and variation IDs and keys of a datafile, used to encode and decode decisions.
+ * The rules of a flag are its experiments, including the experiments of exclusion groups, and its rollout rules.
+ * @param {Object} datafile - The parsed datafile.
+ * @returns {Object} { byKey, byId }, the flags indexed by key and by ID, each with their rules and variations.
+ */
+export function buildDecisionIndex(datafile) {
+	const index = { byKey: new Map(), byId: new Map() };
+	if (!datafile) return index;
+
+	const experiments = new Map();
+	const groupExperiments = (datafile.groups || []).flatMap((group) => group.experiments || []);
+	for (const experiment of [...(datafile.experiments || []), ...groupExperiments]) {
+		experiments.set(experiment.id, experiment);
+	}
+	const rollouts = new Map((datafile.rollouts || []).map((rollout) => [rollout.id, rollout]));
+
+	for (const flag of datafile.featureFlags || []) {
+		const rules = [
+			...(flag.experimentIds || []).map((experimentId) => experiments.get(experimentId)),
+			...((rollouts.get(flag.rolloutId) || {}).experiments || []),
+		].filter(Boolean);
+		const flagByKey = { id: flag.id, rules: new Map() };
+		const flagById = { key: flag.key, rules: new Map() };
+		for (const rule of rules) {
+			const variations = rule.variations || [];
+			flagByKey.rules.set(rule.key, {
+				id: rule.id,
+				variations: new Map(variations.map((variation) => [variation.key, variation.id])),
+			});
+			flagById.rules.set(rule.id, {
+				key: rule.key,
+				variations: new Map(variations.map((variation) => [variation.id, variation.key])),
+			});
+		}
+		index.byKey.set(flag.key, flagByKey);
+		index.byId.set(flag.id, flagById);
+	}
+	return index;
+}
+
+/**
+ * Packs an ID as a variable length integer. Numeric IDs are packed as numbers, other IDs as UTF-8 strings.
+ * @param {number[]} bytes - The bytes to append to.
+ * @param {string} id - The ID.
+ */
+function packId(bytes, id) {
+	const number = Number(id);
+	if (/^\d+$/.test(id) && String(number) === id && number <= MAX_PACKED_NUMBER) {
+		packVarint(bytes, number * 2);
+		return;
+	}
+	const encoded = new TextEncoder().encode(id);
+	packVarint(bytes, encoded.length * 2 + 1);
+	bytes.push(...encoded);
+}
+
+/**
+ * Appends a non-negative integer as a variable length integer, 7 bits per byte.
+ * @param {number[]} bytes - The bytes to append to.
+ * @param {number} value - The integer.
+ */
+function packVarint(bytes, value) {
+	while (value >= 128) {
+		bytes.push((value % 128) + 128);
+		value = Math.floor(value / 128);
+	}
+	bytes.push(value);
+}
+
+/**
+ * Reads an ID packed by packId.
+ * @param {Uint8Array} bytes - The packed bytes.
+ * @param {Object} cursor - The read position, { offset }, advanced past the ID.
+ * @returns {string} The ID.
+ * @throws {Error} If the bytes are truncated.
+ */
+function unpackId(bytes, cursor) {
+	let value = 0;
+	let multiplier = 1;
+	let byte;
+	do {
+		if (cursor.offset >= bytes.length) throw new Error('Truncated decisions cookie.');
+		byte = bytes[cursor.offset++];
+		value += (byte % 128) * multiplier;
+		multiplier *= 128;
+	} while (byte >= 128);
+
+	if (value % 2 === 0) {
+		return String(value / 2);
+	}
+	const length = (value - 1) / 2;
+	if (cursor.offset + length > bytes.length) throw new Error('Truncated decisions cookie.');
+	const id = new TextDecoder().decode(bytes.subarray(cursor.offset, cursor.offset + length));
+	cursor.offset += length;
+	return id;
+}
+
+/**
+ * Encodes bytes in base64url, without padding.
+ * @param {number[]} bytes - The bytes.
+ * @returns {string} The base64url string.
+ */
+function toBase64Url(bytes) {
+	let binary = '';
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a base64url string.
+ * @param {string} text - The base64url string.
+ * @returns {Uint8Array} The bytes.
+ */
+function fromBase64Url(text) {
+	const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+	const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+	return Uint8Array.from(binary, (character) => character.charCodeAt(0));
+}
+
+/**
+ * Encodes decisions in the version 2 format. Decisions whose flag, rule or variation is not in the datafile are left
+ * out, as well as the last decisions when the encoded value would be longer than maxLength.
+ * @param {Object[]} decisions - The decisions, with their flagKey, ruleKey and variationKey.
+ * @param {Object} index - The decision index of the datafile, see buildDecisionIndex.
+ * @param {number} [maxLength=Infinity] - The maximum length of the encoded value.
+ * @returns {string|undefined} The encoded decisions, or undefined if no decision can be encoded.
+ */
+export function encodeDecisions(decisions, index, maxLength = Infinity) {
+	const bytes = [];
+	let encodedCount = 0;
+	for (const decision of decisions || []) {
+		const flag = index.byKey.get(decision.flagKey);
+		const rule = flag && flag.rules.get(decision.ruleKey);
+		const variationId = rule && rule.variations.get(decision.variationKey);
+		if (!variationId) {
+			logger().debugExt('DecisionsCookie - Decision not in the datafile, not stored:', decision.flagKey);
+			continue;
+		}
+		const decisionBytes = [];
+		packId(decisionBytes, flag.id);
+		packId(decisionBytes, rule.id);
+		packId(decisionBytes, variationId);
+		if (VERSION_PREFIX.length + Math.ceil(((bytes.length + decisionBytes.length) * 4) / 3) > maxLength) {
+			logger().error(
+				`DecisionsCookie - Cookie size limit reached, ${decisions.length - encodedCount} decisions not stored`
+			);
+			break;
+		}
+		bytes.push(...decisionBytes);
+		encodedCount++;
+	}
+	return encodedCount > 0 ? VERSION_PREFIX + toBase64Url(bytes) : undefined;
+}
+
+/**
+ * Checks if decisions are encoded in the legacy "flagKey:variationKey:ruleKey&..." format.
+ * @param {string} value - The encoded decisions.
+ * @returns {boolean} True if the value is not in the version 2 format.
+ */
+export function isLegacyDecisions(value) {
+	return typeof value === 'string' && value !== '' && !value.startsWith(VERSION_PREFIX);
+}
+
+/**
+ * Decodes decisions in the version 2 or the legacy format. Version 2 decisions whose flag, rule or variation is no
+ * longer in the datafile are left out.
+ * @param {string} value - The encoded decisions.
+ * @param {Object} index - The decision index of the datafile, see buildDecisionIndex.
+ * @returns {Object[]} The decisions, with their flagKey, variationKey and ruleKey.
+ */
+export function decodeDecisions(value, index) {
+	if (!value) return [];
+	if (isLegacyDecisions(value)) {
+		return deserializeDecisions(value);
+	}
+
+	const decisions = [];
+	try {
+		const bytes = fromBase64Url(value.slice(VERSION_PREFIX.length));
+		const cursor = { offset: 0 };
+		while (cursor.offset < bytes.length) {
+			const flagId = unpackId(bytes, cursor);
+			const ruleId = unpackId(bytes, cursor);
+			const variationId = unpackId(bytes, cursor);
+			const flag = index.byId.get(flagId);
+			const rule = flag && flag.rules.get(ruleId);
+			const variationKey = rule && rule.variations.get(variationId);
+			if (variationKey) {
+				decisions.push({ flagKey: flag.key, variationKey, ruleKey: rule.key });
+			}
+		}
+	} catch (error) {
+		logger().error('DecisionsCookie - Invalid decisions cookie:', error.message);
+		return [];
+	}
+	return decisions;
+}
+
+/**
+ * Reads the value of the decisions cookie, joining its chunks when it is split across numbered cookies.
+ * @param {string} cookieHeader - The Cookie header of the request.
+ * @param {string} name - The name of the decisions cookie.
+ * @returns {string|undefined} The value, or undefined if the cookie or one of its chunks is missing.
+ */
+export function readDecisionsCookie(cookieHeader, name) {
+	const cookies = parseCookies(cookieHeader || '');
+	let value = cookies[name];
+	if (value && value.startsWith('"') && value.endsWith('"')) {
+		value = value.slice(1, -1);
+	}
+	if (!value || !value.startsWith(SPLIT_PREFIX)) {
+		return value || undefined;
+	}
+
+	const count = Number(value.slice(SPLIT_PREFIX.length));
+	if (!Number.isInteger(count) || count < 1 || count > defaultSettings.decisionsCookieMaxChunks) {
+		return undefined;
+	}
+	const chunks = [];
+	for (let i = 1; i <= count; i++) {
+		if (!cookies[`${name}_${i}`]) return undefined;
+		chunks.push(cookies[`${name}_${i}`]);
+	}
+	return chunks.join('');
+}
+
+/**
+ * Creates the decisions cookie. A value longer than decisionsCookieMaxLength is split across numbered cookies. The
+ * numbered cookies of the request that are no longer needed are expired.
+ * @param {string} name - The name of the decisions cookie.
+ * @param {string} value - The value of the decisions cookie.
+ * @param {string} [cookieHeader] - The Cookie header of the request.
+ * @param {Object} [options={}] - The cookie options.
+ * @returns {string[]} The cookies to set on the response.
+ */
+export function createDecisionsCookies(name, value, cookieHeader, options = {}) {
+	const maxLength = defaultSettings.decisionsCookieMaxLength;
+	const chunks = [];
+	if (value.length > maxLength) {
+		for (let offset = 0; offset < value.length; offset += maxLength) {
+			chunks.push(value.slice(offset, offset + maxLength));
+		}
+	}
+
+	const cookies = [createCookie(name, chunks.length > 0 ? `${SPLIT_PREFIX}${chunks.length}` : value, options)];
+	chunks.forEach((chunk, index) => cookies.push(createCookie(`${name}_${index + 1}`, chunk, options)));
+
+	// Expire the chunks of a previous, longer value
+	const requestCookies = parseCookies(cookieHeader || '');
+	for (let i = chunks.length + 1; requestCookies[`${name}_${i}`] !== undefined; i++) {
+		cookies.push(createCookie(`${name}_${i}`, '', { ...options, maxAge: 0, expires: new Date(0) }));
+	}
+	return cookies;
+}
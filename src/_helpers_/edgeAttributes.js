@@ -0,0 +1,122 @@
+/**
+ * @module EdgeAttributes
+ *
+ * The EdgeAttributes module derives user attributes from the context of the request at the edge, so that audiences can
+ * target the geolocation, network, device, language or referrer of the visitor without involving the origin. Each CDN
+ * adapter maps the context its platform exposes into a normalized edge context with getEdgeContext(request):
+ * - country, region, city, postalCode, continent, latitude, longitude and timezone - The geolocation of the visitor.
+ * - asn and asOrganization - The autonomous system of the network of the visitor.
+ * - deviceType - "mobile", "tablet", "desktop" or "smarttv", when the platform detects it.
+ * The language and referrerHost attributes are read from the Accept-Language and Referer headers on every platform.
+ *
+ * The edge attributes and their attribute keys are configured by the JSON object of the OPTIMIZELY_EDGE_ATTRIBUTES
+ * environment variable, which maps each edge attribute to an attribute key, for example
+ * '{"country": "geo_country", "deviceType": "device_type"}', or by the edgeAttributes default setting. Setting the
+ * variable to false disables the edge attributes. Attributes sent with the request take precedence over edge attributes.
+ * The default setting only enables coarse attributes: the precise location (city, postalCode, latitude and longitude)
+ * and the network (asn and asOrganization) of the visitor must be enabled with the variable.
+ *
+ * The following methods are implemented:
+ * - readAttributeMapping(abstractionHelper, variable, defaultMapping) - Reads a mapping of derived attributes to
+ *   attribute keys from an environment variable.
+ * - getEdgeAttributeMapping(abstractionHelper) - Reads the mapping of the edge attributes to attribute keys.
+ * - getRequestContext(getHeader) - Reads the language and referrer host of the request.
+ * - buildEdgeAttributes(edgeContext, mapping) - Builds the user attributes from an edge context.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { logger } from './optimizelyHelper';
+
+const NUMERIC_ATTRIBUTES = ['latitude', 'longitude', 'asn'];
+const DEVICE_TYPES = ['mobile', 'tablet', 'desktop', 'smarttv'];
+
+/**
+ * Reads a mapping of derived attributes to attribute keys from an environment variable.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {string} variable - The name of the environment variable.
+ * @param {Object} defaultMapping - The mapping used when the variable is not set or not valid.
+ * @returns {Promise<Object|null>} The attribute key of each enabled attribute, or null if they are disabled.
+ */
+export async function readAttributeMapping(abstractionHelper, variable, defaultMapping) {
+	let value;
+	try {
+		value = await abstractionHelper.getEnvVariableValue(variable);
+	} catch (error) {
+		value = undefined;
+	}
+
+	let mapping = defaultMapping;
+	if (value !== undefined && value !== null && value !== '') {
+		try {
+			mapping = typeof value === 'string' ? JSON.parse(value) : value;
+		} catch (error) {
+			logger().error(`EdgeAttributes - ${variable} is not valid JSON, it is ignored`);
+		}
+	}
+	if (mapping === false) return null;
+	if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+		logger().error(`EdgeAttributes - ${variable} must be a JSON object or false`);
+		return defaultMapping || null;
+	}
+	return mapping;
+}
+
+/**
+ * Reads the mapping of the edge attributes to attribute keys.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @returns {Promise<Object|null>} The attribute key of each enabled edge attribute, or null if they are disabled.
+ */
+export async function getEdgeAttributeMapping(abstractionHelper) {
+	return readAttributeMapping(
+		abstractionHelper,
+		defaultSettings.edgeAttributesVariable,
+		defaultSettings.edgeAttributes
+	);
+}
+
+/**
+ * Reads the language and referrer host of the request.
+ * @param {Function} getHeader - Returns the value of a request header.
+ * @returns {Object} { language, referrerHost }, where language is the preferred language tag, such as "en-US".
+ */
+export function getRequestContext(getHeader) {
+	const acceptLanguage = getHeader('Accept-Language');
+	const language = acceptLanguage ? acceptLanguage.split(',')[0].split(';')[0].trim() : undefined;
+
+	let referrerHost;
+	const referrer = getHeader('Referer');
+	if (referrer) {
+		try {
+			referrerHost = new URL(referrer).hostname;
+		} catch (error) {
+			referrerHost = undefined;
+		}
+	}
+	return { language: language && language !== '*' ? language : undefined, referrerHost };
+}
+
+/**
+ * Builds the user attributes from an edge context. Missing values are left out, latitude, longitude and asn are
+ * numbers, and the other values are strings.
+ * @param {Object} edgeContext - The normalized edge context of the request.
+ * @param {Object} mapping - The attribute key of each edge attribute, see getEdgeAttributeMapping.
+ * @returns {Object} The user attributes.
+ */
+export function buildEdgeAttributes(edgeContext, mapping) {
+	const attributes = {};
+	for (const [name, attributeKey] of Object.entries(mapping || {})) {
+		let value = edgeContext[name];
+		if (value === undefined || value === null || value === '' || !attributeKey) continue;
+		if (NUMERIC_ATTRIBUTES.includes(name)) {
+			value = Number(value);
+			if (!Number.isFinite(value)) continue;
+		} else if (name === 'deviceType') {
+			value = String(value).toLowerCase();
+			if (!DEVICE_TYPES.includes(value)) continue;
+		} else {
+			value = String(value);
+		}
+		attributes[attributeKey] = value;
+	}
+	return attributes;
+}
@@ -0,0 +1,132 @@
+/**
+ * @module OdpEventDispatcher
+ *
+ * The OdpEventDispatcher class queues the ODP events of a request and sends them to the ODP events endpoint of the
+ * integration in a single batch, after the response has been returned. It is shared by the CDN adapters, which only
+ * supply how a request is fetched on their platform and how the lifetime of the request is extended until the dispatch
+ * completes, their equivalent of waitUntil.
+ *
+ * The beforeDispatchingOdpEvents listeners receive the URL and the events, and can return { modifiedUrl,
+ * modifiedEvents }. The afterDispatchingOdpEvents listeners receive the request, the response, the events and whether
+ * the dispatch succeeded.
+ *
+ * The following methods are implemented:
+ * - queue(odpIntegration, odpEvents) - Stores ODP events in the queue for dispatch.
+ * - dispatch(odpEventsPath) - Dispatches the queued ODP events in the background.
+ * - send(url, apiKey, events) - Sends a batch of ODP events to the ODP events endpoint.
+ */
+
+import EventListeners from '../_event_listeners_/eventListeners';
+import { logger } from './optimizelyHelper';
+
+/**
+ * Class representing the queue of the ODP events of a request.
+ */
+export default class OdpEventDispatcher {
+	/**
+	 * Creates an instance of OdpEventDispatcher.
+	 * @param {Object} options - The platform specific operations of the CDN adapter.
+	 * @param {Function} options.fetch - Sends a request, called with (url, { method, headers, body }), resolves to the
+	 *   response.
+	 * @param {Function} options.waitUntil - Extends the lifetime of the request until a promise settles.
+	 */
+	constructor({ fetch, waitUntil }) {
+		this.fetch = fetch;
+		this.waitUntil = waitUntil;
+		this.events = [];
+		this.odpIntegration = undefined;
+	}
+
+	/**
+	 * Stores ODP events in the queue, they are sent in a single batch by dispatch.
+	 * @param {Object} odpIntegration - The ODP integration from the datafile, containing the host and public key.
+	 * @param {Object[]} odpEvents - The ODP event payloads to be sent.
+	 */
+	queue(odpIntegration, odpEvents) {
+		logger().debug(`Queueing ODP events [queue]: ${odpEvents.length}`);
+		this.odpIntegration = odpIntegration;
+		this.events.push(...odpEvents);
+	}
+
+	/**
+	 * Dispatches the queued ODP events in the background, so that the response is not delayed.
+	 * @param {string} odpEventsPath - The path of the ODP events endpoint on the host of the integration.
+	 */
+	dispatch(odpEventsPath) {
+		logger().debug(`Dispatching ODP events [dispatch]: ${this.events.length}`);
+		if (this.events.length === 0 || !this.odpIntegration) return;
+
+		const events = this.events;
+		this.events = [];
+		const url = `${this.odpIntegration.host}${odpEventsPath}`;
+		this.waitUntil(
+			this.send(url, this.odpIntegration.publicKey, events).catch((error) => {
+				logger().error('Failed to dispatch ODP events:', error.message);
+			})
+		);
+	}
+
+	/**
+	 * Sends a batch of ODP events to the ODP events endpoint via HTTP POST.
+	 * @param {string} url - The ODP events endpoint.
+	 * @param {string} apiKey - The public key of the ODP integration.
+	 * @param {Object[]} events - The ODP events to be sent.
+	 * @returns {Promise<Response>} - The response of the ODP events endpoint.
+	 * @throws {Error} - If the parameters are missing or the dispatch fails.
+	 */
+	async send(url, apiKey, events) {
+		let modifiedUrl = url,
+			modifiedEvents = events;
+		logger().debug(`Sending ODP events [send]: ${url}, ${events.length}`);
+		if (!url || !apiKey) {
+			throw new Error('URL and API key must be provided.');
+		}
+
+		const eventListeners = EventListeners.getInstance();
+		if (eventListeners.isRegistered('beforeDispatchingOdpEvents')) {
+			const beforeResult = await eventListeners.trigger('beforeDispatchingOdpEvents', url, events);
+			if (beforeResult && beforeResult.modifiedUrl) {
+				modifiedUrl = beforeResult.modifiedUrl;
+			}
+			if (beforeResult && beforeResult.modifiedEvents) {
+				modifiedEvents = beforeResult.modifiedEvents;
+			}
+		}
+
+		const eventRequest = {
+			url: modifiedUrl,
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'x-api-key': apiKey,
+			},
+			body: JSON.stringify(modifiedEvents),
+		};
+		let response;
+		try {
+			response = await this.fetch(modifiedUrl, {
+				method: eventRequest.method,
+				headers: eventRequest.headers,
+				body: eventRequest.body,
+			});
+		} catch (error) {
+			throw new Error(`Failed to dispatch ODP events: ${error.message}`);
+		}
+
+		const operationResult = !!response.ok;
+		logger().debug(`ODP events were dispatched [send] - Operation Result: ${operationResult}`);
+		if (eventListeners.isRegistered('afterDispatchingOdpEvents')) {
+			await eventListeners.trigger(
+				'afterDispatchingOdpEvents',
+				eventRequest,
+				response,
+				modifiedEvents,
+				operationResult
+			);
+		}
+		if (!operationResult) {
+			throw new Error(`Failed to dispatch ODP events: HTTP error! Status: ${response.status}`);
+		}
+		return response;
+	}
+}
@@ -4,11 +4,22 @@
  * The optimizelyHelper module provides a collection of helper functions for working with CDN implementations.
  * The following methods are implemented:
  * - routeMatches(requestPath) - Checks if the given request path matches any of the defined Rest API routes.
+ * - compileUrlPattern(pattern, matchType) - Compiles a cdnExperimentURL into an exact, glob or regex URL matcher.
+ * - matchUrlPattern(compiledPattern, url) - Matches a URL against a compiled URL pattern.
+ * - replaceUrlParams(url, params) - Replaces ":param" placeholders in a URL with the captured parameter values.
+ * - parseIgnoreQueryParameters(value) - Parses the ignoreQueryParameters rule of a cdnVariationSettings configuration.
+ * - getCacheKeyParts(cdnSettings) - Retrieves the cache key part of every active experiment in a stable order.
  * - getResponseJsonKeyName(urlPath) - Retrieves the response JSON key name based on the URL path.
  * - cloneResponseObject(responseObject) - Clones a response object.
  * - arrayIsValid(array) - Checks if an array is valid (non-empty and contains elements).
  * - jsonObjectIsValid(json) - Checks if a JSON string represents a valid object.
  * - generateUUID() - Generates a UUID.
+ * - computeHmac(secret, message, algorithm) - Computes the hex encoded HMAC of a message.
+ * - timingSafeEqual(a, b) - Compares two strings in constant time.
+ * - getDatafileUrl(sdkKey, accessToken) - Builds the URL of a datafile, authenticated for secure environments.
+ * - getDatafileRequestHeaders(accessToken) - Builds the headers of a datafile request.
+ * - getDatafileAccessToken(abstractionHelper, requestToken) - Retrieves the datafile access token of a secure environment.
+ * - withTimeout(promise, timeoutMs, message) - Rejects with an error when a promise does not settle within a timeout.
  * - getDaysInSeconds(days) - Converts days to seconds.
  * - parseCookies(cookieHeader) - Parses a cookie header string into an object where each property is a cookie name and its value is the cookie's value.
  * - getCookieValueByName(cookies, name) - Retrieves the value of a cookie by name.
@@ -176,9 +187,13 @@ export function routeMatches(requestPath) {
 	// List all your route patterns here
 	const routes = [
 		'/v1/api/datafiles/:key',
+		'/v1/api/datafiles/:key/revisions',
+		'/v1/api/datafiles/:key/revisions/:revision_id',
+		'/v1/api/datafiles/:key/rollback',
 		'/v1/api/flag_keys',
 		'/v1/api/sdk/:sdk_url',
-		'/v1/api/variation_changes/:experiment_id/:api_token',
+		'/v1/api/variation_changes/:experiment_id',
+		'/v1/api/webhooks/datafile',
 	];
 
 	/**
@@ -195,6 +210,115 @@ export function routeMatches(requestPath) {
 	return routes.some(matchesRoute);
 }
 
+/**
+ * Compiles a cdnExperimentURL into a URL matcher.
+ * Glob patterns support "*" to match within a single path segment, "**" to match across path segments and
+ * ":name" to capture a path segment as a named parameter. Regex patterns are used as is, their named groups are
+ * captured as parameters.
+ * The specificity of a glob pattern is the number of literal characters it contains, it is used to rank matches.
+ * @param {string} pattern - The URL pattern to compile.
+ * @param {string} [matchType] - "exact", "glob" or "regex". When omitted, patterns containing "*" or ":name" segments
+ *   are compiled as glob patterns and all others as exact URLs.
+ * @returns {Object} The compiled pattern with its matchType, specificity and, for glob and regex patterns, its regex.
+ * @throws {SyntaxError} If the pattern is not a valid regular expression.
+ */
+export function compileUrlPattern(pattern, matchType) {
+	const type = matchType || (/\*|\/:[A-Za-z_]/.test(pattern) ? 'glob' : 'exact');
+	switch (type) {
+		case 'exact':
+			return { matchType: type, value: pattern, specificity: pattern.length };
+		case 'regex':
+			return { matchType: type, regex: new RegExp(pattern), paramNames: [], specificity: 0 };
+		case 'glob': {
+			const paramNames = [];
+			let specificity = 0;
+			const source = pattern
+				.split(/(\*\*|\*|:[A-Za-z_]\w*)/)
+				.map((part) => {
+					if (part === '**') return '.*';
+					if (part === '*') return '[^/]*';
+					if (/^:[A-Za-z_]\w*$/.test(part)) {
+						paramNames.push(part.slice(1));
+						return '([^/]+)';
+					}
+					specificity += part.length;
+					return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+				})
+				.join('');
+			return { matchType: type, regex: new RegExp(`^${source}$`), paramNames, specificity };
+		}
+		default:
+			throw new Error(`Unsupported URL match type: ${type}`);
+	}
+}
+
+/**
+ * Matches a URL against a compiled URL pattern.
+ * @param {Object} compiledPattern - The pattern returned by compileUrlPattern.
+ * @param {string} url - The normalized URL to match.
+ * @returns {Object|null} The captured parameters, which may be empty, or null if the URL does not match.
+ */
+export function matchUrlPattern(compiledPattern, url) {
+	if (compiledPattern.matchType === 'exact') {
+		return compiledPattern.value === url ? {} : null;
+	}
+	const match = compiledPattern.regex.exec(url);
+	if (!match) return null;
+	if (compiledPattern.matchType === 'regex') {
+		return { ...(match.groups || {}) };
+	}
+	const params = {};
+	compiledPattern.paramNames.forEach((name, index) => {
+		params[name] = match[index + 1];
+	});
+	return params;
+}
+
+/**
+ * Replaces ":name" placeholders in a URL with the values of the captured parameters of the same name.
+ * Placeholders without a captured parameter are left untouched.
+ * @param {string} url - The URL containing the placeholders.
+ * @param {Object} params - The captured parameters.
+ * @returns {string} The URL with the placeholders replaced.
+ */
+export function replaceUrlParams(url, params) {
+	if (!url || !params) return url;
+	return url.replace(/:([A-Za-z_]\w*)/g, (placeholder, name) =>
+		Object.prototype.hasOwnProperty.call(params, name) ? params[name] : placeholder
+	);
+}
+
+/**
+ * Parses the ignoreQueryParameters rule of a cdnVariationSettings configuration, where booleans may be strings and
+ * parameter names may be an array or a comma separated string.
+ * @param {boolean|string|string[]} value - The ignoreQueryParameters rule.
+ * @returns {boolean|string[]|undefined} true, false, the parameter names to ignore, or undefined if not set.
+ */
+export function parseIgnoreQueryParameters(value) {
+	if (value === undefined || value === null || value === '') return undefined;
+	if (value === true || value === 'true') return true;
+	if (value === false || value === 'false') return false;
+	return Array.isArray(value) ? trimStringArray(value.map(String)) : splitAndTrimArray(String(value));
+}
+
+/**
+ * Retrieves the cache key part of every active experiment of the CDN settings, sorted by flag key so that the same
+ * combination of variations always produces the same cache key. Experiments with the "VARIATION_KEY" cache key
+ * contribute their flag key and variation key, others contribute their custom cache key.
+ * @param {Object} cdnSettings - The CDN settings returned by findMatchingConfig.
+ * @returns {Object[]} The cache key parts, each with either a flagKey and variationKey or a cacheKey.
+ */
+export function getCacheKeyParts(cdnSettings) {
+	const experiments = arrayIsValid(cdnSettings.activeExperiments) ? cdnSettings.activeExperiments : [cdnSettings];
+	return [...experiments]
+		.sort((a, b) => String(a.flagKey).localeCompare(String(b.flagKey)))
+		.map((experiment) =>
+			experiment.cacheKey === 'VARIATION_KEY'
+				? { flagKey: experiment.flagKey, variationKey: experiment.variationKey }
+				: { cacheKey: experiment.cacheKey }
+		);
+}
+
 /**
  * Checks if the given URL path is a valid experimentation endpoint ignoring query parameters and trailing slashes.
  * @param {string} url - The URL path to check.
@@ -362,7 +486,7 @@ function serializeCookie(name, value, options) {
 	if (options.expires) {
 		parts.push(`Expires=${options.expires.toUTCString()}`);
 	}
-	if (options.maxAge) {
+	if (options.maxAge !== undefined && options.maxAge !== null) {
 		parts.push(`Max-Age=${options.maxAge}`);
 	}
 	if (options.domain) {
@@ -620,3 +744,97 @@ export function isValidObject(obj, returnEmptyObject = false) {
 		throw new Error('An error occurred while validating the object.');
 	}
 }
+
+/**
+ * Computes the HMAC of a message with the Web Crypto API.
+ * @param {string} secret - The secret key.
+ * @param {string} message - The message to sign.
+ * @param {string} [algorithm='SHA-256'] - The hash algorithm, such as SHA-1 or SHA-256.
+ * @returns {Promise<string>} - The hex encoded HMAC.
+ */
+export async function computeHmac(secret, message, algorithm = 'SHA-256') {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: algorithm }, false, [
+		'sign',
+	]);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+	return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compares two strings in constant time, so that the comparison of secrets or signatures does not leak their content.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} - True if the strings are equal.
+ */
+export function timingSafeEqual(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+		return false;
+	}
+	let difference = 0;
+	for (let i = 0; i < a.length; i++) {
+		difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	}
+	return difference === 0;
+}
+
+/**
+ * Builds the URL of a datafile. Datafiles of secure environments are fetched from the authenticated datafile endpoint.
+ * @param {string} sdkKey - The SDK key.
+ * @param {string} [accessToken] - The datafile access token of a secure environment.
+ * @returns {string} - The URL of the datafile.
+ */
+export function getDatafileUrl(sdkKey, accessToken) {
+	const baseUrl = accessToken ? defaultSettings.datafileAuthUrl : defaultSettings.datafileCdnUrl;
+	return `${baseUrl}/${sdkKey}.json`;
+}
+
+/**
+ * Builds the headers of a datafile request, with the bearer access token of a secure environment.
+ * @param {string} [accessToken] - The datafile access token of a secure environment.
+ * @returns {Object} - The request headers.
+ */
+export function getDatafileRequestHeaders(accessToken) {
+	const headers = { 'Content-Type': 'application/json' };
+	if (accessToken) {
+		headers['Authorization'] = `Bearer ${accessToken}`;
+	}
+	return headers;
+}
+
+/**
+ * Retrieves the datafile access token of a secure environment. The token sent in the request takes precedence over the
+ * token of the environment secret.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @param {string} [requestToken] - The token sent in the X-Optimizely-Datafile-Access-Token header.
+ * @returns {Promise<string|undefined>} - The access token, or undefined if the environment is not secure.
+ */
+export async function getDatafileAccessToken(abstractionHelper, requestToken) {
+	if (requestToken) {
+		return requestToken;
+	}
+	try {
+		const token = await abstractionHelper.getEnvVariableValue(defaultSettings.datafileAccessTokenSecret);
+		return typeof token === 'string' && token.trim() !== '' ? token.trim() : undefined;
+	} catch (error) {
+		return undefined;
+	}
+}
+
+/**
+ * Rejects with an error when a promise does not settle within a timeout.
+ * @param {Promise} promise - The promise.
+ * @param {number} timeoutMs - The timeout in milliseconds. No timeout is applied when it is not a positive number.
+ * @param {string} message - The message of the timeout error.
+ * @returns {Promise} - A promise that settles like the promise, or rejects when the timeout expires first.
+ */
+export function withTimeout(promise, timeoutMs, message) {
+	if (!(timeoutMs > 0)) {
+		return promise;
+	}
+	let timer;
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,121 @@
+/**
+ * @module RequestValidator
+ *
+ * The RequestValidator module validates the configuration inputs of a request against the request schema, see
+ * requestSchema, so that malformed headers, query parameters or body properties are rejected with a structured 400
+ * response instead of failing later. Each invalid input is reported as { field, source, name, message }, where source is
+ * "header", "query" or "body" and name is the header, query parameter or body property that holds the value. Missing
+ * required inputs are reported with the "request" source.
+ *
+ * The following methods are implemented:
+ * - checkInputValue(value, type, items) - Checks the type of a value.
+ * - parseInputValue(value, type, items) - Parses the string value of a header or query parameter.
+ * - validateRequestInputs(schema, request, pathName) - Validates the configuration inputs of a request.
+ */
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+	string: (value) => typeof value === 'string',
+	boolean: (value) => typeof value === 'boolean',
+	object: isObject,
+	array: Array.isArray,
+};
+
+const TYPE_NAMES = {
+	string: 'a string',
+	boolean: 'a boolean',
+	object: 'an object',
+	array: 'an array',
+};
+
+/**
+ * Checks the type of a value.
+ * @param {*} value - The value.
+ * @param {string} type - The expected type: "string", "boolean", "object" or "array".
+ * @param {string} [items] - The expected type of the items of an array.
+ * @returns {string|undefined} The error message, or undefined if the value has the expected type.
+ */
+export function checkInputValue(value, type, items) {
+	if (!TYPE_CHECKS[type](value)) return `must be ${TYPE_NAMES[type]}`;
+	if (type === 'array' && items) {
+		const index = value.findIndex((item) => !TYPE_CHECKS[items](item));
+		if (index !== -1) return `must be an array of ${items}s, the item at index ${index} is not ${TYPE_NAMES[items]}`;
+	}
+	return undefined;
+}
+
+/**
+ * Parses the string value of a header or query parameter: booleans are "true" or "false", and objects and arrays are
+ * JSON.
+ * @param {string} value - The string value.
+ * @param {string} type - The expected type.
+ * @param {string} [items] - The expected type of the items of an array.
+ * @returns {Object} { value } with the parsed value, or { error } with the error message.
+ */
+export function parseInputValue(value, type, items) {
+	switch (type) {
+		case 'boolean':
+			if (/^(true|false)$/i.test(value.trim())) return { value: value.trim().toLowerCase() === 'true' };
+			return { error: 'must be "true" or "false"' };
+		case 'object':
+		case 'array': {
+			let parsed;
+			try {
+				parsed = JSON.parse(value);
+			} catch (error) {
+				return { error: `must be valid JSON: ${error.message}` };
+			}
+			const error = checkInputValue(parsed, type, items);
+			return error ? { error: error.replace(/^must be an? /, 'must be a JSON ') } : { value: parsed };
+		}
+		default:
+			return { value };
+	}
+}
+
+/**
+ * Validates the configuration inputs of a request.
+ * @param {Object} schema - The request schema, see requestSchema.
+ * @param {Object} request - { getHeader, getQueryParameter, body, headerNames, queryParameterNames }, where getHeader
+ *   and getQueryParameter return the value of a header or query parameter, or null if it is missing, headerNames are the
+ *   RequestConfig settings holding the header names, and queryParameterNames the RequestConfig query parameters.
+ * @param {string} pathName - The lowercase path of the request, used for the inputs required by an endpoint.
+ * @returns {Object[]} The invalid inputs, as { field, source, name, message }. Empty if the inputs are valid.
+ */
+export function validateRequestInputs(schema, request, pathName) {
+	const { getHeader, getQueryParameter, body, headerNames, queryParameterNames } = request;
+	const errors = [];
+	const bodyIsObject = isObject(body);
+	if (body !== null && body !== undefined && !bodyIsObject) {
+		errors.push({ field: 'body', source: 'body', name: 'body', message: 'must be a JSON object' });
+	}
+
+	for (const [field, input] of Object.entries(schema)) {
+		let present = false;
+		const stringSources = [
+			['header', input.header && headerNames[input.header], getHeader],
+			['query', input.query && queryParameterNames[input.query], getQueryParameter],
+		];
+		for (const [source, name, getValue] of stringSources) {
+			if (!name) continue;
+			const value = getValue(name);
+			if (value === null || value === undefined) continue;
+			present = true;
+			// Lists are carried as plain, possibly repeated, values instead of JSON
+			const { error } = input.list ? {} : parseInputValue(value, input.type, input.items);
+			if (error) errors.push({ field, source, name, message: error });
+		}
+
+		if (input.body && bodyIsObject && body[input.body] !== undefined && body[input.body] !== null) {
+			present = true;
+			const error = checkInputValue(body[input.body], input.type, input.items);
+			if (error) errors.push({ field, source: 'body', name: input.body, message: error });
+		}
+
+		if (!present && input.requiredFor && input.requiredFor.includes(pathName)) {
+			errors.push({ field, source: 'request', name: field, message: `is required for ${pathName}` });
+		}
+	}
+	return errors;
+}
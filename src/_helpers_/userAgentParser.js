@@ -0,0 +1,109 @@
+/**
+ * @module UserAgentParser
+ *
+ * The UserAgentParser module parses the User-Agent header into the device type, browser, browser version, operating
+ * system and bot status of the visitor, so that audiences can target them. It matches the most common user agents with
+ * a few regular expressions instead of a full user agent database, to keep the worker small.
+ *
+ * The derived attributes and their attribute keys are configured by the JSON object of the
+ * OPTIMIZELY_USER_AGENT_ATTRIBUTES environment variable, for example '{"browser": "browser", "isBot": "is_bot"}', or by
+ * the userAgentAttributes default setting. Setting the variable to false disables them.
+ *
+ * The following methods are implemented:
+ * - parseUserAgent(userAgent) - Parses a User-Agent header.
+ * - getUserAgentAttributeMapping(abstractionHelper) - Reads the mapping of the derived attributes to attribute keys.
+ * - buildUserAgentAttributes(parsedUserAgent, mapping) - Builds the user attributes from a parsed User-Agent header.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { readAttributeMapping } from './edgeAttributes';
+
+// Crawlers, link previews and automated browsers. HTTP libraries such as curl or okhttp are not matched, as they also
+// send the requests of mobile apps and server-side integrations.
+const BOT_PATTERN =
+	/bot\b|bot\/|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|quora link preview|pinterest\/|vkshare|w3c_validator|whatsapp|lighthouse|headlesschrome|phantomjs/i;
+
+// Browsers in matching order, as user agents also name the browsers they are derived from
+const BROWSERS = [
+	['Edge', /(?:Edg|Edge|EdgA|EdgiOS)\/([\d.]+)/],
+	['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+	['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+	['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+	['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+	['Safari', /Version\/([\d.]+).*Safari\//],
+	['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+];
+
+const OPERATING_SYSTEMS = [
+	['Windows', /Windows NT/],
+	['iOS', /iPhone|iPad|iPod/],
+	['Android', /Android/],
+	['Chrome OS', /CrOS/],
+	['macOS', /Macintosh|Mac OS X/],
+	['Linux', /Linux/],
+];
+
+/**
+ * Parses a User-Agent header.
+ * @param {string} userAgent - The User-Agent header.
+ * @returns {Object} { deviceType, browser, browserVersion, os, isBot }, where deviceType is "mobile", "tablet",
+ *   "desktop" or "smarttv". The browser and operating system are undefined when they are not recognized.
+ */
+export function parseUserAgent(userAgent) {
+	const ua = typeof userAgent === 'string' ? userAgent : '';
+	const result = { deviceType: undefined, browser: undefined, browserVersion: undefined, os: undefined, isBot: false };
+	if (!ua) return result;
+
+	result.isBot = BOT_PATTERN.test(ua);
+	for (const [browser, pattern] of BROWSERS) {
+		const match = ua.match(pattern);
+		if (match) {
+			result.browser = browser;
+			result.browserVersion = match[1];
+			break;
+		}
+	}
+	const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua));
+	result.os = os ? os[0] : undefined;
+
+	if (/SmartTV|SMART-TV|HbbTV|AppleTV|GoogleTV|CrKey|Roku|Tizen.*TV/i.test(ua)) {
+		result.deviceType = 'smarttv';
+	} else if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)) {
+		result.deviceType = 'tablet';
+	} else if (/Mobi|iPhone|iPod|Windows Phone/i.test(ua)) {
+		result.deviceType = 'mobile';
+	} else {
+		result.deviceType = 'desktop';
+	}
+	return result;
+}
+
+/**
+ * Reads the mapping of the attributes derived from the User-Agent header to attribute keys.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @returns {Promise<Object|null>} The attribute key of each enabled attribute, or null if they are disabled.
+ */
+export async function getUserAgentAttributeMapping(abstractionHelper) {
+	return readAttributeMapping(
+		abstractionHelper,
+		defaultSettings.userAgentAttributesVariable,
+		defaultSettings.userAgentAttributes
+	);
+}
+
+/**
+ * Builds the user attributes from a parsed User-Agent header. Unrecognized values are left out.
+ * @param {Object} parsedUserAgent - The parsed User-Agent header, see parseUserAgent.
+ * @param {Object} mapping - The attribute key of each derived attribute, see getUserAgentAttributeMapping.
+ * @returns {Object} The user attributes.
+ */
+export function buildUserAgentAttributes(parsedUserAgent, mapping) {
+	const attributes = {};
+	for (const [name, attributeKey] of Object.entries(mapping || {})) {
+		const value = parsedUserAgent[name];
+		if (value !== undefined && attributeKey) {
+			attributes[attributeKey] = value;
+		}
+	}
+	return attributes;
+}
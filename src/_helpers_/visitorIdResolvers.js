@@ -0,0 +1,144 @@
+/**
+ * @module VisitorIdResolvers
+ *
+ * The VisitorIdResolvers module resolves the visitor ID of a request through an ordered chain of resolvers. The first
+ * resolver that returns a visitor ID wins, and a random UUID is generated when none does. The chain is read from the
+ * JSON array of the OPTIMIZELY_VISITOR_ID_RESOLVERS environment variable, or from the visitorIdResolvers default
+ * setting. The supported resolvers are:
+ * - { "type": "request" } - The visitor ID of the request header, query parameter or body.
+ * - { "type": "cookie", "name": "_ga" } - The value of a cookie, by default the visitor ID cookie of the agent.
+ * - { "type": "jwt", "header": "Authorization", "claim": "sub" } - A claim of a JSON Web Token read from a header or,
+ *   with "cookie", from a cookie. The signature of the token is not verified, so the token must be trusted, for
+ *   example because it is validated before the request reaches the agent.
+ * - { "type": "hashedHeader", "header": "X-User-Email", "salt": "..." } - The SHA-256 hash of a header value.
+ * - { "type": "custom" } - The visitor ID returned by the listeners of the resolveVisitorId event, as
+ *   { visitorId, visitorIdFrom }.
+ * Each resolver may set "from" to override the source reported in visitorIdFrom.
+ *
+ * The following methods are implemented:
+ * - getVisitorIdResolvers(abstractionHelper) - Reads the ordered chain of visitor ID resolvers.
+ * - resolveVisitorId(resolvers, context) - Resolves the visitor ID with the first resolver of the chain that returns one.
+ * - getJwtClaim(token, claim) - Reads a claim of a JSON Web Token without verifying its signature.
+ * - hashValue(value, salt) - Computes the hex encoded SHA-256 hash of a value.
+ */
+
+import defaultSettings from '../_config_/defaultSettings';
+import { logger } from './optimizelyHelper';
+
+const RESOLVER_TYPES = ['request', 'cookie', 'jwt', 'hashedHeader', 'custom'];
+
+/**
+ * Reads the ordered chain of visitor ID resolvers.
+ * @param {Object} abstractionHelper - The abstraction helper to read environment variables.
+ * @returns {Promise<Object[]>} The resolvers, in order.
+ */
+export async function getVisitorIdResolvers(abstractionHelper) {
+	let resolvers = defaultSettings.visitorIdResolvers;
+	try {
+		const value = await abstractionHelper.getEnvVariableValue(defaultSettings.visitorIdResolversVariable);
+		const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+		if (Array.isArray(parsed)) {
+			resolvers = parsed;
+		} else if (parsed) {
+			logger().error(`VisitorIdResolvers - ${defaultSettings.visitorIdResolversVariable} must be a JSON array`);
+		}
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			logger().error(`VisitorIdResolvers - ${defaultSettings.visitorIdResolversVariable} is not valid JSON`);
+		}
+	}
+
+	return resolvers.filter((resolver) => {
+		if (resolver && RESOLVER_TYPES.includes(resolver.type)) return true;
+		logger().error('VisitorIdResolvers - Unsupported visitor ID resolver, it is ignored:', JSON.stringify(resolver));
+		return false;
+	});
+}
+
+/**
+ * Reads a claim of a JSON Web Token without verifying its signature.
+ * @param {string} token - The token, optionally prefixed with "Bearer ".
+ * @param {string} claim - The claim, or a dot separated path to a nested claim.
+ * @returns {string|undefined} The claim as a string, or undefined if the token or the claim is invalid.
+ */
+export function getJwtClaim(token, claim) {
+	const parts = String(token || '')
+		.replace(/^Bearer\s+/i, '')
+		.split('.');
+	if (parts.length !== 3) return undefined;
+	try {
+		const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+		const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+		const payload = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+		const value = claim.split('.').reduce((object, key) => (object == null ? undefined : object[key]), payload);
+		return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+	} catch (error) {
+		logger().debug('VisitorIdResolvers - Invalid JSON Web Token:', error.message);
+		return undefined;
+	}
+}
+
+/**
+ * Computes the hex encoded SHA-256 hash of a value.
+ * @param {string} value - The value.
+ * @param {string} [salt=''] - The salt prepended to the value.
+ * @returns {Promise<string>} The hex encoded hash.
+ */
+export async function hashValue(value, salt = '') {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}${value}`));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Runs a single resolver.
+ * @param {Object} resolver - The resolver.
+ * @param {Object} context - { request, requestConfig, cdnAdapter, eventListeners }.
+ * @returns {Promise<Array>} [visitorId, visitorIdFrom], with an undefined visitor ID if the resolver has none.
+ */
+async function runResolver(resolver, { request, requestConfig, cdnAdapter, eventListeners }) {
+	const readCookie = (name) => cdnAdapter.getRequestCookie(request, name);
+	switch (resolver.type) {
+		case 'request':
+			return [requestConfig.visitorId, 'request-visitor'];
+		case 'cookie': {
+			const name = resolver.name || requestConfig.settings.visitorIdCookieName;
+			const from = name === requestConfig.settings.visitorIdCookieName ? 'cookie-visitor' : `cookie-visitor:${name}`;
+			return [readCookie(name), from];
+		}
+		case 'jwt': {
+			const token = resolver.header ? requestConfig.getHeader(resolver.header) : readCookie(resolver.cookie);
+			return [token ? getJwtClaim(token, resolver.claim || 'sub') : undefined, 'jwt-visitor'];
+		}
+		case 'hashedHeader': {
+			const value = resolver.header ? requestConfig.getHeader(resolver.header) : undefined;
+			return [value ? await hashValue(value.trim(), resolver.salt) : undefined, 'hashed-header-visitor'];
+		}
+		case 'custom': {
+			if (!eventListeners.isRegistered('resolveVisitorId')) return [undefined];
+			const result = await eventListeners.trigger('resolveVisitorId', request, requestConfig);
+			return [result.visitorId, result.visitorIdFrom || 'custom-visitor'];
+		}
+		default:
+			return [undefined];
+	}
+}
+
+/**
+ * Resolves the visitor ID with the first resolver of the chain that returns one.
+ * @param {Object[]} resolvers - The resolvers, see getVisitorIdResolvers.
+ * @param {Object} context - { request, requestConfig, cdnAdapter, eventListeners }.
+ * @returns {Promise<Array>} [visitorId, visitorIdFrom], or an empty array if no resolver returns a visitor ID.
+ */
+export async function resolveVisitorId(resolvers, context) {
+	for (const resolver of resolvers) {
+		try {
+			const [visitorId, visitorIdFrom] = await runResolver(resolver, context);
+			if (typeof visitorId === 'string' && visitorId.trim() !== '') {
+				return [visitorId.trim(), resolver.from || visitorIdFrom];
+			}
+		} catch (error) {
+			logger().error(`VisitorIdResolvers - Error in the ${resolver.type} visitor ID resolver:`, error.message);
+		}
+	}
+	return [];
+}
@@ -0,0 +1,463 @@
+/**
+ * @module HtmlTransformer
+ *
+ * The HtmlTransformer module is a portable fallback for Cloudflare's HTMLRewriter, used by the CDN adapters whose
+ * runtime does not provide an HTML rewriter. It implements the subset of the HTMLRewriter API used to apply variation
+ * changes: element handlers registered with on(selector, handler), and the element methods getAttribute, hasAttribute,
+ * setAttribute, removeAttribute, setInnerContent, before, after, prepend, append and remove.
+ * Unlike HTMLRewriter, the response body is buffered before it is transformed.
+ *
+ * Supported selectors: type (div), universal (*), id (#id), class (.class), attribute ([attr], [attr=value],
+ * [attr~=value], [attr^=value], [attr$=value], [attr*=value], [attr|=value]), :first-child, :first-of-type,
+ * :nth-child(n), :nth-of-type(n), the descendant and child (>) combinators, and selector lists (a, b).
+ *
+ * The following methods are implemented:
+ * - on(selector, handler) - Registers an element handler for a selector.
+ * - transform(response) - Transforms the HTML body of a response.
+ * - transformHtml(html) - Transforms an HTML string.
+ */
+
+import { AbstractResponse } from '../_helpers_/abstraction-classes/abstractResponse';
+
+const VOID_ELEMENTS = new Set([
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'param',
+	'source',
+	'track',
+	'wbr',
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+// Elements whose end tag may be omitted, and the start tags of the siblings that close them
+const OPTIONAL_END_TAGS = {
+	li: ['li'],
+	p: ['p', 'div', 'ul', 'ol', 'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+	dt: ['dt', 'dd'],
+	dd: ['dt', 'dd'],
+	option: ['option', 'optgroup'],
+	tr: ['tr'],
+	td: ['td', 'th', 'tr'],
+	th: ['td', 'th', 'tr'],
+};
+// Each transformHtml call creates its own global regex from this pattern, its lastIndex is kept across awaits
+const TAG_PATTERN =
+	/<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][^\s/>]*)\s*>|<([a-zA-Z][^\s/>]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const ATTRIBUTE_REGEX = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const COMPOUND_PART_REGEX =
+	/(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]|:(first-child|first-of-type)|:(nth-child|nth-of-type)\(\s*(\d+)\s*\)/y;
+
+/**
+ * Escapes text so that it is rendered as is in HTML.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts content passed to an element method to HTML, following the HTMLRewriter content options.
+ * @param {string} content - The content.
+ * @param {Object} [options] - The content options, content is escaped unless options.html is true.
+ * @returns {string} The HTML.
+ */
+function toHtml(content, options) {
+	return options && options.html ? String(content) : escapeHtml(content);
+}
+
+/**
+ * Parses a compound selector, such as "div#main.hero[data-id]", starting at the given position.
+ * @param {string} selector - The selector.
+ * @param {number} position - The position to start parsing at.
+ * @returns {Object} The parsed parts and the position after the compound selector.
+ * @throws {SyntaxError} If no compound selector starts at the position.
+ */
+function parseCompoundSelector(selector, position) {
+	const parts = [];
+	COMPOUND_PART_REGEX.lastIndex = position;
+	let match;
+	while ((match = COMPOUND_PART_REGEX.exec(selector))) {
+		if (match[1]) {
+			parts.push({ type: 'tag', name: match[1].toLowerCase() });
+		} else if (match[2]) {
+			parts.push({ type: 'attribute', name: 'id', operator: '=', value: match[2] });
+		} else if (match[3]) {
+			parts.push({ type: 'attribute', name: 'class', operator: '~=', value: match[3] });
+		} else if (match[4]) {
+			const value = match[6] !== undefined ? match[6] : match[7] !== undefined ? match[7] : match[8];
+			parts.push({ type: 'attribute', name: match[4].toLowerCase(), operator: match[5], value });
+		} else if (match[9]) {
+			parts.push({ type: match[9] === 'first-child' ? 'nth-child' : 'nth-of-type', index: 1 });
+		} else {
+			parts.push({ type: match[10], index: Number(match[11]) });
+		}
+		position = COMPOUND_PART_REGEX.lastIndex;
+	}
+	if (parts.length === 0) {
+		throw new SyntaxError(`Unsupported selector: ${selector}`);
+	}
+	return { parts, position };
+}
+
+/**
+ * Parses a selector list into complex selectors. Each complex selector is an array of compound selectors, from left
+ * to right, where each compound selector holds the combinator relating it to the compound selector on its left.
+ * @param {string} selector - The selector list.
+ * @returns {Object[][]} The parsed complex selectors.
+ * @throws {SyntaxError} If the selector is not supported.
+ */
+function parseSelector(selector) {
+	const selectors = [];
+	let compounds = [];
+	let combinator = null;
+	let position = 0;
+	while (position < selector.length) {
+		const whitespace = /^\s*/.exec(selector.slice(position))[0];
+		position += whitespace.length;
+		const char = selector[position];
+		if (char === undefined) break;
+		if (char === ',') {
+			selectors.push(compounds);
+			compounds = [];
+			combinator = null;
+			position++;
+			continue;
+		}
+		if (char === '>') {
+			combinator = '>';
+			position++;
+			continue;
+		}
+		if (compounds.length > 0 && combinator === null) {
+			if (whitespace.length === 0) throw new SyntaxError(`Unsupported selector: ${selector}`);
+			combinator = ' ';
+		}
+		const compound = parseCompoundSelector(selector, position);
+		compounds.push({ parts: compound.parts, combinator });
+		combinator = null;
+		position = compound.position;
+	}
+	selectors.push(compounds);
+	if (selectors.some((compoundList) => compoundList.length === 0)) {
+		throw new SyntaxError(`Unsupported selector: ${selector}`);
+	}
+	return selectors;
+}
+
+/**
+ * Checks if an element matches a compound selector.
+ * @param {TransformerElement} element - The element.
+ * @param {Object[]} parts - The parts of the compound selector.
+ * @returns {boolean} True if the element matches every part.
+ */
+function matchesCompound(element, parts) {
+	return parts.every((part) => {
+		switch (part.type) {
+			case 'tag':
+				return part.name === '*' || part.name === element.tagName;
+			case 'nth-child':
+				return element.index === part.index;
+			case 'nth-of-type':
+				return element.typeIndex === part.index;
+			default: {
+				const value = element.getAttribute(part.name);
+				if (value === null) return false;
+				switch (part.operator) {
+					case undefined:
+						return true;
+					case '=':
+						return value === part.value;
+					case '~=':
+						return value.split(/\s+/).includes(part.value);
+					case '^=':
+						return part.value !== '' && value.startsWith(part.value);
+					case '$=':
+						return part.value !== '' && value.endsWith(part.value);
+					case '*=':
+						return part.value !== '' && value.includes(part.value);
+					case '|=':
+						return value === part.value || value.startsWith(`${part.value}-`);
+					default:
+						return false;
+				}
+			}
+		}
+	});
+}
+
+/**
+ * Checks if an element matches a complex selector, from the rightmost compound selector to the leftmost one.
+ * @param {TransformerElement} element - The element.
+ * @param {Object[]} compounds - The compound selectors of the complex selector.
+ * @param {number} index - The index of the compound selector to match against the element.
+ * @returns {boolean} True if the element matches.
+ */
+function matchesComplex(element, compounds, index) {
+	if (!matchesCompound(element, compounds[index].parts)) return false;
+	if (index === 0) return true;
+	if (compounds[index].combinator === '>') {
+		return !!element.parent && matchesComplex(element.parent, compounds, index - 1);
+	}
+	for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+		if (matchesComplex(ancestor, compounds, index - 1)) return true;
+	}
+	return false;
+}
+
+/**
+ * An element of the document being transformed, exposing the HTMLRewriter element methods.
+ */
+class TransformerElement {
+	/**
+	 * Creates an element from its start tag.
+	 * @param {string} tagName - The lowercase tag name.
+	 * @param {string} attributesString - The attributes part of the start tag.
+	 * @param {string} rawTag - The start tag as found in the source.
+	 * @param {boolean} selfClosing - Whether the element has no content, either a void or a self-closing element.
+	 * @param {TransformerElement|null} parent - The parent element, null for top level elements.
+	 */
+	constructor(tagName, attributesString, rawTag, selfClosing, parent) {
+		this.tagName = tagName;
+		this.rawTag = rawTag;
+		this.selfClosing = selfClosing;
+		this.parent = parent;
+		this.attributes = [];
+		this.attributesChanged = false;
+		this.beforeContent = [];
+		this.afterContent = [];
+		this.prependContent = [];
+		this.appendContent = [];
+		this.innerContent = undefined;
+		this.removed = false;
+		this.childCount = 0;
+		this.typeCounts = {};
+		ATTRIBUTE_REGEX.lastIndex = 0;
+		let match;
+		while ((match = ATTRIBUTE_REGEX.exec(attributesString))) {
+			const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+			this.attributes.push([match[1].toLowerCase(), value === undefined ? '' : value]);
+		}
+	}
+
+	getAttribute(name) {
+		const attribute = this.attributes.find(([attributeName]) => attributeName === name.toLowerCase());
+		return attribute ? attribute[1] : null;
+	}
+
+	hasAttribute(name) {
+		return this.getAttribute(name) !== null;
+	}
+
+	setAttribute(name, value) {
+		const attributeName = name.toLowerCase();
+		const attribute = this.attributes.find(([existingName]) => existingName === attributeName);
+		if (attribute) {
+			attribute[1] = String(value);
+		} else {
+			this.attributes.push([attributeName, String(value)]);
+		}
+		this.attributesChanged = true;
+		return this;
+	}
+
+	removeAttribute(name) {
+		this.attributes = this.attributes.filter(([attributeName]) => attributeName !== name.toLowerCase());
+		this.attributesChanged = true;
+		return this;
+	}
+
+	setInnerContent(content, options) {
+		this.innerContent = toHtml(content, options);
+		return this;
+	}
+
+	before(content, options) {
+		this.beforeContent.push(toHtml(content, options));
+		return this;
+	}
+
+	after(content, options) {
+		this.afterContent.unshift(toHtml(content, options));
+		return this;
+	}
+
+	prepend(content, options) {
+		this.prependContent.unshift(toHtml(content, options));
+		return this;
+	}
+
+	append(content, options) {
+		this.appendContent.push(toHtml(content, options));
+		return this;
+	}
+
+	remove() {
+		this.removed = true;
+		return this;
+	}
+
+	/**
+	 * Whether the content of the element must be left out of the output.
+	 * @returns {boolean}
+	 */
+	get suppressesContent() {
+		return this.removed || this.innerContent !== undefined;
+	}
+
+	/**
+	 * Serializes the start tag, keeping the source start tag when the attributes were not changed.
+	 * @returns {string}
+	 */
+	serializeStartTag() {
+		if (!this.attributesChanged) return this.rawTag;
+		const attributes = this.attributes
+			.map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${value.replace(/"/g, '&quot;')}"`))
+			.join('');
+		return `<${this.tagName}${attributes}${this.selfClosing && !VOID_ELEMENTS.has(this.tagName) ? ' /' : ''}>`;
+	}
+}
+
+/**
+ * Portable HTML transformer implementing the subset of the HTMLRewriter API used to apply variation changes.
+ */
+export default class HtmlTransformer {
+	constructor() {
+		this.handlers = [];
+	}
+
+	/**
+	 * Registers an element handler for a selector.
+	 * @param {string} selector - The CSS selector.
+	 * @param {Object} handler - The handler, with an element(element) method.
+	 * @returns {HtmlTransformer} The transformer, for chaining.
+	 * @throws {SyntaxError} If the selector is not supported.
+	 */
+	on(selector, handler) {
+		this.handlers.push({ selectors: parseSelector(selector), handler });
+		return this;
+	}
+
+	/**
+	 * Transforms the HTML body of a response.
+	 * @param {Response} response - The response to transform.
+	 * @returns {Promise<Response>} The transformed response.
+	 */
+	async transform(response) {
+		const html = await this.transformHtml(await response.text());
+		const headers = new Headers(response.headers);
+		headers.delete('Content-Length');
+		return AbstractResponse.createNewResponse(html, {
+			status: response.status,
+			statusText: response.statusText,
+			headers,
+		});
+	}
+
+	/**
+	 * Transforms an HTML string by running the registered handlers on every matching element.
+	 * @param {string} html - The HTML to transform.
+	 * @returns {Promise<string>} The transformed HTML.
+	 */
+	async transformHtml(html) {
+		const output = [];
+		const stack = [];
+		const root = { childCount: 0, typeCounts: {} };
+		let suppressDepth = 0;
+		let position = 0;
+		const emit = (chunk) => {
+			if (suppressDepth === 0 && chunk) output.push(chunk);
+		};
+		const closeElement = (element, endTag) => {
+			if (element.suppressesContent) suppressDepth--;
+			if (!element.removed) {
+				emit(element.appendContent.join(''));
+				emit(endTag);
+			}
+			emit(element.afterContent.join(''));
+		};
+
+		const tagRegex = new RegExp(TAG_PATTERN, 'g');
+		let match;
+		while ((match = tagRegex.exec(html))) {
+			emit(html.slice(position, match.index));
+			position = tagRegex.lastIndex;
+			const [rawTag, endTagName, startTagName, attributesString, selfClosingSlash] = match;
+
+			if (endTagName) {
+				const tagName = endTagName.toLowerCase();
+				const openIndex = stack.map((element) => element.tagName).lastIndexOf(tagName);
+				if (openIndex === -1) {
+					emit(rawTag);
+					continue;
+				}
+				// Close the elements left open inside the closed element, such as <p> or <li>
+				while (stack.length > openIndex + 1) {
+					closeElement(stack.pop(), '');
+				}
+				closeElement(stack.pop(), rawTag);
+				continue;
+			}
+
+			if (!startTagName) {
+				// Comment, doctype or other markup declaration
+				emit(rawTag);
+				continue;
+			}
+
+			const tagName = startTagName.toLowerCase();
+			// Close the open element whose end tag was omitted, such as <li> before the next <li>
+			while (stack.length > 0 && (OPTIONAL_END_TAGS[stack[stack.length - 1].tagName] || []).includes(tagName)) {
+				closeElement(stack.pop(), '');
+			}
+			const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+			const selfClosing = VOID_ELEMENTS.has(tagName) || selfClosingSlash === '/';
+			const element = new TransformerElement(tagName, attributesString, rawTag, selfClosing, parent);
+			const siblings = parent || root;
+			element.index = ++siblings.childCount;
+			element.typeIndex = siblings.typeCounts[tagName] = (siblings.typeCounts[tagName] || 0) + 1;
+
+			if (suppressDepth === 0) {
+				for (const { selectors, handler } of this.handlers) {
+					const matches = selectors.some((compounds) => matchesComplex(element, compounds, compounds.length - 1));
+					if (matches && handler.element) {
+						await handler.element(element);
+					}
+				}
+			}
+
+			emit(element.beforeContent.join(''));
+			if (!element.removed) emit(element.serializeStartTag());
+			if (selfClosing) {
+				emit(element.afterContent.join(''));
+				continue;
+			}
+			if (!element.removed) {
+				emit(element.prependContent.join(''));
+				emit(element.innerContent);
+			}
+			if (element.suppressesContent) suppressDepth++;
+			stack.push(element);
+
+			if (RAW_TEXT_ELEMENTS.has(tagName)) {
+				// The content of raw text elements is not markup, continue at their end tag
+				const endTagRegex = new RegExp(`</${tagName}`, 'ig');
+				endTagRegex.lastIndex = position;
+				const endTagMatch = endTagRegex.exec(html);
+				tagRegex.lastIndex = endTagMatch ? endTagMatch.index : html.length;
+			}
+		}
+		emit(html.slice(position));
+		while (stack.length > 0) {
+			closeElement(stack.pop(), '');
+		}
+		return output.join('');
+	}
+}
@@ -0,0 +1,203 @@
+/**
+ * @module VariationChanges
+ *
+ * The VariationChanges module applies the variation changes stored in the KV store to HTML responses at the edge.
+ * Changes use the format of the actions of an experiment variation in the Optimizely REST API, and are converted to
+ * operations run by an HTML rewriter: Cloudflare's HTMLRewriter, or the portable HtmlTransformer for other CDNs.
+ *
+ * Supported changes:
+ * - attribute: sets the text, html, class, style, src, href or any other attribute of the elements matching the
+ *   selector, hides them (hide) or removes them (remove). The css property sets individual style properties.
+ * - insert_html: inserts the value before, after, at the start (prepend) or at the end (append) of the elements.
+ * - custom_css: appends the value to the head of the document in a style element.
+ * Other changes, such as custom_code or redirect, cannot be applied at the edge and are ignored.
+ *
+ * The following methods are implemented:
+ * - isHtmlResponse(response) - Checks if a response has an HTML body.
+ * - getExperimentChangesKey(experimentId) - Returns the KV key of the variation changes index of an experiment.
+ * - getVariationChangesKey(experimentId, variationKey) - Returns the KV key of the changes of a variation.
+ * - loadVariationChanges(kvStore, experiments, getExperimentId) - Loads the changes of the decided variations.
+ * - normalizeVariationChanges(changes) - Converts variation changes to rewriter operations.
+ * - applyOperation(element, operation) - Applies a rewriter operation to an element.
+ * - applyVariationChanges(response, changes, Rewriter) - Applies variation changes to an HTML response.
+ */
+
+import { logger, safelyParseJSON } from '../_helpers_/optimizelyHelper';
+import defaultSettings from '../_config_/defaultSettings';
+
+const INSERT_POSITIONS = ['before', 'after', 'prepend', 'append'];
+
+/**
+ * Checks if a response has an HTML body.
+ * @param {Response} response - The response.
+ * @returns {boolean} True if the content type of the response is text/html.
+ */
+export function isHtmlResponse(response) {
+	const headers = response && response.headers;
+	const contentType = (headers && typeof headers.get === 'function' && headers.get('Content-Type')) || '';
+	return contentType.toLowerCase().includes('text/html');
+}
+
+/**
+ * Returns the KV key of the variation changes index of an experiment. The index lists the stored variations.
+ * @param {string} experimentId - The experiment ID.
+ * @returns {string} The KV key.
+ */
+export function getExperimentChangesKey(experimentId) {
+	return `${defaultSettings.kv_key_optly_variation_changes}:${experimentId}`;
+}
+
+/**
+ * Returns the KV key of the changes of a variation.
+ * @param {string} experimentId - The experiment ID.
+ * @param {string} variationKey - The variation key.
+ * @returns {string} The KV key.
+ */
+export function getVariationChangesKey(experimentId, variationKey) {
+	return `${getExperimentChangesKey(experimentId)}:${variationKey}`;
+}
+
+/**
+ * Loads the changes of the decided variations from the KV store. Only the active experiments whose
+ * cdnVariationSettings enable applyVariationChanges are considered.
+ * @param {Object} kvStore - The KV store.
+ * @param {Object[]} experiments - The active experiments, in the order their changes must be applied.
+ * @param {Function} getExperimentId - Returns the experiment ID of a rule key.
+ * @returns {Promise<Object[]>} The variation changes, in the order they must be applied.
+ */
+export async function loadVariationChanges(kvStore, experiments, getExperimentId) {
+	const changes = [];
+	if (!kvStore) return changes;
+	for (const experiment of experiments.filter(({ applyVariationChanges }) => applyVariationChanges)) {
+		const experimentId = experiment.ruleKey && getExperimentId(experiment.ruleKey);
+		if (!experimentId) {
+			logger().debug(`No experiment found for flag ${experiment.flagKey} [loadVariationChanges]`);
+			continue;
+		}
+		const stored = safelyParseJSON(await kvStore.get(getVariationChangesKey(experimentId, experiment.variationKey)));
+		if (!stored || !Array.isArray(stored.changes)) {
+			logger().debug(
+				`No variation changes found for experiment ${experimentId}, variation ${experiment.variationKey} [loadVariationChanges]`
+			);
+			continue;
+		}
+		changes.push(...stored.changes);
+	}
+	return changes;
+}
+
+/**
+ * Converts a CSS properties object, such as { "background-color": "red" }, to a style declaration.
+ * @param {Object} css - The CSS properties.
+ * @returns {string} The style declaration.
+ */
+function toStyleDeclaration(css) {
+	return Object.entries(css)
+		.map(([property, value]) => `${property}: ${value};`)
+		.join(' ');
+}
+
+/**
+ * Converts variation changes to rewriter operations. Each operation has a selector, a type (text, html, attribute,
+ * style, insert or remove) and, depending on the type, a name, a value and a position.
+ * @param {Object[]} changes - The variation changes.
+ * @returns {Object[]} The rewriter operations, in the order of the changes.
+ */
+export function normalizeVariationChanges(changes) {
+	const operations = [];
+	for (const change of changes || []) {
+		if (!change || typeof change !== 'object') continue;
+		const { selector } = change;
+		switch (change.type) {
+			case 'attribute':
+				if (!selector) break;
+				for (const [name, value] of Object.entries(change.attributes || {})) {
+					if (name === 'text' || name === 'html') {
+						operations.push({ selector, type: name, value: String(value) });
+					} else if (name === 'hide') {
+						if (value) operations.push({ selector, type: 'style', value: 'display: none !important;' });
+					} else if (name === 'remove') {
+						if (value) operations.push({ selector, type: 'remove' });
+					} else {
+						operations.push({ selector, type: 'attribute', name, value: String(value) });
+					}
+				}
+				if (change.css && typeof change.css === 'object' && Object.keys(change.css).length > 0) {
+					operations.push({ selector, type: 'style', value: toStyleDeclaration(change.css) });
+				}
+				break;
+			case 'insert_html': {
+				const position = change.operator || 'append';
+				if (!selector || !INSERT_POSITIONS.includes(position)) {
+					logger().debug(`Invalid insert_html change ignored [normalizeVariationChanges]: ${selector}, ${position}`);
+					break;
+				}
+				operations.push({ selector, type: 'insert', position, value: String(change.value || '') });
+				break;
+			}
+			case 'custom_css':
+				if (change.value) {
+					const value = `<style>${change.value}</style>`;
+					operations.push({ selector: 'head', type: 'insert', position: 'append', value });
+				}
+				break;
+			default:
+				logger().debug(`Variation change of type ${change.type} cannot be applied at the edge and was ignored`);
+		}
+	}
+	return operations;
+}
+
+/**
+ * Applies a rewriter operation to an element. The element may be an HTMLRewriter element or an HtmlTransformer element.
+ * @param {Object} element - The element matching the selector of the operation.
+ * @param {Object} operation - The rewriter operation.
+ */
+export function applyOperation(element, operation) {
+	switch (operation.type) {
+		case 'text':
+			element.setInnerContent(operation.value, { html: false });
+			break;
+		case 'html':
+			element.setInnerContent(operation.value, { html: true });
+			break;
+		case 'attribute':
+			element.setAttribute(operation.name, operation.value);
+			break;
+		case 'style': {
+			const style = (element.getAttribute('style') || '').trim();
+			const separator = style && !style.endsWith(';') ? '; ' : style ? ' ' : '';
+			element.setAttribute('style', `${style}${separator}${operation.value}`);
+			break;
+		}
+		case 'insert':
+			element[operation.position](operation.value, { html: true });
+			break;
+		case 'remove':
+			element.remove();
+			break;
+	}
+}
+
+/**
+ * Applies variation changes to an HTML response.
+ * @param {Response} response - The HTML response.
+ * @param {Object[]} changes - The variation changes, in the order they must be applied.
+ * @param {Function} Rewriter - The rewriter class, HTMLRewriter on Cloudflare or HtmlTransformer elsewhere.
+ * @returns {Promise<Response>} The transformed response, or the original response if there is nothing to apply.
+ */
+export async function applyVariationChanges(response, changes, Rewriter) {
+	const operations = normalizeVariationChanges(changes);
+	if (operations.length === 0) return response;
+
+	const rewriter = new Rewriter();
+	for (const operation of operations) {
+		try {
+			rewriter.on(operation.selector, { element: (element) => applyOperation(element, operation) });
+		} catch (error) {
+			logger().error(`Invalid selector in variation changes [applyVariationChanges]: ${operation.selector}`, error);
+		}
+	}
+	logger().debug(`Applying ${operations.length} variation change operations [applyVariationChanges]`);
+	return await rewriter.transform(response);
+}
@@ -0,0 +1,89 @@
+import { logger } from '../_helpers_/optimizelyHelper';
+
+/**
+ * Class representing a bounded pool of Optimizely clients, keyed by SDK key and datafile revision.
+ * A worker serving several projects or environments keeps one client for each of them instead of rebuilding a single
+ * client whenever the SDK key changes. The least recently used client is evicted when the pool is full, and adding the
+ * client of a new revision removes the clients of the previous revisions of the same SDK key.
+ * Each SDK key has its own user profile service, which is kept across the revisions of its datafile.
+ */
+class OptimizelyClientPool {
+	/**
+	 * Create an Optimizely client pool.
+	 * @param {number} maxSize - The maximum number of clients in the pool.
+	 */
+	constructor(maxSize) {
+		this.maxSize = Math.max(1, maxSize);
+		// Entries in least recently used order: { sdkKey, revision, client, userProfileService }
+		this.entries = new Map();
+	}
+
+	/**
+	 * Get the pool key of an SDK key and datafile revision.
+	 * @param {string} sdkKey - The SDK key.
+	 * @param {string} revision - The datafile revision.
+	 * @returns {string} The pool key.
+	 */
+	getKey(sdkKey, revision) {
+		return `${sdkKey}:${revision}`;
+	}
+
+	/**
+	 * Get the entry of an SDK key and datafile revision, and mark it as the most recently used.
+	 * @param {string} sdkKey - The SDK key.
+	 * @param {string} revision - The datafile revision.
+	 * @returns {Object|undefined} The entry { sdkKey, revision, client, userProfileService }, or undefined.
+	 */
+	get(sdkKey, revision) {
+		const key = this.getKey(sdkKey, revision);
+		const entry = this.entries.get(key);
+		if (entry) {
+			this.entries.delete(key);
+			this.entries.set(key, entry);
+		}
+		return entry;
+	}
+
+	/**
+	 * Get the user profile service of an SDK key, shared by the clients of all its revisions.
+	 * @param {string} sdkKey - The SDK key.
+	 * @returns {Object|undefined} The user profile service, or undefined if no client of the SDK key is pooled.
+	 */
+	getUserProfileService(sdkKey) {
+		for (const entry of this.entries.values()) {
+			if (entry.sdkKey === sdkKey && entry.userProfileService) {
+				return entry.userProfileService;
+			}
+		}
+		return undefined;
+	}
+
+	/**
+	 * Add the client of an SDK key and datafile revision as the most recently used entry.
+	 * @param {string} sdkKey - The SDK key.
+	 * @param {string} revision - The datafile revision.
+	 * @param {Object} client - The Optimizely client.
+	 * @param {Object|null} userProfileService - The user profile service of the SDK key.
+	 * @returns {Object} The added entry.
+	 */
+	add(sdkKey, revision, client, userProfileService) {
+		for (const [key, entry] of this.entries) {
+			if (entry.sdkKey === sdkKey) {
+				logger().debug('OptimizelyClientPool - Removing client of previous revision:', entry.revision);
+				this.entries.delete(key);
+			}
+		}
+
+		const entry = { sdkKey, revision, client, userProfileService };
+		this.entries.set(this.getKey(sdkKey, revision), entry);
+
+		while (this.entries.size > this.maxSize) {
+			const [leastRecentlyUsedKey] = this.entries.keys();
+			logger().debug('OptimizelyClientPool - Evicting least recently used client:', leastRecentlyUsedKey);
+			this.entries.delete(leastRecentlyUsedKey);
+		}
+		return entry;
+	}
+}
+
+export default OptimizelyClientPool;
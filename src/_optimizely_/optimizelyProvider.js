@@ -7,6 +7,10 @@ import { logger } from '../_helpers_/optimizelyHelper';
 // import EventListeners from '../_event_listeners_/eventListeners';
 import defaultSettings from '../_config_/defaultSettings';
 import UserProfileService from './userProfileService';
+import OptimizelyClientPool from './optimizelyClientPool';
+import { buildDecisionIndex } from '../_helpers_/decisionsCookie';
+import { buildEdgeAttributes, getEdgeAttributeMapping, getRequestContext } from '../_helpers_/edgeAttributes';
+import { buildUserAgentAttributes, getUserAgentAttributeMapping, parseUserAgent } from '../_helpers_/userAgentParser';
 
 import {
 	createInstance,
@@ -14,13 +18,13 @@ import {
 	OptimizelyDecideOption as optlyDecideOptions,
 } from '@optimizely/optimizely-sdk/dist/optimizely.lite.min.js';
 
-// Global variables to store the SDK key and the Optimizely client. These are used to make sure that the
-// same Optimizely client is used across multiple instances of the OptimizelyProvider class, and only one instance
-// of the Optimizely client is created for each SDK key.
-let globalSdkKey = undefined;
-let globalOptimizelyClient = undefined;
+// Global pool of Optimizely clients. It is used to make sure that the same Optimizely client is used across multiple
+// instances of the OptimizelyProvider class, and only one instance of the Optimizely client is created for each SDK key
+// and datafile revision.
+const globalClientPool = new OptimizelyClientPool(defaultSettings.optimizelyClientPoolSize);
 let globalKVStore = undefined;
-let globalKVStoreUserProfile = undefined;
+// Decision indexes of the datafiles of the pooled clients, released with their client
+const decisionIndexes = new WeakMap();
 
 /**
  * The OptimizelyProvider class is a class that provides a common interface for handling Optimizely operations.
@@ -30,13 +34,16 @@ let globalKVStoreUserProfile = undefined;
  *   request, environment, context, requestConfig, and abstractionHelper objects.
  * - setCdnAdapter(adapter) - Sets the CDN adapter.
  * - getCdnAdapter() - Gets the CDN adapter.
+ * - setEventsDisabled(disabled) - Disables the decision and conversion events of the request.
  * - validateParameters(attributes, eventTags, defaultDecideOptions, userAgent, datafileAccessToken) - Validates the types of
  *   various parameters required for initializing Optimizely.
- * - initializeOptimizely(datafile, visitorId, defaultDecideOptions, attributes, eventTags, datafileAccessToken, userAgent)
- *   Initializes the Optimizely client with provided configuration.
+ * - initializeOptimizely(datafile, visitorId, defaultDecideOptions, attributes, eventTags, datafileAccessToken, userAgent,
+ *   sdkKey, datafileRevision) - Initializes the Optimizely client with provided configuration.
  * - createEventDispatcher(decideOptions, ctx) - Constructs the custom event dispatcher if decision events are not disabled.
  * - buildInitParameters(datafile, datafileAccessToken, defaultDecideOptions) - Builds the initialization parameters for the Optimizely client.
  * - getAttributes(attributes, userAgent) - Retrieves the user attributes.
+ * - getEdgeAttributes() - Retrieves the user attributes derived from the edge context of the request.
+ * - getUserAgentAttributes(userAgent) - Retrieves the user attributes derived from the User-Agent header.
  * - buildDecideOptions(decideOptions) - Builds the decision options for the Optimizely client.
  * - getActiveFlags() - Retrieves the active feature flags.
  * - decide(flagKeys, flagsToForce, forcedDecisionKeys) - Makes a decision for the specified feature flag keys.
@@ -45,13 +52,22 @@ let globalKVStoreUserProfile = undefined;
  * - track(eventKey, attributes, eventTags) - Tracks an event.
  * - datafile() - Retrieves the Optimizely datafile.
  * - config() - Retrieves the Optimizely configuration.
+ * - getExperimentId(experimentKey) - Retrieves the ID of an experiment or rule from the datafile.
+ * - getDecisionIndex() - Retrieves the index of the flag, rule and variation IDs and keys of the datafile.
+ * - getOdpIntegration() - Retrieves the ODP integration settings from the datafile.
+ * - validateOdpEvent(odpEvent) - Validates a single ODP event.
+ * - buildOdpEvent(odpEvent) - Builds the ODP event payload sent to the ODP events endpoint.
+ * - sendOdpEvent(odpEvents) - Validates ODP events and queues them for dispatch through the CDN adapter.
+ * - batch(batchOperations, userAgent) - Executes multiple decide, track and config operations in a single call.
  */
 export default class OptimizelyProvider {
 	constructor(request, env, ctx, requestConfig, abstractionHelper, kvStoreUserProfile) {
 		logger().debug('Initializing OptimizelyProvider');
 		this.visitorId = undefined;
 		this.optimizelyClient = undefined;
+		this.userProfileService = undefined;
 		this.optimizelyUserContext = undefined;
+		this.eventsDisabled = false;
 		this.cdnAdapter = undefined;
 		this.request = request;
 		this.httpMethod = abstractionHelper.abstractRequest.method;
@@ -89,6 +105,15 @@ export default class OptimizelyProvider {
 		return this.cdnAdapter;
 	}
 
+	/**
+	 * Disables the decision and conversion events of the request, for visitors who have not consented. The decide
+	 * operations of a batch are made with DISABLE_DECISION_EVENT and its track operations are not dispatched.
+	 * @param {boolean} disabled - True to disable the events.
+	 */
+	setEventsDisabled(disabled) {
+		this.eventsDisabled = disabled;
+	}
+
 	/**
 	 * Validates the types of various parameters required for initializing Optimizely.
 	 * @param {Object} attributes - Attributes to validate as a proper object.
@@ -129,6 +154,7 @@ export default class OptimizelyProvider {
 	 * @param {string} [datafileAccessToken=""] - Access token for the datafile (optional).
 	 * @param {string} [userAgent=""] - User agent string of the client, used in attributes fetching.
 	 * @param {string} [sdkKey=""] - The datafile SDK key.
+	 * @param {string} [datafileRevision] - The revision of the datafile. The client is recreated when it changes.
 	 * @returns {Promise<boolean>} - True if initialization is successful.
 	 * @throws {Error} - Propagates any errors encountered.
 	 */
@@ -141,6 +167,7 @@ export default class OptimizelyProvider {
 		datafileAccessToken = '',
 		userAgent = '',
 		sdkKey = '',
+		datafileRevision = undefined,
 	) {
 		logger().debug('Initializing Optimizely [initializeOptimizely]');
 		this.visitorId = visitorId;
@@ -155,39 +182,45 @@ export default class OptimizelyProvider {
 				throw new Error('Visitor ID must be provided.');
 			}
 
-			if (globalSdkKey !== sdkKey) {
-				// Create and / or assign the global KV Storage User Profile Service
-				globalKVStoreUserProfile = this.kvStoreUserProfileEnabled
-					? globalKVStoreUserProfile || new UserProfileService(this.kvStoreUserProfile, sdkKey)
+			let poolEntry = globalClientPool.get(sdkKey, datafileRevision);
+			if (!poolEntry) {
+				// Reuse the KV Storage User Profile Service of the SDK key, or create one
+				const userProfileService = this.kvStoreUserProfileEnabled
+					? globalClientPool.getUserProfileService(sdkKey) || new UserProfileService(this.kvStoreUserProfile, sdkKey)
 					: null;
 
 				logger().debug(
-					'Creating new Optimizely client [initializeOptimizely] - new sdkKey: ',
+					'Creating new Optimizely client [initializeOptimizely] - sdkKey: ',
 					sdkKey,
-					' - previous sdkKey: ',
-					globalSdkKey,
+					' - revision: ',
+					datafileRevision,
 				);
 				const params = this.buildInitParameters(
 					datafile,
 					datafileAccessToken,
 					defaultDecideOptions,
 					visitorId,
-					globalKVStoreUserProfile,
+					userProfileService,
 				);
-				globalOptimizelyClient = createInstance(params);
-				globalSdkKey = sdkKey;
+				poolEntry = globalClientPool.add(sdkKey, datafileRevision, createInstance(params), userProfileService);
 			} else {
-				logger().debug('Reusing existing Optimizely client [initializeOptimizely] - sdkKey: ', sdkKey);
+				logger().debug(
+					'Reusing existing Optimizely client [initializeOptimizely] - sdkKey: ',
+					sdkKey,
+					' - revision: ',
+					datafileRevision,
+				);
 			}
 
+			this.userProfileService = poolEntry.userProfileService;
 			if (this.kvStoreUserProfileEnabled) {
 				// Prefetch user profiles for anticipated user(s)
-				if (globalKVStoreUserProfile) {
-					await globalKVStoreUserProfile.prefetchUserProfiles([visitorId]);
+				if (this.userProfileService) {
+					await this.userProfileService.prefetchUserProfiles([visitorId]);
 				}
 			}
 
-			this.optimizelyClient = globalOptimizelyClient;
+			this.optimizelyClient = poolEntry.client;
 			attributes = await this.getAttributes(attributes, userAgent);
 			logger().debug('Creating Optimizely user context [initializeOptimizely]');
 			this.optimizelyUserContext = this.optimizelyClient.createUserContext(visitorId, attributes);
@@ -275,17 +308,19 @@ export default class OptimizelyProvider {
 	}
 
 	/**
-	 * Retrieves the user attributes.
+	 * Retrieves the user attributes. The attributes derived from the User-Agent header, see UserAgentParser, and from the
+	 * edge context of the request, see EdgeAttributes, are added. The edge attributes take precedence over the User-Agent
+	 * attributes, and the attributes sent with the request take precedence over both.
 	 * @param {Object} attributes - The user attributes.
 	 * @param {string} [userAgent] - The user agent string.
 	 * @returns {Promise<Object>} - A promise that resolves to the user attributes.
 	 */
 	async getAttributes(attributes = {}, userAgent) {
 		logger().debug('Retrieving user attributes [getAttributes]');
-		let result = {};
+		let result = Object.assign(await this.getUserAgentAttributes(userAgent), await this.getEdgeAttributes());
 
 		if (attributes) {
-			result = attributes;
+			result = Object.assign(result, attributes);
 		}
 
 		if (userAgent) {
@@ -296,6 +331,49 @@ export default class OptimizelyProvider {
 		return result;
 	}
 
+	/**
+	 * Retrieves the user attributes derived from the edge context of the request, see EdgeAttributes.
+	 * @returns {Promise<Object>} - A promise that resolves to the edge attributes, empty if they are disabled.
+	 */
+	async getEdgeAttributes() {
+		try {
+			const mapping = await getEdgeAttributeMapping(this.abstractionHelper);
+			if (!mapping) return {};
+			const request = this.abstractionHelper.request;
+			const edgeContext = {
+				...(this.cdnAdapter && typeof this.cdnAdapter.getEdgeContext === 'function'
+					? this.cdnAdapter.getEdgeContext(request)
+					: {}),
+				...getRequestContext((name) => this.abstractionHelper.abstractRequest.getHeader(name)),
+			};
+			const result = buildEdgeAttributes(edgeContext, mapping);
+			logger().debugExt('Edge attributes retrieved [getEdgeAttributes]: ', result);
+			return result;
+		} catch (error) {
+			logger().error('Error retrieving edge attributes [getEdgeAttributes]:', error.message);
+			return {};
+		}
+	}
+
+	/**
+	 * Retrieves the user attributes derived from the User-Agent header, see UserAgentParser.
+	 * @param {string} [userAgent] - The user agent string.
+	 * @returns {Promise<Object>} - A promise that resolves to the User-Agent attributes, empty if they are disabled.
+	 */
+	async getUserAgentAttributes(userAgent) {
+		if (!userAgent) return {};
+		try {
+			const mapping = await getUserAgentAttributeMapping(this.abstractionHelper);
+			if (!mapping) return {};
+			const result = buildUserAgentAttributes(parseUserAgent(userAgent), mapping);
+			logger().debugExt('User-Agent attributes retrieved [getUserAgentAttributes]: ', result);
+			return result;
+		} catch (error) {
+			logger().error('Error retrieving User-Agent attributes [getUserAgentAttributes]:', error.message);
+			return {};
+		}
+	}
+
 	/**
 	 * Builds the decision options for the Optimizely client.
 	 * @param {string[]} decideOptions - The decision options.
@@ -370,7 +448,7 @@ export default class OptimizelyProvider {
 		logger().debugExt('Decisions made [decide]: ', decisions);
 
 		if (this.kvStoreUserProfileEnabled && this.kvStoreUserProfile) {
-			const { key, userProfileMap } = await globalKVStoreUserProfile.getUserProfileFromCache(this.visitorId);
+			const { key, userProfileMap } = await this.userProfileService.getUserProfileFromCache(this.visitorId);
 			const resultJSON = optlyHelper.safelyStringifyJSON(userProfileMap);
 			logger().debugExt(
 				'Retrieved user profile data for visitor [decide -> saveToKVStorage] - key:',
@@ -378,7 +456,7 @@ export default class OptimizelyProvider {
 				'user profile map:',
 				userProfileMap,
 			);
-			await globalKVStoreUserProfile.saveToKVStorage(key, resultJSON);
+			await this.userProfileService.saveToKVStorage(key, resultJSON);
 		}
 		return decisions;
 	}
@@ -450,42 +528,317 @@ export default class OptimizelyProvider {
 	}
 
 	/**
-	 * Sends an ODP (Optimizely Data Platform) event.
-	 * @param {string} eventType - The type of the event.
-	 * @param {Object} [eventData={}] - The data associated with the event.
-	 * @returns {Promise<void>} - A promise that resolves when the event is sent.
-	 * @throws {Error} - Throws an error if the Optimizely client or user context is not initialized.
+	 * Retrieves the ID of an experiment or rule from the datafile, including the experiments of exclusion groups.
+	 * @param {string} experimentKey - The key of the experiment, or the rule key of a decision.
+	 * @returns {string|undefined} - The experiment ID, or undefined if the experiment is not in the datafile.
+	 */
+	getExperimentId(experimentKey) {
+		const datafile = optlyHelper.safelyParseJSON(this.optimizelyClient.getOptimizelyConfig().getDatafile());
+		if (!datafile) return undefined;
+		const groupExperiments = (datafile.groups || []).flatMap((group) => group.experiments || []);
+		const experiment = [...(datafile.experiments || []), ...groupExperiments].find(
+			(experiment) => experiment.key === experimentKey
+		);
+		return experiment ? experiment.id : undefined;
+	}
+
+	/**
+	 * Retrieves the index of the flag, rule and variation IDs and keys of the datafile, used to encode the decisions
+	 * cookie. The index is built once for each Optimizely client.
+	 * @returns {Object} - The decision index, see DecisionsCookie.buildDecisionIndex.
+	 */
+	getDecisionIndex() {
+		let index = decisionIndexes.get(this.optimizelyClient);
+		if (!index) {
+			const datafile = optlyHelper.safelyParseJSON(this.optimizelyClient.getOptimizelyConfig().getDatafile());
+			index = buildDecisionIndex(datafile);
+			decisionIndexes.set(this.optimizelyClient, index);
+		}
+		return index;
+	}
+
+	/**
+	 * Retrieves the ODP (Optimizely Data Platform) integration settings from the datafile.
+	 * @returns {Object|null} - The ODP integration with the host and public key, or null if ODP is not integrated.
+	 */
+	getOdpIntegration() {
+		logger().debug('Retrieving ODP integration from the datafile [getOdpIntegration]');
+		const datafile = optlyHelper.safelyParseJSON(this.optimizelyClient.getOptimizelyConfig().getDatafile());
+		const integrations = (datafile && datafile.integrations) || [];
+		const odpIntegration = integrations.find((integration) => integration.key === 'odp');
+		if (!odpIntegration || !odpIntegration.host || !odpIntegration.publicKey) {
+			return null;
+		}
+		return { host: odpIntegration.host, publicKey: odpIntegration.publicKey };
+	}
+
+	/**
+	 * Validates a single ODP event received in the request body.
+	 * @param {Object} odpEvent - The ODP event to validate.
+	 * @returns {string[]} - The validation errors, empty if the event is valid.
+	 */
+	validateOdpEvent(odpEvent) {
+		const errors = [];
+		if (!odpEvent || typeof odpEvent !== 'object' || Array.isArray(odpEvent)) {
+			errors.push('ODP event must be an object.');
+			return errors;
+		}
+
+		const { type, action, identifiers, data } = odpEvent;
+		if (type !== undefined && (typeof type !== 'string' || type.trim() === '')) {
+			errors.push('ODP event type must be a non-empty string.');
+		}
+		if (typeof action !== 'string' || action.trim() === '') {
+			errors.push('ODP event action is required and must be a non-empty string.');
+		}
+		if (identifiers !== undefined) {
+			if (!optlyHelper.isValidObject(identifiers) || Array.isArray(identifiers)) {
+				errors.push('ODP event identifiers must be a non-empty object.');
+			} else if (Object.values(identifiers).some((value) => typeof value !== 'string' || value === '')) {
+				errors.push('ODP event identifier values must be non-empty strings.');
+			}
+		}
+		if (data !== undefined) {
+			if (!data || typeof data !== 'object' || Array.isArray(data)) {
+				errors.push('ODP event data must be an object.');
+			} else if (Object.values(data).some((value) => value !== null && typeof value === 'object')) {
+				errors.push('ODP event data values must be strings, numbers, booleans or null.');
+			}
+		}
+		return errors;
+	}
+
+	/**
+	 * Builds the ODP event payload sent to the ODP events endpoint. The visitor ID is used as the "fs_user_id"
+	 * identifier when no identifiers are provided, and the common data source fields are added to the event data.
+	 * @param {Object} odpEvent - The validated ODP event.
+	 * @returns {Promise<Object>} - The ODP event payload.
+	 */
+	async buildOdpEvent(odpEvent) {
+		const identifiers = odpEvent.identifiers ? { ...odpEvent.identifiers } : { fs_user_id: this.visitorId };
+		return {
+			type: odpEvent.type || 'fullstack',
+			action: odpEvent.action,
+			identifiers,
+			data: {
+				idempotence_id: await optlyHelper.generateUUID(),
+				data_source_type: 'sdk',
+				data_source: defaultSettings.optlyClientEngine,
+				data_source_version: defaultSettings.optlyClientEngineVersion,
+				...(odpEvent.data || {}),
+			},
+		};
+	}
+
+	/**
+	 * Sends ODP (Optimizely Data Platform) events.
+	 * All events are validated before any of them is queued, so an invalid event rejects the whole request. Valid
+	 * events are queued on the ODP event dispatcher of the CDN adapter, which dispatches them in batches to the ODP
+	 * events endpoint of the datafile's ODP integration once the response has been returned.
+	 * @param {Object[]} odpEvents - The ODP events, each with a type, action, identifiers and data.
+	 * @returns {Promise<Object>} - The result with the number of queued events or, when no event is queued, the HTTP
+	 *   status of the error with its message and the validation errors.
+	 * @throws {Error} - Throws an error if the Optimizely client is not initialized.
 	 */
-	async sendOdpEvent(odpEvent = {}) {
-		logger().debug('Sending ODP event [sendOdpEvent]:', 'Event Type:', eventType, 'Event Data:', eventData);
+	async sendOdpEvent(odpEvents) {
+		logger().debug('Sending ODP events [sendOdpEvent]:', odpEvents);
+
+		if (!this.optimizelyClient) {
+			throw new Error('Optimizely Client is not initialized.');
+		}
+
+		if (!Array.isArray(odpEvents)) {
+			return {
+				success: false,
+				errors: [{ index: 0, errors: ['The body must be an ODP event with an action, or contain an events array.'] }],
+			};
+		}
+		if (odpEvents.length === 0) {
+			return { success: false, errors: [{ index: 0, errors: ['At least one ODP event is required.'] }] };
+		}
+
+		const maxEvents = defaultSettings.odpMaxEventsPerRequest;
+		if (odpEvents.length > maxEvents) {
+			return {
+				success: false,
+				errors: [{ index: 0, errors: [`A maximum of ${maxEvents} ODP events is allowed per request.`] }],
+			};
+		}
+
+		const errors = odpEvents
+			.map((odpEvent, index) => ({ index, errors: this.validateOdpEvent(odpEvent) }))
+			.filter((result) => result.errors.length > 0);
+		if (errors.length > 0) {
+			logger().debug('Invalid ODP events [sendOdpEvent]:', errors);
+			return { success: false, errors };
+		}
 
-		if (!this.optimizelyClient || !this.optimizelyUserContext) {
-			throw new Error('Optimizely Client or User Context is not initialized.');
+		const odpIntegration = this.getOdpIntegration();
+		if (!odpIntegration) {
+			return { success: false, status: 422, message: 'ODP is not integrated.', errors: [] };
 		}
 
 		try {
-			// TODO: Implement the method sendOdpEvent
-			logger().debug('ODP event sent successfully [sendOdpEvent]:', '');
+			const payloads = await Promise.all(odpEvents.map((odpEvent) => this.buildOdpEvent(odpEvent)));
+			this.cdnAdapter.odpEventDispatcher.queue(odpIntegration, payloads);
+			logger().debug('ODP events queued successfully [sendOdpEvent]:', payloads.length);
+			return { success: true, eventsQueued: payloads.length };
 		} catch (error) {
-			logger().error('Error sending ODP event [sendOdpEvent]:', error);
+			logger().error('Error sending ODP events [sendOdpEvent]:', error);
 			throw error;
 		}
 	}
 
 	/**
-	 * Batches multiple events to be sent together.
-	 * @returns {Promise<void>} - A promise that resolves when the batch is processed.
-	 * @throws {Error} - Throws an error if the Optimizely client is not initialized.
+	 * Executes multiple decide, track and config operations against the shared Optimizely client.
+	 * Each operation is executed in its own user context, so every operation may carry its own visitor ID and
+	 * attributes. A failing operation does not abort the batch, its error is reported in its own result entry.
+	 * @param {Object[]} batchOperations - The operations to execute.
+	 * @param {string} batchOperations[].type - The operation type: "decide", "track" or "config".
+	 * @param {string} [batchOperations[].id] - Optional caller supplied identifier echoed back in the result.
+	 * @param {string} [batchOperations[].visitorId] - The visitor ID, defaults to the visitor ID of the request.
+	 * @param {Object} [batchOperations[].attributes] - The user attributes for the operation.
+	 * @param {string[]} [batchOperations[].flagKeys] - The flag keys to decide, all flags are decided when omitted.
+	 * @param {string[]} [batchOperations[].decideOptions] - The decide options for the operation.
+	 * @param {string} [batchOperations[].eventKey] - The event key for track operations.
+	 * @param {Object} [batchOperations[].eventTags] - The event tags for track operations.
+	 * @param {string} [userAgent] - The user agent string added to the attributes of every operation.
+	 * @returns {Promise<Object[]>} - A promise that resolves to one result object per operation, in request order.
+	 * @throws {Error} - Throws an error if the Optimizely client is not initialized or the batch is invalid.
 	 */
-	async batch(batchOperations) {
+	async batch(batchOperations, userAgent) {
 		logger().debug('Executing Optimizely batch operation in OptimizelyProvider [batch]');
 
+		if (!this.optimizelyClient) {
+			throw new Error('Optimizely Client is not initialized.');
+		}
+		if (!optlyHelper.arrayIsValid(batchOperations)) {
+			throw new TypeError('Batch operations must be a non-empty array.');
+		}
+
 		try {
-			// TODO: Implement the method  batch
+			// Prefetch the user profiles of every visitor in the batch in a single pass
+			if (this.kvStoreUserProfileEnabled && this.userProfileService) {
+				const visitorIds = new Set(batchOperations.map((operation) => operation?.visitorId || this.visitorId));
+				await this.userProfileService.prefetchUserProfiles([...visitorIds]);
+			}
+
+			const results = [];
+			for (const [index, operation] of batchOperations.entries()) {
+				results.push(await this.executeBatchOperation(operation, index, userAgent));
+			}
+
+			if (this.kvStoreUserProfileEnabled && this.userProfileService) {
+				const visitorIds = new Set(results.map((result) => result.visitorId).filter(Boolean));
+				for (const visitorId of visitorIds) {
+					const { key, userProfileMap } = await this.userProfileService.getUserProfileFromCache(visitorId);
+					await this.userProfileService.saveToKVStorage(key, optlyHelper.safelyStringifyJSON(userProfileMap));
+				}
+			}
+
 			logger().debug('Batch operation completed successfully [batch]');
+			return results;
 		} catch (error) {
 			logger().error('Error batching events [batch]:', error);
 			throw error;
 		}
 	}
+
+	/**
+	 * Executes a single operation of a batch and wraps its outcome in a result object.
+	 * @param {Object} operation - The batch operation.
+	 * @param {number} index - The position of the operation in the batch.
+	 * @param {string} [userAgent] - The user agent string.
+	 * @returns {Promise<Object>} - The result object with either a result or an error.
+	 */
+	async executeBatchOperation(operation, index, userAgent) {
+		const result = {
+			id: operation?.id !== undefined ? operation.id : index,
+			type: operation?.type,
+			visitorId: undefined,
+			status: undefined,
+		};
+
+		try {
+			if (!operation || typeof operation !== 'object') {
+				throw new TypeError('Operation must be an object.');
+			}
+
+			const visitorId = operation.visitorId || this.visitorId;
+			if (!visitorId || typeof visitorId !== 'string') {
+				throw new TypeError('Visitor ID must be a string.');
+			}
+			const { attributes } = operation;
+			const isAttributesObject = !!attributes && typeof attributes === 'object' && !Array.isArray(attributes);
+			if (attributes !== undefined && !isAttributesObject) {
+				throw new TypeError('Attributes must be a valid object.');
+			}
+			result.visitorId = visitorId;
+
+			switch (operation.type) {
+				case 'decide': {
+					const userContext = await this.createBatchUserContext(visitorId, operation.attributes, userAgent);
+					const decideOptions = Array.isArray(operation.decideOptions)
+						? this.buildDecideOptions(operation.decideOptions)
+						: [];
+					if (this.eventsDisabled) {
+						decideOptions.push(optlyDecideOptions.DISABLE_DECISION_EVENT);
+					}
+					const decisionsMap = optlyHelper.arrayIsValid(operation.flagKeys)
+						? userContext.decideForKeys(operation.flagKeys, decideOptions)
+						: userContext.decideAll(decideOptions);
+					result.result = optlyHelper.getSerializedArray(
+						Object.values(decisionsMap),
+						decideOptions.includes(optlyDecideOptions.EXCLUDE_VARIABLES),
+						decideOptions.includes(optlyDecideOptions.INCLUDE_REASONS),
+						decideOptions.includes(optlyDecideOptions.ENABLED_FLAGS_ONLY),
+						true,
+						'POST',
+					);
+					break;
+				}
+				case 'track': {
+					if (!operation.eventKey || typeof operation.eventKey !== 'string') {
+						throw new TypeError('Invalid or missing event key. An event key is required for tracking conversions.');
+					}
+					if (this.eventsDisabled) {
+						result.result = { eventKey: operation.eventKey, dispatched: false };
+						break;
+					}
+					const userContext = await this.createBatchUserContext(visitorId, operation.attributes, userAgent);
+					userContext.trackEvent(operation.eventKey, operation.eventTags || {});
+					result.result = { eventKey: operation.eventKey, dispatched: true };
+					break;
+				}
+				case 'config':
+					result.result = this.optimizelyClient.getOptimizelyConfig();
+					break;
+				default:
+					throw new TypeError(`Unsupported batch operation type: ${operation.type}`);
+			}
+			result.status = 'success';
+		} catch (error) {
+			logger().error('Error executing batch operation [executeBatchOperation]:', error.message);
+			result.status = 'error';
+			result.error = error.message;
+		}
+
+		return result;
+	}
+
+	/**
+	 * Creates a user context for a single batch operation.
+	 * @param {string} visitorId - The visitor ID.
+	 * @param {Object} [attributes={}] - The user attributes.
+	 * @param {string} [userAgent] - The user agent string.
+	 * @returns {Promise<Object>} - The Optimizely user context.
+	 */
+	async createBatchUserContext(visitorId, attributes = {}, userAgent) {
+		const userAttributes = await this.getAttributes({ ...attributes }, userAgent);
+		const userContext = this.optimizelyClient.createUserContext(visitorId, userAttributes);
+		if (!userContext) {
+			throw new Error(`Unable to create user context for visitor: ${visitorId}`);
+		}
+		return userContext;
+	}
 }
@@ -6,8 +6,11 @@ import * as optlyHelper from '../../_helpers_/optimizelyHelper';
 import * as cookieDefaultOptions from '../../_config_/cookieOptions';
 import defaultSettings from '../../_config_/defaultSettings';
 import EventListeners from '../../_event_listeners_/eventListeners';
+import OdpEventDispatcher from '../../_helpers_/odpEventDispatcher';
+import { getCurrentDatafile } from '../../_helpers_/datafileRevisions';
 import { AbstractRequest } from '../../_helpers_/abstraction-classes/abstractRequest';
 import { AbstractResponse } from '../../_helpers_/abstraction-classes/abstractResponse';
+import * as variationChanges from '../../_html_rewriter_/variationChanges';
 
 /**
  * Adapter class for Cloudflare Workers environment.
@@ -21,14 +24,20 @@ import { AbstractResponse } from '../../_helpers_/abstraction-classes/abstractRe
  * - shouldFetchFromOrigin(cdnSettings) - Determines whether the request should fetch data from the origin based on CDN settings.
  * - handleFetchFromOrigin(request, originUrl, cdnSettings, ctx) - Handles the fetching from the origin and caching logic for GET requests.
  * - applyResponseSettings(response, cdnSettings) - Applies settings like headers and cookies to the response based on CDN settings.
+ * - applyExperimentResponseChanges(request, response, cdnSettings) - Applies the response headers and transforms of
+ *   every active experiment to the response.
+ * - applyVariationChanges(response, cdnSettings) - Applies the variation changes stored in the KV store to HTML responses
+ *   using HTMLRewriter.
  * - generateCacheKey(cdnSettings, originUrl) - Generates a cache key based on CDN settings, enhancing cache control by appending
- *   A/B test identifiers or using specific CDN URLs.
+ *   the A/B test identifiers of every active experiment or using specific CDN URLs.
  * - fetchFromOriginOrCDN(input, options) - Fetches data from the origin or CDN based on the provided URL or Request object.
  * - fetchFromOrigin(cdnSettings, reqResponse) - Fetches content from the origin based on CDN settings.
  * - cacheResponse(ctx, cache, cacheKey, response) - Caches the fetched response, handling errors during caching to ensure the function's
  *   robustness.
  * - dispatchConsolidatedEvents(ctx, defaultSettings) - Asynchronously dispatches consolidated events to the Optimizely LOGX events endpoint.
  * - defaultFetch(request, env, ctx) - Performs a fetch request to the origin server without any caching logic.
+ * - getEdgeContext(request) - Retrieves the geolocation, network, device type and verified bot status of the visitor from
+ *   request.cf.
  * - This class is designed to be extended by other classes to provide specific implementations for handling requests and responses.
  */
 class CloudflareAdapter {
@@ -46,6 +55,11 @@ class CloudflareAdapter {
 		this.eventListeners = EventListeners.getInstance();
 		this.eventListenersResult = undefined;
 		this.eventQueue = [];
+		this.odpEventDispatcher = new OdpEventDispatcher({
+			fetch: (url, options) =>
+				this.fetchFromOriginOrCDN(this.abstractionHelper.abstractRequest.createNewRequestFromUrl(url, options)),
+			waitUntil: (promise) => this.ctx.waitUntil(promise),
+		});
 		this.request = undefined;
 		this.env = undefined;
 		this.ctx = undefined;
@@ -276,6 +290,7 @@ class CloudflareAdapter {
 		if (optlyHelper.isValidObject(this.headersToSetResponse)) {
 			response = this.setMultipleResponseHeaders(response, this.headersToSetResponse);
 		}
+		response = await this.applyExperimentResponseChanges(newRequest, response, cdnSettings);
 
 		this.logger.debug(`Response processed and being returned [fetchAndProcessRequest]`);
 		this.eventListenersResult = await this.eventListeners.trigger('afterRequest', newRequest, response, this.result);
@@ -285,6 +300,66 @@ class CloudflareAdapter {
 		return response;
 	}
 
+	/**
+	 * Applies the response changes of every active experiment to the response. The merged response headers are set
+	 * first, then the stored variation changes are applied, then the "transformResponse" event listeners are triggered
+	 * once per active experiment, from the lowest to the highest precedence, so that the experiment with the highest
+	 * precedence has the final say.
+	 * @param {Request} request - The request sent to the origin.
+	 * @param {Response} response - The response to modify.
+	 * @param {Object} cdnSettings - CDN related settings, including the active experiments.
+	 * @returns {Promise<Response>} - The modified response.
+	 */
+	async applyExperimentResponseChanges(request, response, cdnSettings) {
+		if (!cdnSettings) return response;
+		if (optlyHelper.isValidObject(cdnSettings.responseHeaders)) {
+			response = this.setMultipleResponseHeaders(response, cdnSettings.responseHeaders);
+		}
+		response = await this.applyVariationChanges(response, cdnSettings);
+		const activeExperiments = cdnSettings.activeExperiments || [cdnSettings];
+		for (const experiment of [...activeExperiments].reverse()) {
+			this.eventListenersResult = await this.eventListeners.trigger(
+				'transformResponse',
+				request,
+				response,
+				experiment,
+				this.result
+			);
+			if (this.eventListenersResult && this.eventListenersResult.modifiedResponse) {
+				response = this.eventListenersResult.modifiedResponse;
+			}
+		}
+		return response;
+	}
+
+	/**
+	 * Applies the changes of the decided variations stored in the KV store to an HTML response using HTMLRewriter.
+	 * Changes are only applied for the active experiments whose cdnVariationSettings enable applyVariationChanges.
+	 * @param {Response} response - The response to modify.
+	 * @param {Object} cdnSettings - CDN related settings, including the active experiments.
+	 * @returns {Promise<Response>} - The modified response, or the original response if no change applies.
+	 */
+	async applyVariationChanges(response, cdnSettings) {
+		const activeExperiments = cdnSettings.activeExperiments || [cdnSettings];
+		if (!activeExperiments.some((experiment) => experiment.applyVariationChanges)) return response;
+		if (!variationChanges.isHtmlResponse(response)) {
+			this.logger.debug('Response is not HTML, variation changes are not applied [applyVariationChanges]');
+			return response;
+		}
+		try {
+			// Lower precedence changes are applied first so that higher precedence experiments override them
+			const changes = await variationChanges.loadVariationChanges(
+				this.kvStore,
+				[...activeExperiments].reverse(),
+				(ruleKey) => this.optimizelyProvider.getExperimentId(ruleKey)
+			);
+			return await variationChanges.applyVariationChanges(response, changes, HTMLRewriter);
+		} catch (error) {
+			this.logger.error('Error applying variation changes [applyVariationChanges]:', error);
+			return response;
+		}
+	}
+
 	/**
 	 * Determines the origin URL based on CDN settings.
 	 * @param {Request} request - The original request.
@@ -408,12 +483,14 @@ class CloudflareAdapter {
 
 		try {
 			let cacheKeyUrl = this.abstractionHelper.abstractRequest.getNewURL(originUrl);
-			// Add flagKey and variationKey as query parameters
-			if (cdnSettings.cacheKey === 'VARIATION_KEY') {
-				cacheKeyUrl.searchParams.set('flagKey', cdnSettings.flagKey);
-				cacheKeyUrl.searchParams.set('variationKey', cdnSettings.variationKey);
-			} else {
-				cacheKeyUrl.searchParams.set('cacheKey', cdnSettings.cacheKey);
+			// Add the flagKey and variationKey, or the custom cache key, of every active experiment as query parameters
+			for (const part of optlyHelper.getCacheKeyParts(cdnSettings)) {
+				if (part.cacheKey !== undefined) {
+					cacheKeyUrl.searchParams.append('cacheKey', part.cacheKey);
+				} else {
+					cacheKeyUrl.searchParams.append('flagKey', part.flagKey);
+					cacheKeyUrl.searchParams.append('variationKey', part.variationKey);
+				}
 			}
 
 			this.logger.debug(`Cache key generated [generateCacheKey]: ${cacheKeyUrl.href}`);
@@ -610,19 +687,20 @@ class CloudflareAdapter {
 	 *
 	 * @param {string} sdkKey - The SDK key used to build the URL for fetching the datafile.
 	 * @param {number} [ttl=3600] - The cache TTL in seconds, defaults to 3600 seconds if not specified.
+	 * @param {string} [accessToken] - The access token of a secure environment, sent as a bearer token to the
+	 * authenticated datafile endpoint.
+	 * @param {string} [url] - The URL of the datafile, such as the URL of a datafile mirror. Defaults to the URL of the
+	 * datafile on the Optimizely CDN.
 	 * @returns {Promise<string>} The content of the datafile as a string.
 	 * @throws {Error} Throws an error if the fetch operation is unsuccessful or the response is not OK.
 	 */
-	async getDatafile(sdkKey, ttl = 3600) {
+	async getDatafile(sdkKey, ttl = 3600, accessToken, url = optlyHelper.getDatafileUrl(sdkKey, accessToken)) {
 		this.logger.debugExt(`Getting datafile [getDatafile]: ${sdkKey}`);
-		const url = `https://cdn.optimizely.com/datafiles/${sdkKey}.json`;
 
 		try {
 			const response = await this.fetchFromOriginOrCDN(url, {
 				cf: { cacheTtl: ttl },
-				headers: {
-					'Content-Type': 'application/json',
-				},
+				headers: optlyHelper.getDatafileRequestHeaders(accessToken),
 			});
 
 			if (!response.ok) {
@@ -765,13 +843,13 @@ class CloudflareAdapter {
 	}
 
 	/**
-	 * Retrieves the datafile from KV storage.
+	 * Retrieves the current revision of the datafile from KV storage.
 	 * @param {string} sdkKey - The SDK key.
 	 * @returns {Promise<Object|null>} The parsed datafile object or null if not found.
 	 */
 	async getDatafileFromKV(sdkKey, kvStore) {
 		this.logger.debug(`Getting datafile from KV [getDatafileFromKV]`);
-		const jsonString = await kvStore.get(sdkKey); // Namespace must be updated manually
+		const jsonString = await getCurrentDatafile(kvStore, sdkKey); // Namespace must be updated manually
 		if (jsonString) {
 			try {
 				this.logger.debug(`Datafile retrieved from KV [getDatafileFromKV]`);
@@ -904,10 +982,11 @@ class CloudflareAdapter {
 	 * Instance method to retrieve JSON payload using AbstractRequest.
 	 *
 	 * @param {Request} request - The incoming HTTP request object.
+	 * @param {boolean} [throwOnInvalidJson=false] - Throws the SyntaxError of a body that isn't valid JSON instead of returning null.
 	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body isn't valid JSON or method is not POST.
 	 */
-	async getJsonPayload(request) {
-		return await this.abstractionHelper.abstractRequest.getJsonPayload(request);
+	async getJsonPayload(request, throwOnInvalidJson = false) {
+		return await this.abstractionHelper.abstractRequest.getJsonPayload(request, throwOnInvalidJson);
 	}
 
 	/**
@@ -1276,6 +1355,31 @@ class CloudflareAdapter {
 		// Assuming there's a method in AbstractRequest to get cookies
 		return this.abstractionHelper.abstractRequest.getCookieFromRequest(name);
 	}
+
+	/**
+	 * Retrieves the edge context of the request, see EdgeAttributes. The geolocation and network of the visitor are read
+	 * from request.cf, and the device type from the CF-Device-Type header, which Cloudflare sets when caching by device
+	 * type is enabled. Verified bots are flagged by Bot Management, see BotDetection.
+	 * @param {Request} request - The request object.
+	 * @returns {Object} The normalized edge context.
+	 */
+	getEdgeContext(request) {
+		const cf = (request && request.cf) || {};
+		return {
+			country: cf.country,
+			region: cf.regionCode || cf.region,
+			city: cf.city,
+			postalCode: cf.postalCode,
+			continent: cf.continent,
+			latitude: cf.latitude,
+			longitude: cf.longitude,
+			timezone: cf.timezone,
+			asn: cf.asn,
+			asOrganization: cf.asOrganization,
+			deviceType: request && request.headers ? request.headers.get('CF-Device-Type') : undefined,
+			verifiedBot: Boolean((cf.botManagement && cf.botManagement.verifiedBot) || cf.verifiedBotCategory),
+		};
+	}
 }
 
 export default CloudflareAdapter;
@@ -5,6 +5,9 @@ import * as cookieDefaultOptions from '../../_config_/cookieOptions';
 import defaultSettings from '../../_config_/defaultSettings';
 import Logger from '../../_helpers_/logger';
 import EventListeners from '../../_event_listeners_/eventListeners';
+import OdpEventDispatcher from '../../_helpers_/odpEventDispatcher';
+import HtmlTransformer from '../../_html_rewriter_/htmlTransformer';
+import * as variationChanges from '../../_html_rewriter_/variationChanges';
 
 /**
  * Adapter class for AWS CloudFront Lambda@Edge environment.
@@ -14,11 +17,18 @@ class CloudfrontAdapter {
 	 * Creates an instance of CloudFrontAdapter.
 	 * @param {Object} coreLogic - The core logic instance.
 	 */
-	constructor(coreLogic, optimizelyProvider, sdkKey, abstractionHelper) {
+	constructor(coreLogic, optimizelyProvider, sdkKey, abstractionHelper, kvStore) {
 		this.sdkKey = sdkKey;
+		this.kvStore = kvStore || undefined;
 		this.coreLogic = coreLogic;
 		this.abstractionHelper = abstractionHelper;
 		this.eventQueue = [];
+		this.odpEventDispatcher = new OdpEventDispatcher({
+			fetch: (url, options) => fetch(url, options),
+			// Lambda@Edge has no waitUntil: like the decision events, the dispatch is not awaited so that it does not
+			// delay the response
+			waitUntil: () => {},
+		});
 		this.request = undefined;
 		this.env = undefined;
 		this.ctx = undefined;
@@ -29,6 +39,7 @@ class CloudfrontAdapter {
 		this.cookiesToSetResponse = [];
 		this.headersToSetResponse = {};
 		this.optimizelyProvider = optimizelyProvider;
+		this.result = undefined;
 		this.cdnSettingsMessage =
 			'Failed to process the request. CDN settings are missing or require forwarding to origin.';
 	}
@@ -58,6 +69,7 @@ class CloudfrontAdapter {
 			originUrl = originUrl.toString();
 			const httpMethod = this.request.method;
 			const result = await this.coreLogic.processRequest(this.request, env, ctx);
+			this.result = result;
 			const cdnSettings = result.cdnExperimentSettings;
 			const validCDNSettings = this.shouldFetchFromOrigin(cdnSettings);
 
@@ -137,6 +149,7 @@ class CloudfrontAdapter {
 		if (optlyHelper.isValidObject(this.headersToSetResponse)) {
 			response = this.setMultipleResponseHeaders(response, this.headersToSetResponse);
 		}
+		response = await this.applyExperimentResponseChanges(newRequest, response, cdnSettings);
 
 		// Optionally cache the response
 		if (cdnSettings && cdnSettings.cacheRequestToOrigin) {
@@ -149,6 +162,66 @@ class CloudfrontAdapter {
 		return response;
 	}
 
+	/**
+	 * Applies the response changes of every active experiment to the response. The merged response headers are set
+	 * first, then the stored variation changes are applied, then the "transformResponse" event listeners are triggered
+	 * once per active experiment, from the lowest to the highest precedence, so that the experiment with the highest
+	 * precedence has the final say.
+	 * @param {Object} request - The request sent to the origin.
+	 * @param {Object} response - The response to modify.
+	 * @param {Object} cdnSettings - CDN related settings, including the active experiments.
+	 * @returns {Promise<Object>} - The modified response.
+	 */
+	async applyExperimentResponseChanges(request, response, cdnSettings) {
+		if (!cdnSettings) return response;
+		if (optlyHelper.isValidObject(cdnSettings.responseHeaders)) {
+			response = this.setMultipleResponseHeaders(response, cdnSettings.responseHeaders);
+		}
+		response = await this.applyVariationChanges(response, cdnSettings);
+		const eventListeners = EventListeners.getInstance();
+		const activeExperiments = cdnSettings.activeExperiments || [cdnSettings];
+		for (const experiment of [...activeExperiments].reverse()) {
+			const eventListenersResult = await eventListeners.trigger(
+				'transformResponse',
+				request,
+				response,
+				experiment,
+				this.result,
+			);
+			if (eventListenersResult && eventListenersResult.modifiedResponse) {
+				response = eventListenersResult.modifiedResponse;
+			}
+		}
+		return response;
+	}
+
+	/**
+	 * Applies the changes of the decided variations stored in the KV store to an HTML response using the portable
+	 * HtmlTransformer. Changes are only applied for the active experiments whose cdnVariationSettings enable
+	 * applyVariationChanges.
+	 * @param {Object} response - The response to modify.
+	 * @param {Object} cdnSettings - CDN related settings, including the active experiments.
+	 * @returns {Promise<Object>} - The modified response, or the original response if no change applies.
+	 */
+	async applyVariationChanges(response, cdnSettings) {
+		if (!cdnSettings) return response;
+		const activeExperiments = cdnSettings.activeExperiments || [cdnSettings];
+		if (!activeExperiments.some((experiment) => experiment.applyVariationChanges)) return response;
+		if (!variationChanges.isHtmlResponse(response)) return response;
+		try {
+			// Lower precedence changes are applied first so that higher precedence experiments override them
+			const changes = await variationChanges.loadVariationChanges(
+				this.kvStore,
+				[...activeExperiments].reverse(),
+				(ruleKey) => this.optimizelyProvider.getExperimentId(ruleKey),
+			);
+			return await variationChanges.applyVariationChanges(response, changes, HtmlTransformer);
+		} catch (error) {
+			this.logger.error('Error applying variation changes [applyVariationChanges]:', error);
+			return response;
+		}
+	}
+
 	/**
 	 * Fetches directly from the origin without any caching logic.
 	 * @param {Object} request - The original request.
@@ -196,11 +269,11 @@ class CloudfrontAdapter {
 			// Ensure that the pathname ends properly before appending
 			let basePath = cacheKeyUrl.pathname.endsWith('/') ? cacheKeyUrl.pathname.slice(0, -1) : cacheKeyUrl.pathname;
 
-			if (cdnSettings.cacheKey === 'VARIATION_KEY') {
-				cacheKeyUrl.pathname = `${basePath}/${cdnSettings.flagKey}-${cdnSettings.variationKey}`;
-			} else {
-				cacheKeyUrl.pathname = `${basePath}/${cdnSettings.cacheKey}`;
-			}
+			// Append one path segment per active experiment
+			const segments = optlyHelper
+				.getCacheKeyParts(cdnSettings)
+				.map((part) => (part.cacheKey !== undefined ? part.cacheKey : `${part.flagKey}-${part.variationKey}`));
+			cacheKeyUrl.pathname = `${basePath}/${segments.join('/')}`;
 
 			return cacheKeyUrl.href;
 		} catch (error) {
@@ -349,13 +422,16 @@ class CloudfrontAdapter {
 	 *
 	 * @param {string} sdkKey - The SDK key used to build the URL for fetching the datafile.
 	 * @param {number} [ttl=3600] - The cache TTL in seconds, defaults to 3600 seconds if not specified.
+	 * @param {string} [accessToken] - The access token of a secure environment, sent as a bearer token to the
+	 * authenticated datafile endpoint.
+	 * @param {string} [url] - The URL of the datafile, such as the URL of a datafile mirror. Defaults to the URL of the
+	 * datafile on the Optimizely CDN.
 	 * @returns {Promise<string>} The content of the datafile as a string.
 	 * @throws {Error} Throws an error if the fetch operation is unsuccessful or the response is not OK.
 	 */
-	async getDatafile(sdkKey, ttl = 3600) {
-		const url = `https://cdn.optimizely.com/datafiles/${sdkKey}.json`;
+	async getDatafile(sdkKey, ttl = 3600, accessToken, url = optlyHelper.getDatafileUrl(sdkKey, accessToken)) {
 		try {
-			const response = await this.fetch({ uri: url });
+			const response = await this.fetch({ uri: url, headers: optlyHelper.getDatafileRequestHeaders(accessToken) });
 			if (response.status !== '200') {
 				throw new Error(`Failed to fetch datafile: ${response.statusDescription}`);
 			}
@@ -645,9 +721,10 @@ class CloudfrontAdapter {
 	 * returning null if the JSON is invalid or the method is not POST.
 	 *
 	 * @param {Object} request - The incoming HTTP request object.
+	 * @param {boolean} [throwOnInvalidJson=false] - Throws the SyntaxError of a body that isn't valid JSON instead of returning null.
 	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body isn't valid JSON or method is not POST.
 	 */
-	async getJsonPayload(request) {
+	async getJsonPayload(request, throwOnInvalidJson = false) {
 		if (request.method !== 'POST') {
 			this.logger.error('Request is not an HTTP POST method.');
 			return null;
@@ -664,6 +741,7 @@ class CloudfrontAdapter {
 			const json = JSON.parse(clonedRequest.body);
 			return json;
 		} catch (error) {
+			if (throwOnInvalidJson && error instanceof SyntaxError) throw error;
 			this.logger.error('Error parsing JSON:', error);
 			return null;
 		}
@@ -1081,6 +1159,33 @@ class CloudfrontAdapter {
 	getRequestCookie(request, name) {
 		return this.getCookie(request, name);
 	}
+
+	/**
+	 * Retrieves the edge context of the request, see EdgeAttributes. The geolocation, network and device type of the
+	 * visitor are read from the CloudFront viewer headers, which must be added to the origin request policy.
+	 * @param {Object} request - The request object.
+	 * @returns {Object} The normalized edge context.
+	 */
+	getEdgeContext(request) {
+		const header = (name) => {
+			const values = request && request.headers ? request.headers[name] : undefined;
+			return values && values[0] ? values[0].value : undefined;
+		};
+		const deviceType = ['tablet', 'mobile', 'smarttv', 'desktop'].find(
+			(type) => header(`cloudfront-is-${type}-viewer`) === 'true'
+		);
+		return {
+			country: header('cloudfront-viewer-country'),
+			region: header('cloudfront-viewer-country-region'),
+			city: header('cloudfront-viewer-city'),
+			postalCode: header('cloudfront-viewer-postal-code'),
+			latitude: header('cloudfront-viewer-latitude'),
+			longitude: header('cloudfront-viewer-longitude'),
+			timezone: header('cloudfront-viewer-time-zone'),
+			asn: header('cloudfront-viewer-asn'),
+			deviceType,
+		};
+	}
 }
 
 export default CloudfrontAdapter;
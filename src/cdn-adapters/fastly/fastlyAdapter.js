@@ -4,6 +4,10 @@ import * as optlyHelper from '../../_helpers_/optimizelyHelper';
 import * as cookieDefaultOptions from '../../_config_/cookieOptions';
 import defaultSettings from '../../_config_/defaultSettings';
 import EventListeners from '../../_event_listeners_/eventListeners';
+import OdpEventDispatcher from '../../_helpers_/odpEventDispatcher';
+import { getCurrentDatafile } from '../../_helpers_/datafileRevisions';
+import HtmlTransformer from '../../_html_rewriter_/htmlTransformer';
+import * as variationChanges from '../../_html_rewriter_/variationChanges';
 
 /**
  * Adapter class for Fastly Workers environment.
@@ -20,6 +24,10 @@ class FastlyAdapter {
 		this.coreLogic = coreLogic;
 		this.abstractionHelper = abstractionHelper;
 		this.eventQueue = [];
+		this.odpEventDispatcher = new OdpEventDispatcher({
+			fetch: (url, options) => fetch(new Request(url, options)),
+			waitUntil: (promise) => this.ctx.waitUntil(promise),
+		});
 		this.request = undefined;
 		this.env = undefined;
 		this.ctx = undefined;
@@ -30,6 +38,7 @@ class FastlyAdapter {
 		this.cookiesToSetResponse = [];
 		this.headersToSetResponse = {};
 		this.optimizelyProvider = optimizelyProvider;
+		this.result = undefined;
 		this.cdnSettingsMessage =
 			'Failed to process the request. CDN settings are missing or require forwarding to origin.';
 	}
@@ -59,6 +68,7 @@ class FastlyAdapter {
 			originUrl = originUrl.toString();
 			const httpMethod = request.method;
 			const result = await this.coreLogic.processRequest(request, env, ctx, sdkKey, abstractionHelper, kvStore, logger);
+			this.result = result;
 			const cdnSettings = result.cdnExperimentSettings;
 			const validCDNSettings = this.shouldFetchFromOrigin(cdnSettings);
 
@@ -131,6 +141,7 @@ class FastlyAdapter {
 		if (optlyHelper.isValidObject(this.headersToSetResponse)) {
 			response = this.setMultipleResponseHeaders(response, this.headersToSetResponse);
 		}
+		response = await this.applyExperimentResponseChanges(newRequest, response, cdnSettings);
 
 		// Optionally cache the response
 		if (cdnSettings && cdnSettings.cacheRequestToOrigin) {
@@ -143,6 +154,66 @@ class FastlyAdapter {
 		return response;
 	}
 
+	/**
+	 * Applies the response changes of every active experiment to the response. The merged response headers are set
+	 * first, then the stored variation changes are applied, then the "transformResponse" event listeners are triggered
+	 * once per active experiment, from the lowest to the highest precedence, so that the experiment with the highest
+	 * precedence has the final say.
+	 * @param {Request} request - The request sent to the origin.
+	 * @param {Response} response - The response to modify.
+	 * @param {Object} cdnSettings - CDN related settings, including the active experiments.
+	 * @returns {Promise<Response>} - The modified response.
+	 */
+	async applyExperimentResponseChanges(request, response, cdnSettings) {
+		if (!cdnSettings) return response;
+		if (optlyHelper.isValidObject(cdnSettings.responseHeaders)) {
+			response = this.setMultipleResponseHeaders(response, cdnSettings.responseHeaders);
+		}
+		response = await this.applyVariationChanges(response, cdnSettings);
+		const eventListeners = EventListeners.getInstance();
+		const activeExperiments = cdnSettings.activeExperiments || [cdnSettings];
+		for (const experiment of [...activeExperiments].reverse()) {
+			const eventListenersResult = await eventListeners.trigger(
+				'transformResponse',
+				request,
+				response,
+				experiment,
+				this.result,
+			);
+			if (eventListenersResult && eventListenersResult.modifiedResponse) {
+				response = eventListenersResult.modifiedResponse;
+			}
+		}
+		return response;
+	}
+
+	/**
+	 * Applies the changes of the decided variations stored in the KV store to an HTML response using the portable
+	 * HtmlTransformer. Changes are only applied for the active experiments whose cdnVariationSettings enable
+	 * applyVariationChanges.
+	 * @param {Response} response - The response to modify.
+	 * @param {Object} cdnSettings - CDN related settings, including the active experiments.
+	 * @returns {Promise<Response>} - The modified response, or the original response if no change applies.
+	 */
+	async applyVariationChanges(response, cdnSettings) {
+		if (!cdnSettings) return response;
+		const activeExperiments = cdnSettings.activeExperiments || [cdnSettings];
+		if (!activeExperiments.some((experiment) => experiment.applyVariationChanges)) return response;
+		if (!variationChanges.isHtmlResponse(response)) return response;
+		try {
+			// Lower precedence changes are applied first so that higher precedence experiments override them
+			const changes = await variationChanges.loadVariationChanges(
+				this.kvStore,
+				[...activeExperiments].reverse(),
+				(ruleKey) => this.optimizelyProvider.getExperimentId(ruleKey)
+			);
+			return await variationChanges.applyVariationChanges(response, changes, HtmlTransformer);
+		} catch (error) {
+			this.logger.error('Error applying variation changes [applyVariationChanges]:', error);
+			return response;
+		}
+	}
+
 	/**
 	 * Fetches directly from the origin without any caching logic.
 	 * @param {Request} request - The original request.
@@ -229,11 +300,11 @@ class FastlyAdapter {
 			// Ensure that the pathname ends properly before appending
 			let basePath = cacheKeyUrl.pathname.endsWith('/') ? cacheKeyUrl.pathname.slice(0, -1) : cacheKeyUrl.pathname;
 
-			if (cdnSettings.cacheKey === 'VARIATION_KEY') {
-				cacheKeyUrl.pathname = `${basePath}/${cdnSettings.flagKey}-${cdnSettings.variationKey}`;
-			} else {
-				cacheKeyUrl.pathname = `${basePath}/${cdnSettings.cacheKey}`;
-			}
+			// Append one path segment per active experiment
+			const segments = optlyHelper
+				.getCacheKeyParts(cdnSettings)
+				.map((part) => (part.cacheKey !== undefined ? part.cacheKey : `${part.flagKey}-${part.variationKey}`));
+			cacheKeyUrl.pathname = `${basePath}/${segments.join('/')}`;
 
 			return cacheKeyUrl.href;
 		} catch (error) {
@@ -401,13 +472,19 @@ class FastlyAdapter {
 	 *
 	 * @param {string} sdkKey - The SDK key used to build the URL for fetching the datafile.
 	 * @param {number} [ttl=3600] - The cache TTL in seconds, defaults to 3600 seconds if not specified.
+	 * @param {string} [accessToken] - The access token of a secure environment, sent as a bearer token to the
+	 * authenticated datafile endpoint.
+	 * @param {string} [url] - The URL of the datafile, such as the URL of a datafile mirror. Defaults to the URL of the
+	 * datafile on the Optimizely CDN.
 	 * @returns {Promise<string>} The content of the datafile as a string.
 	 * @throws {Error} Throws an error if the fetch operation is unsuccessful or the response is not OK.
 	 */
-	async getDatafile(sdkKey, ttl = 3600) {
-		const url = `https://cdn.optimizely.com/datafiles/${sdkKey}.json`;
+	async getDatafile(sdkKey, ttl = 3600, accessToken, url = optlyHelper.getDatafileUrl(sdkKey, accessToken)) {
 		try {
-			const response = await this.fetch(url, { cf: { cacheTtl: ttl } });
+			const response = await this.fetch(url, {
+				cf: { cacheTtl: ttl },
+				headers: optlyHelper.getDatafileRequestHeaders(accessToken),
+			});
 			if (!response.ok) {
 				throw new Error(`Failed to fetch datafile: ${response.statusText}`);
 			}
@@ -520,12 +597,12 @@ class FastlyAdapter {
 	}
 
 	/**
-	 * Retrieves the datafile from KV storage.
+	 * Retrieves the current revision of the datafile from KV storage.
 	 * @param {string} sdkKey - The SDK key.
 	 * @returns {Promise<Object|null>} The parsed datafile object or null if not found.
 	 */
 	async getDatafileFromKV(sdkKey, kvStore) {
-		const jsonString = await kvStore.get(sdkKey); // Namespace must be updated manually
+		const jsonString = await getCurrentDatafile(kvStore, sdkKey); // Namespace must be updated manually
 		if (jsonString) {
 			try {
 				return JSON.parse(jsonString);
@@ -716,9 +793,10 @@ class FastlyAdapter {
 	 * returning null if the JSON is invalid or the method is not POST.
 	 *
 	 * @param {Request} _request - The incoming HTTP request object.
+	 * @param {boolean} [throwOnInvalidJson=false] - Throws the SyntaxError of a body that isn't valid JSON instead of returning null.
 	 * @returns {Promise<Object|null>} - A promise that resolves to the JSON object parsed from the request body, or null if the body isn't valid JSON or method is not POST.
 	 */
-	async getJsonPayload(_request) {
+	async getJsonPayload(_request, throwOnInvalidJson = false) {
 		const request = this.cloneRequest(_request);
 		if (request.method !== 'POST') {
 			this.logger.error('Request is not an HTTP POST method.');
@@ -737,6 +815,7 @@ class FastlyAdapter {
 			const json = JSON.parse(bodyText);
 			return json;
 		} catch (error) {
+			if (throwOnInvalidJson && error instanceof SyntaxError) throw error;
 			this.logger.error('Error parsing JSON:', error);
 			return null;
 		}
@@ -1135,6 +1214,27 @@ class FastlyAdapter {
 	getRequestCookie(request, name) {
 		return this.getCookie(request, name);
 	}
+
+	/**
+	 * Retrieves the edge context of the request, see EdgeAttributes. The geolocation and network of the visitor are read
+	 * from the client geolocation of the Fastly fetch event, passed as the context of the request.
+	 * @param {Request} request - The request object.
+	 * @returns {Object} The normalized edge context.
+	 */
+	getEdgeContext(request) {
+		const geo = (this.ctx && this.ctx.client && this.ctx.client.geo) || {};
+		return {
+			country: geo.country_code,
+			region: geo.region,
+			city: geo.city,
+			postalCode: geo.postal_code,
+			continent: geo.continent,
+			latitude: geo.latitude,
+			longitude: geo.longitude,
+			asn: geo.as_number,
+			asOrganization: geo.as_name,
+		};
+	}
 }
 
 export default FastlyAdapter;
@@ -3,10 +3,43 @@
  */
 
 import * as optlyHelper from './_helpers_/optimizelyHelper';
+import { validateDatafile } from './_helpers_/datafileValidator';
+import { getCachedDatafile } from './_helpers_/datafileCache';
+import {
+	getCookieSigningSecrets,
+	hasCookieSignature,
+	signCookieValue,
+	verifySignedCookieValue,
+	warnUnsignedCookies,
+} from './_helpers_/cookieSigning';
+import { getCookieOptions } from './_helpers_/cookieSettings';
+import { getConsentConfig, resolveConsent } from './_helpers_/consent';
+import { getVisitorIdResolvers, hashValue, resolveVisitorId } from './_helpers_/visitorIdResolvers';
+import { detectBot, getBotDetectionConfig } from './_helpers_/botDetection';
+import {
+	createDecisionsCookies,
+	decodeDecisions,
+	encodeDecisions,
+	isLegacyDecisions,
+	readDecisionsCookie,
+} from './_helpers_/decisionsCookie';
+import bundledDatafiles from './_config_/bundledDatafiles';
 import RequestConfig from './_config_/requestConfig';
+import { validatedEndpoints } from './_config_/requestSchema';
 import defaultSettings from './_config_/defaultSettings';
 import EventListeners from './_event_listeners_/eventListeners';
 
+// Length of the signature appended to the decisions cookie: a dot and the hex encoded HMAC-SHA256
+const COOKIE_SIGNATURE_LENGTH = 65;
+
+// Names of the datafile sources, reported in configMetadata.datafileFrom
+const DATAFILE_SOURCE_NAMES = {
+	kv: 'KV Storage',
+	mirror: 'Mirror',
+	cdn: 'CDN',
+	bundled: 'Bundled',
+};
+
 /**
  * Optimizely Feature Variable Name for Settings: "cdnVariationSettings"
  *
@@ -14,11 +47,22 @@ import EventListeners from './_event_listeners_/eventListeners';
  *
  * cdnVariationSettings: {
  *     // The URL to match for GET requests to determine which experiment to apply, whether to return content directly
- *     // or forward the request to the origin.
+ *     // or forward the request to the origin. Glob patterns are supported: "*" matches within a path segment, "**"
+ *     // matches across path segments and ":name" captures a path segment, e.g. 'https://www.expedge.com/p/:sku'.
  *     cdnExperimentURL: 'https://www.expedge.com/page/1',
  *
+ *     // Optional. How cdnExperimentURL is matched: "exact", "glob" or "regex". When omitted, URLs containing "*" or
+ *     // ":name" segments are glob patterns. Regex patterns are matched against the normalized origin and pathname and
+ *     // their named groups are captured like ":name" parameters.
+ *     urlMatchType: 'glob',
+ *
+ *     // Optional. When several experiments match the same URL, the highest matchPriority wins. On equal priority,
+ *     // exact URLs win over glob patterns, which win over regex patterns, and more specific glob patterns win over
+ *     // less specific ones.
+ *     matchPriority: '0',
+ *
  *     // The URL from which to fetch the variation content. This content can be served from origin or cache depending
- *     // on the cache configuration.
+ *     // on the cache configuration. Parameters captured by cdnExperimentURL replace ":name" placeholders.
  *     cdnResponseURL: 'https://www.expedge.com/page/2',
  *
  *     // Specifies the cache key for GET requests. Using "VARIATION_KEY" employs the combination of flagKey and
@@ -37,7 +81,23 @@ import EventListeners from './_event_listeners_/eventListeners';
  *
  *     // Indicates whether the settings being used are for the control group in an A/B test. When false, it implies that
  *     // the variation is experimental.
- *     isControlVariation: 'false'
+ *     isControlVariation: 'false',
+ *
+ *     // Optional. Query parameters the request must contain, with one of the listed values or any value for "*".
+ *     requiredQueryParameters: { utm_source: 'email', utm_campaign: '*' },
+ *
+ *     // Optional. Overrides the urlIgnoreQueryParameters default setting for this experiment. "true" ignores all
+ *     // query parameters other than the required ones, "false" requires them to equal those of cdnExperimentURL in
+ *     // any order, and a list of names, where "utm_*" matches any name with that prefix, ignores only those.
+ *     ignoreQueryParameters: ['utm_*', 'gclid', 'fbclid'],
+ *
+ *     // Optional. Headers added to the request forwarded to the origin, and headers added to the response.
+ *     additionalHeaders: { 'X-Experiment': 'hero-b' },
+ *     responseHeaders: { 'X-Variation': 'hero-b' },
+ *
+ *     // Optional. If true, the variation changes stored in the KV store, such as text, attribute, style and HTML
+ *     // changes, are applied to the HTML response at the edge.
+ *     applyVariationChanges: 'false'
  * },
  */
 
@@ -51,15 +111,29 @@ import EventListeners from './_event_listeners_/eventListeners';
  * 	 operation type.
  * - findMatchingConfig(requestURL, decisions, ignoreQueryParameters) - Searches for a CDN configuration that matches a given URL within an
  * 	 array of decision objects.
+ * - normalizeUrlForComparison(urlString, ignoreQueryParameters) - Normalizes a URL for comparison.
+ * - compileCdnExperimentURL(cdnConfig, ignoreQueryParameters) - Compiles the cdnExperimentURL into a URL matcher.
+ * - matchQueryParameters(requestURL, cdnConfig, defaultIgnoreQueryParameters) - Matches the query parameters of a
+ *   request against the query parameter rules of a CDN configuration.
+ * - rankMatchingConfigs(matches) - Sorts the CDN configurations matching a request by precedence.
+ * - mergeMatchingConfigs(matches) - Merges the CDN configurations of all experiments matching a request.
  * - prepareDecisions(optlyResponse, flagsToForce, validStoredDecisions, requestConfig) - Prepares the decisions for the final response.
  * - prepareFinalResponse(allDecisions, visitorId, requestConfig, serializedDecisions) - Prepares the final response based on the decisions.
  * - shouldReturnJsonResponse() - Checks if the response should be returned in JSON format.
  * - getIsDecideOperation(pathName) - Checks if the pathname indicates a decide operation.
+ * - resolveVisitorConsent(requestConfig) - Resolves the consent of the visitor in consent-aware mode.
+ * - resolveBotTraffic(request, requestConfig) - Detects bot requests, and excludes them from experiments.
  * - getVisitorId(request, requestConfig) - Retrieves the visitor ID from the request.
- * - retrieveDatafile(requestConfig, env) - Retrieves the datafile from the Optimizely CDN.
+ * - retrieveDatafile(requestConfig, env) - Retrieves the datafile from the first datafile source that returns a valid datafile.
+ * - getDatafileSources() - Retrieves the ordered list of datafile sources.
+ * - retrieveDatafileFromSource(source, sdkKey) - Retrieves and validates the datafile from a datafile source.
+ * - getDatafileMirrorUrl(sdkKey) - Retrieves the URL of the datafile mirror of an SDK key.
+ * - validateDatafileFromSource(datafile, source) - Validates a datafile retrieved from a datafile source.
+ * - fetchDatafile(sdkKey, accessToken, url) - Fetches and validates the datafile from the Optimizely CDN or a mirror.
  * - initializeOptimizely(datafile, visitorId, requestConfig, userAgent) - Initializes Optimizely with the retrieved datafile.
  * - determineFlagsToDecide(requestConfig) - Determines which flags to force and which to decide based on the request.
  * - optimizelyExecute(filteredFlagsToDecide, flagsToForce, requestConfig) - Executes the Optimizely logic and returns the decisions.
+ * - getExclusionReason() - Determines whether the request is excluded from experiments.
  * - updateMetadata(requestConfig, flagsToForce, validStoredDecisions) - Updates the metadata for the request.
  * - deleteAllUserContexts(decisions) - Deletes the userContext key from each decision object in the given array.
  * - extractCdnSettings(decisions) - Maps an array of decisions to a new array of objects containing specific CDN settings.
@@ -100,10 +174,16 @@ export default class CoreLogic {
 		this.isGetMethod = undefined;
 		this.forwardToOrigin = undefined;
 		this.activeFlags = undefined;
+		this.activeExperiments = undefined;
 		this.savedCookieDecisions = undefined;
 		this.validCookiedDecisions = undefined;
 		this.invalidCookieDecisions = undefined;
 		this.datafileOperation = false;
+		this.datafileRevision = undefined;
+		this.datafileAccessToken = undefined;
+		this.consentGranted = true;
+		this.isBot = false;
+		this.botExcluded = false;
 		this.configOperation = false;
 		this.request = undefined;
 		this.env = undefined;
@@ -149,18 +229,27 @@ export default class CoreLogic {
 	extractCdnSettings(decisions) {
 		this.logger.debugExt('Extracting CDN settings from decisions', decisions);
 		const result = decisions.map((decision) => {
-			const { flagKey, variationKey, variables } = decision;
+			const { flagKey, variationKey, ruleKey, variables } = decision;
 			const settings = variables.cdnVariationSettings || {};
 			const result = {
 				[flagKey]: {
 					[variationKey]: {
+						ruleKey,
 						cdnExperimentURL: settings.cdnExperimentURL || undefined,
 						cdnResponseURL: settings.cdnResponseURL || undefined,
+						urlMatchType: settings.urlMatchType || undefined,
+						matchPriority: Number(settings.matchPriority) || 0,
+						requiredQueryParameters: settings.requiredQueryParameters || undefined,
+						ignoreQueryParameters: optlyHelper.parseIgnoreQueryParameters(settings.ignoreQueryParameters),
+						additionalHeaders: settings.additionalHeaders || undefined,
+						responseHeaders: settings.responseHeaders || undefined,
 						cacheKey: settings.cacheKey || undefined,
 						forwardRequestToOrigin:
 							(settings.forwardRequestToOrigin && settings.forwardRequestToOrigin === 'true') || false,
 						cacheRequestToOrigin: (settings.cacheRequestToOrigin && settings.cacheRequestToOrigin === 'true') || false,
 						isControlVariation: (settings.isControlVariation && settings.isControlVariation === 'true') || false,
+						applyVariationChanges:
+							settings.applyVariationChanges === true || settings.applyVariationChanges === 'true' || false,
 					},
 				},
 			};
@@ -205,6 +294,7 @@ export default class CoreLogic {
 	 * @param {string} variationKey - The variation key associated with the configuration.
 	 */
 	setCdnConfigProperties(cdnConfig, flagKey, variationKey) {
+		this.activeExperiments = cdnConfig.activeExperiments;
 		this.cdnExperimentURL = cdnConfig.cdnExperimentURL;
 		this.cdnResponseURL = cdnConfig.cdnResponseURL;
 		this.cacheKey = cdnConfig.cacheKey;
@@ -225,80 +315,251 @@ export default class CoreLogic {
 		return url.replace(/(https?:\/\/)|(\/)+/g, '$1$2');
 	}
 
+	/**
+	 * Normalizes the URL of a request or of an exact or glob cdnExperimentURL for comparison. The URL is forced to HTTPS,
+	 * the trailing '/' of the pathname and extra slashes are removed and, optionally, the query parameters are dropped.
+	 * @param {string} urlString - The URL to normalize.
+	 * @param {boolean} ignoreQueryParameters - Whether to ignore query parameters in the URL.
+	 * @returns {string} The normalized origin and pathname.
+	 */
+	normalizeUrlForComparison(urlString, ignoreQueryParameters) {
+		const url = this.abstractionHelper.abstractRequest.getNewURL(urlString);
+		// Ensure the URL uses HTTPS
+		if (url.protocol !== 'https:') {
+			url.protocol = 'https:';
+		}
+		// Remove query parameters if needed
+		if (ignoreQueryParameters) {
+			url.search = '';
+		}
+		// Normalize the pathname by removing a trailing '/' if present
+		const normalizedPathname = url.pathname.endsWith('/') ? url.pathname.slice(0, -1) : url.pathname;
+		// Construct a comparison URL string and remove extra slashes
+		return this.removeExtraSlashes(url.origin + normalizedPathname);
+	}
+
+	/**
+	 * Compiles the cdnExperimentURL of a CDN configuration into a URL matcher.
+	 * Exact and glob patterns are normalized the same way as the request URL, regex patterns are used as is.
+	 * @param {Object} cdnConfig - The CDN configuration object.
+	 * @param {boolean} ignoreQueryParameters - Whether to ignore query parameters in the URL during comparison.
+	 * @returns {Object|null} The compiled pattern, or null if the cdnExperimentURL is invalid.
+	 */
+	compileCdnExperimentURL(cdnConfig, ignoreQueryParameters) {
+		try {
+			if (cdnConfig.urlMatchType === 'regex') {
+				return optlyHelper.compileUrlPattern(cdnConfig.cdnExperimentURL, 'regex');
+			}
+			const pattern = this.normalizeUrlForComparison(cdnConfig.cdnExperimentURL, ignoreQueryParameters);
+			return optlyHelper.compileUrlPattern(pattern, cdnConfig.urlMatchType);
+		} catch (error) {
+			this.logger.error(`Invalid cdnExperimentURL: ${cdnConfig.cdnExperimentURL} - ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Matches the query parameters of a request against the query parameter rules of a CDN configuration.
+	 * - requiredQueryParameters: every listed parameter must be present in the request with one of the listed values,
+	 *   or with any value when the value is "*".
+	 * - ignoreQueryParameters: true ignores all other query parameters. false requires the other query parameters of
+	 *   the request to be exactly those of the cdnExperimentURL, in any order. A list of parameter names, where a
+	 *   trailing "*" matches any name with that prefix, ignores only those parameters and requires the others to be
+	 *   exactly those of the cdnExperimentURL. When not set in the configuration, the default setting is used.
+	 * @param {string} requestURL - The URL of the request.
+	 * @param {Object} cdnConfig - The CDN configuration object.
+	 * @param {boolean} defaultIgnoreQueryParameters - The rule used when the configuration does not define one.
+	 * @returns {number|null} The number of query parameters that matched, or null if the query parameters do not match.
+	 */
+	matchQueryParameters(requestURL, cdnConfig, defaultIgnoreQueryParameters) {
+		const requestParams = this.abstractionHelper.abstractRequest.getNewURL(requestURL).searchParams;
+		const requiredParams = cdnConfig.requiredQueryParameters || {};
+		for (const [name, expected] of Object.entries(requiredParams)) {
+			const values = requestParams.getAll(name);
+			const allowedValues = (Array.isArray(expected) ? expected : [expected]).map(String);
+			if (values.length === 0 || (!allowedValues.includes('*') && !values.some((v) => allowedValues.includes(v)))) {
+				return null;
+			}
+		}
+		const requiredCount = Object.keys(requiredParams).length;
+
+		const ignore =
+			cdnConfig.ignoreQueryParameters !== undefined ? cdnConfig.ignoreQueryParameters : defaultIgnoreQueryParameters;
+		if (ignore === true) return requiredCount;
+
+		// Compare the remaining query parameters with those of the cdnExperimentURL, regardless of their order
+		const ignoredNames = Array.isArray(ignore) ? ignore : [];
+		const isIgnored = (name) =>
+			Object.prototype.hasOwnProperty.call(requiredParams, name) ||
+			ignoredNames.some((pattern) =>
+				pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+			);
+		const toSortedPairs = (params) =>
+			[...params]
+				.filter(([name]) => !isIgnored(name))
+				.map(([name, value]) => `${name}=${value}`)
+				.sort();
+		const experimentParams =
+			cdnConfig.urlMatchType === 'regex'
+				? new URLSearchParams()
+				: this.abstractionHelper.abstractRequest.getNewURL(cdnConfig.cdnExperimentURL).searchParams;
+		const expectedPairs = toSortedPairs(experimentParams);
+		const actualPairs = toSortedPairs(requestParams);
+		if (expectedPairs.length !== actualPairs.length || expectedPairs.some((pair, i) => pair !== actualPairs[i])) {
+			return null;
+		}
+		return requiredCount + expectedPairs.length;
+	}
+
+	/**
+	 * Sorts the CDN configurations matching a request by precedence:
+	 * 1. The highest matchPriority set in cdnVariationSettings.
+	 * 2. The match type: exact URLs first, then glob patterns, then regex patterns.
+	 * 3. The most query parameters matched, see matchQueryParameters.
+	 * 4. The most specific glob pattern, i.e. the one with the most literal characters.
+	 * 5. The order of the decisions.
+	 * @param {Object[]} matches - The matching configurations with their compiled pattern.
+	 * @returns {Object[]} The matching configurations sorted by precedence.
+	 */
+	rankMatchingConfigs(matches) {
+		const matchTypeRank = { exact: 3, glob: 2, regex: 1 };
+		// Array.prototype.sort is stable, so the order of the decisions breaks any remaining tie
+		return matches.sort(
+			(a, b) =>
+				b.cdnConfig.matchPriority - a.cdnConfig.matchPriority ||
+				matchTypeRank[b.matchType] - matchTypeRank[a.matchType] ||
+				b.queryMatchCount - a.queryMatchCount ||
+				b.specificity - a.specificity
+		);
+	}
+
+	/**
+	 * Merges the CDN configurations of all experiments matching a request into a single configuration.
+	 * The matches must be sorted by precedence. The experiment with the highest precedence is the primary experiment,
+	 * its flag key, variation key and cache key are kept for compatibility with single experiment settings. Conflicts
+	 * between the experiments are resolved as follows:
+	 * - cdnResponseURL: the first experiment in precedence order that defines one wins.
+	 * - additionalHeaders and responseHeaders: merged, higher precedence experiments override the same header names.
+	 * - forwardRequestToOrigin: enabled if any experiment enables it, so the origin receives every decision.
+	 * - cacheRequestToOrigin and isControlVariation: enabled only if every experiment enables them.
+	 * @param {Object[]} matches - The matching configurations sorted by precedence.
+	 * @returns {Object} The merged CDN configuration, with every matching configuration in activeExperiments.
+	 */
+	mergeMatchingConfigs(matches) {
+		const activeExperiments = matches.map(({ cdnConfig, flagKey, variationKey, urlParams }) => {
+			cdnConfig.flagKey = flagKey;
+			cdnConfig.variationKey = variationKey;
+			cdnConfig.urlParams = urlParams;
+			cdnConfig.cdnResponseURL = optlyHelper.replaceUrlParams(cdnConfig.cdnResponseURL, urlParams);
+			return cdnConfig;
+		});
+		const [primary] = activeExperiments;
+		const responseUrlOwner = activeExperiments.find((experiment) => experiment.cdnResponseURL);
+		activeExperiments
+			.filter((experiment) => experiment.cdnResponseURL && experiment !== responseUrlOwner)
+			.forEach((experiment) => {
+				this.logger.debug(
+					`Ignoring cdnResponseURL of flag ${experiment.flagKey}, ${responseUrlOwner.flagKey} has precedence`
+				);
+			});
+		// Lower precedence headers are applied first so that higher precedence experiments override them
+		const mergeHeaders = (name) =>
+			Object.assign({}, ...[...activeExperiments].reverse().map((experiment) => experiment[name] || {}));
+
+		return {
+			...primary,
+			cdnResponseURL: responseUrlOwner ? responseUrlOwner.cdnResponseURL : undefined,
+			additionalHeaders: mergeHeaders('additionalHeaders'),
+			responseHeaders: mergeHeaders('responseHeaders'),
+			forwardRequestToOrigin: activeExperiments.some((experiment) => experiment.forwardRequestToOrigin),
+			cacheRequestToOrigin: activeExperiments.every((experiment) => experiment.cacheRequestToOrigin),
+			isControlVariation: activeExperiments.every((experiment) => experiment.isControlVariation),
+			activeExperiments,
+		};
+	}
+
 	/**
 	 * Searches for a CDN configuration that matches a given URL within an array of decision objects.
-	 * It compares the request URL against each cdnExperimentURL, optionally ignoring query parameters based on the flag.
-	 * Efficiently compares URLs and caches matched configuration data for quick access.
+	 * The origin and pathname of the request are matched by the cdnExperimentURL, its query parameters by the query
+	 * parameter rules of the configuration, see matchQueryParameters.
+	 * It compares the request URL against each cdnExperimentURL, which may be an exact URL, a glob pattern such as
+	 * "https://www.example.com/products/*" or "https://www.example.com/p/:sku", or a regular expression when the
+	 * urlMatchType of the configuration is "regex". Parameters captured by the pattern are stored in urlParams and
+	 * replace the ":name" placeholders of the cdnResponseURL. When several experiments match, all of them are active:
+	 * they are sorted by precedence, see rankMatchingConfigs, and merged, see mergeMatchingConfigs.
 	 * @param {string} requestURL - The URL to match against cdnExperimentURLs in the decisions data.
 	 * @param {Array} decisions - The array of decision objects to search within.
-	 * @param {boolean} [ignoreQueryParameters=true] - Whether to ignore query parameters in the URL during comparison.
-	 * @returns {Object|null} The first matching CDN configuration object, or null if no match is found.
+	 * @param {boolean} [ignoreQueryParameters=true] - Whether to ignore query parameters when the configuration of an
+	 *   experiment does not define its own ignoreQueryParameters rule.
+	 * @returns {Object|null} The merged CDN configuration of all matching experiments, or null if no match is found.
 	 */
 	async findMatchingConfig(requestURL, decisions, ignoreQueryParameters = true) {
 		this.logger.debug(`Searching for matching CDN configuration for URL: ${requestURL}`);
 		// Process decisions to prepare them for comparison
 		const processedDecisions = this.processDecisions(decisions);
-		const url = this.abstractionHelper.abstractRequest.getNewURL(requestURL);
-		// Ensure the URL uses HTTPS
-		if (url.protocol !== 'https:') {
-			url.protocol = 'https:';
-		}
 		const testFlagKey =
 			this.env.LOG_LEVEL === 'debug' && this.env.TESTING_FLAG_DEBUG && this.env.TESTING_FLAG_DEBUG.trim() !== ''
 				? this.env.TESTING_FLAG_DEBUG.trim()
 				: null;
 
-		// Remove query parameters if needed
-		if (ignoreQueryParameters) {
-			url.search = '';
-		}
-
-		// Normalize the pathname by removing a trailing '/' if present
-		const normalizedPathname = url.pathname.endsWith('/') ? url.pathname.slice(0, -1) : url.pathname;
-		// Construct a comparison URL string and remove extra slashes
-		const compareOriginAndPath = this.removeExtraSlashes(url.origin + normalizedPathname);
+		const compareOriginAndPath = this.normalizeUrlForComparison(requestURL, ignoreQueryParameters);
 
 		// Log the normalized URL to be compared
 		this.logger.debug(`Normalized URL for comparison: ${compareOriginAndPath}`);
 
-		// Iterate through decisions to find a matching CDN configuration
+		// Iterate through decisions to collect all matching CDN configurations
+		const matches = [];
 		for (let decision of processedDecisions) {
 			for (let flagKey in decision) {
 				for (let variationKey in decision[flagKey]) {
 					const cdnConfig = decision[flagKey][variationKey];
 					if (cdnConfig && cdnConfig.cdnExperimentURL) {
-						// Normalize the CDN URL for comparison
-						const cdnUrl = this.abstractionHelper.abstractRequest.getNewURL(cdnConfig.cdnExperimentURL);
-						if (ignoreQueryParameters) {
-							cdnUrl.search = '';
+						const compiledPattern = this.compileCdnExperimentURL(cdnConfig, ignoreQueryParameters);
+						if (!compiledPattern) continue;
+
+						// Update cdnConfig with normalized URLs, regex patterns are left untouched
+						if (compiledPattern.matchType !== 'regex') {
+							cdnConfig.cdnExperimentURL = this.removeExtraSlashes(cdnConfig.cdnExperimentURL);
 						}
-						const cdnNormalizedPathname = cdnUrl.pathname.endsWith('/')
-							? cdnUrl.pathname.slice(0, -1)
-							: cdnUrl.pathname;
-						// Remove extra slashes from the target URL
-						const targetUrl = this.removeExtraSlashes(cdnUrl.origin + cdnNormalizedPathname);
-
-						// Update cdnConfig with normalized URLs
-						cdnConfig.cdnExperimentURL = this.removeExtraSlashes(cdnConfig.cdnExperimentURL);
 						if (cdnConfig.cdnResponseURL) {
 							cdnConfig.cdnResponseURL = this.removeExtraSlashes(cdnConfig.cdnResponseURL);
 						}
 
 						// Log the comparison details
-						this.logger.debug('Comparing URL: ' + compareOriginAndPath + ' with ' + targetUrl);
-						// Compare the normalized URLs
-						if (compareOriginAndPath === targetUrl || (testFlagKey && testFlagKey === flagKey)) {
-							this.logger.debug(
-								`Match found for URL: ${requestURL}. Flag Key: ${flagKey}, Variation Key: ${variationKey}, CDN Config: ${cdnConfig}`
-							);
-							this.setCdnConfigProperties(cdnConfig, flagKey, variationKey);
-							return cdnConfig;
+						this.logger.debug(
+							`Comparing URL: ${compareOriginAndPath} with ${compiledPattern.matchType} pattern ${cdnConfig.cdnExperimentURL}`
+						);
+						const isTestFlag = testFlagKey && testFlagKey === flagKey;
+						const urlParams = isTestFlag ? {} : optlyHelper.matchUrlPattern(compiledPattern, compareOriginAndPath);
+						const queryMatchCount = urlParams
+							? this.matchQueryParameters(requestURL, cdnConfig, ignoreQueryParameters)
+							: null;
+						if (urlParams && (queryMatchCount !== null || isTestFlag)) {
+							matches.push({
+								cdnConfig,
+								flagKey,
+								variationKey,
+								urlParams,
+								matchType: isTestFlag ? 'exact' : compiledPattern.matchType,
+								queryMatchCount: queryMatchCount || 0,
+								specificity: compiledPattern.specificity,
+							});
 						}
 					}
 				}
 			}
 		}
 
+		if (matches.length > 0) {
+			const cdnConfig = this.mergeMatchingConfigs(this.rankMatchingConfigs(matches));
+			const { flagKey, variationKey } = cdnConfig;
+			this.logger.debug(
+				`Match found for URL: ${requestURL}. Flag Key: ${flagKey}, Variation Key: ${variationKey}, Matches: ${matches.length}`
+			);
+			this.setCdnConfigProperties(cdnConfig, flagKey, variationKey);
+			return cdnConfig;
+		}
+
 		// Return null if no matching configuration is found
 		this.logger.debug('No matching configuration found in cdnVariationSettings [findMatchingConfig]');
 		return null;
@@ -349,10 +610,40 @@ export default class CoreLogic {
 			this.isPostMethod = this.httpMethod === 'POST';
 			this.isGetMethod = this.httpMethod === 'GET';
 
+			// Reject the requests of the API endpoints with invalid headers, query parameters or body
+			if (requestConfig.validationErrors.length > 0 && validatedEndpoints.includes(this.pathName)) {
+				this.logger.debug('Invalid request inputs. Returning a 400 response.');
+				return {
+					reqResponse: await this.cdnAdapter.getNewResponseObject(
+						{ message: 'Invalid request.', errors: requestConfig.validationErrors },
+						'application/json',
+						true,
+						400
+					),
+					cdnExperimentSettings: undefined,
+					reqResponseObjectType: 'response',
+					forwardRequestToOrigin: false,
+					errorMessage: 'Invalid request inputs',
+					isError: false,
+					isPostMethod: this.isPostMethod,
+					isGetMethod: this.isGetMethod,
+					isDecideOperation: this.isDecideOperation,
+					isDatafileOperation: this.datafileOperation,
+					isConfigOperation: this.configOperation,
+					flagsToDecide: [],
+					flagsToForce: [],
+					validStoredDecisions: [],
+					href: this.href,
+					pathName: this.pathName,
+				};
+			}
+
 			// Clone the request
 			// this.request = this.abstractionHelper.abstractRequest.cloneRequest(request);
 
-			// Get visitor ID, datafile, and user agent
+			// Get visitor consent, bot traffic, visitor ID, datafile, and user agent
+			await this.resolveVisitorConsent(requestConfig);
+			await this.resolveBotTraffic(request, requestConfig);
 			const visitorId = await this.getVisitorId(request, requestConfig);
 			const datafile = await this.retrieveDatafile(requestConfig, env);
 			// If datafile is null, return origin content immediately
@@ -420,7 +711,11 @@ export default class CoreLogic {
 			this.logger.debugExt('Optimizely response: ', optlyResponse);
 
 			// Prepare the response based on the operation type
-			if (this.shouldReturnJsonResponse(this) && !isDecideOperation) {
+			if (optlyResponse instanceof Response) {
+				// Operations that already produced a response, such as validation errors, are returned as is
+				reqResponse = optlyResponse;
+				this.reqResponseObjectType = 'response';
+			} else if (this.shouldReturnJsonResponse(this) && !isDecideOperation) {
 				// Datafile or config operation
 				reqResponse = await this.cdnAdapter.getNewResponseObject(optlyResponse, 'application/json', true);
 				this.reqResponseObjectType = 'response';
@@ -499,7 +794,11 @@ export default class CoreLogic {
 
 	shouldReturnJsonResponse() {
 		return (
-			(this.datafileOperation || this.configOperation || this.trackOperation || this.sendOdpEventOperation) &&
+			(this.datafileOperation ||
+				this.configOperation ||
+				this.trackOperation ||
+				this.batchOperation ||
+				this.sendOdpEventOperation) &&
 			!this.isDecideOperation
 		);
 	}
@@ -521,6 +820,11 @@ export default class CoreLogic {
 					flagsToForce
 				);
 				this.logger.debug('POST operation [/v1/decide]: Decide');
+				const exclusionReason = this.getExclusionReason();
+				if (exclusionReason) {
+					this.logger.debug(`No flag is decided, ${exclusionReason} [/v1/decide]`);
+					return [];
+				}
 				let result = await this.optimizelyProvider.decide(flagsToDecide, flagsToForce, requestConfig.forcedDecisions);
 				this.eventListenersResult = await this.eventListeners.trigger(
 					'afterDecide',
@@ -533,6 +837,15 @@ export default class CoreLogic {
 				this.logger.debug('POST operation [/v1/track]: Track');
 				this.trackOperation = true;
 				if (requestConfig.eventKey && typeof requestConfig.eventKey === 'string') {
+					const exclusionReason = this.getExclusionReason();
+					if (exclusionReason) {
+						return {
+							message: `Conversion event was not dispatched, ${exclusionReason}.`,
+							attributes: requestConfig.attributes,
+							eventTags: requestConfig.eventTags,
+							status: 200,
+						};
+					}
 					let result = await this.optimizelyProvider.track(
 						requestConfig.eventKey,
 						requestConfig.attributes,
@@ -576,16 +889,62 @@ export default class CoreLogic {
 					return { config: configObj, metadata: requestConfig.configMetadata };
 				}
 				return { config: configObj };
-			case '/v1/batch':
+			case '/v1/batch': {
 				this.logger.debug('POST operation [/v1/batch]: Batch');
-				await this.optimizelyProvider.batch();
 				this.batchOperation = true;
-				return null;
-			case '/v1/send-odp-event':
+				if (!optlyHelper.arrayIsValid(requestConfig.batchOperations)) {
+					return await this.cdnAdapter.getNewResponseObject(
+						{ message: 'Invalid or missing operations. An array of operations is required for batch requests.' },
+						'application/json',
+						true,
+						400
+					);
+				}
+				if (requestConfig.batchOperations.length > defaultSettings.batchMaxOperations) {
+					return await this.cdnAdapter.getNewResponseObject(
+						{
+							message: `Too many operations. A batch can contain at most ${defaultSettings.batchMaxOperations} operations.`,
+						},
+						'application/json',
+						true,
+						400
+					);
+				}
+				const batchResult = await this.optimizelyProvider.batch(
+					requestConfig.batchOperations,
+					requestConfig.getHeader('User-Agent')
+				);
+				if (requestConfig.enableResponseMetadata) {
+					return { batch: batchResult, metadata: requestConfig.configMetadata };
+				}
+				return { batch: batchResult };
+			}
+			case '/v1/send-odp-event': {
 				this.logger.debug('POST operation [/v1/send-odp-event]: Send ODP Event');
-				await this.optimizelyProvider.sendOdpEvent();
 				this.sendOdpEventOperation = true;
-				return null;
+				const exclusionReason = this.getExclusionReason();
+				if (exclusionReason) {
+					const withheldResult = { message: `ODP events were not dispatched, ${exclusionReason}.` };
+					if (requestConfig.enableResponseMetadata) {
+						return { ...withheldResult, metadata: requestConfig.configMetadata };
+					}
+					return withheldResult;
+				}
+				const odpResult = await this.optimizelyProvider.sendOdpEvent(requestConfig.odpEvents);
+				if (!odpResult.success) {
+					return await this.cdnAdapter.getNewResponseObject(
+						{ message: odpResult.message || 'Invalid ODP events.', errors: odpResult.errors },
+						'application/json',
+						true,
+						odpResult.status || 400
+					);
+				}
+				this.cdnAdapter.odpEventDispatcher.dispatch(defaultSettings.odpEventsPath);
+				if (requestConfig.enableResponseMetadata) {
+					return { ...odpResult, metadata: requestConfig.configMetadata };
+				}
+				return odpResult;
+			}
 			default:
 				throw new Error(`URL Endpoint Not Found: ${this.pathName}`);
 		}
@@ -601,6 +960,9 @@ export default class CoreLogic {
 		if (this.httpMethod === 'POST' || this.datafileOperation || this.configOperation) {
 			this.logger.debug('Handling POST operations [handlePostOperations]');
 			return await this.handlePostOperations(flagsToDecide, flagsToForce, requestConfig);
+		} else if (this.getExclusionReason()) {
+			this.logger.debug(`No flag is decided, ${this.getExclusionReason()} [optimizelyExecute]`);
+			return [];
 		} else {
 			this.logger.debug('Handling GET operations [optimizelyExecute]');
 			return await this.optimizelyProvider.decide(flagsToDecide, flagsToForce);
@@ -608,41 +970,54 @@ export default class CoreLogic {
 	}
 
 	/**
-	 * Retrieves the Optimizely datafile from KV storage or CDN based on configuration.
-	 * This function attempts to retrieve the datafile first from KV storage if enabled, and falls back to CDN if not found or not enabled.
+	 * Determines whether the request is excluded from experiments: when the visitor has not consented, or when the
+	 * request is a bot request and skipBucketingForBots is enabled. Excluded requests get the default experience, no cookie is set and no event is dispatched.
+	 * @returns {string|undefined} - The reason the request is excluded, or undefined if it is not excluded.
+	 */
+	getExclusionReason() {
+		if (!this.consentGranted) return 'the visitor has not consented';
+		if (this.botExcluded) return 'the request is a bot request';
+		return undefined;
+	}
+
+	/**
+	 * Retrieves the Optimizely datafile from the ordered list of datafile sources: KV storage, a datafile mirror, the
+	 * Optimizely CDN and the datafiles bundled with the worker. The sources are tried in order, each with its own timeout,
+	 * and the first valid datafile is returned. The source that served it is reported in configMetadata.datafileFrom.
+	 * Datafiles that fail the schema validation are not used, and the next source is tried.
+	 * The datafiles from the mirror and the CDN are cached in the isolate and refreshed in the background once stale,
+	 * see DatafileCache. Datafiles of secure environments are fetched from the authenticated endpoint with the datafile
+	 * access token. The revision of the retrieved datafile is stored in this.datafileRevision.
 	 *
 	 * @param {Object} requestConfig - Configuration object containing settings and metadata for retrieval.
 	 * @param {Object} env - The environment object, typically including access to storage and other resources.
-	 * @returns {Promise<string>} A promise that resolves to the datafile string, or throws an error if unable to retrieve.
+	 * @returns {Promise<string>} A promise that resolves to the datafile string, or null if no source returns a datafile.
 	 */
 	async retrieveDatafile(requestConfig, env) {
 		this.logger.debug('Retrieving datafile [retrieveDatafile]');
 		try {
-			// Prioritize KV storage if enabled in settings
-			if (requestConfig.datafileFromKV) {
-				const datafile = await this.cdnAdapter.getDatafileFromKV(requestConfig.sdkKey, this.kvStore);
-				if (datafile) {
-					this.logger.debug('Datafile retrieved from KV storage');
+			this.datafileAccessToken = await optlyHelper.getDatafileAccessToken(
+				this.abstractionHelper,
+				requestConfig.datafileAccessToken
+			);
+			const sources = await this.getDatafileSources();
+			for (const source of sources) {
+				// KV storage is used only when the datafile is requested from KV storage
+				if (source === 'kv' && !requestConfig.datafileFromKV) continue;
+				try {
+					const result = await this.retrieveDatafileFromSource(source, requestConfig.sdkKey);
+					if (!result) continue;
+					this.logger.debug(`Datafile retrieved from ${DATAFILE_SOURCE_NAMES[source]}`);
 					if (requestConfig.enableResponseMetadata) {
-						requestConfig.configMetadata.datafileFrom = 'KV Storage';
+						requestConfig.configMetadata.datafileFrom = DATAFILE_SOURCE_NAMES[source];
 					}
-					return datafile;
+					this.datafileRevision = result.revision;
+					return result.datafile;
+				} catch (error) {
+					this.logger.error(`Error retrieving the datafile from ${DATAFILE_SOURCE_NAMES[source]}:`, error.message);
 				}
-				this.logger.error('Datafile not found in KV Storage; falling back to CDN.');
-			}
-
-			// Fallback to CDN if KV storage is not enabled or datafile is not found
-			const datafileFromCDN = await this.cdnAdapter.getDatafile(requestConfig.sdkKey, 600);
-			if (datafileFromCDN) {
-				this.logger.debug('Datafile retrieved from CDN');
-				if (requestConfig.enableResponseMetadata) {
-					requestConfig.configMetadata.datafileFrom = 'CDN';
-				}
-				return datafileFromCDN;
-			} else {
-				this.logger.error(`Failed to retrieve datafile from CDN with sdkKey: ${requestConfig.sdkKey}`);
-				throw new Error('Unable to retrieve the required datafile.');
 			}
+			throw new Error(`Unable to retrieve the datafile with sdkKey: ${requestConfig.sdkKey}`);
 		} catch (error) {
 			// Log and rethrow error to be handled by the caller
 			this.logger.error('Error retrieving datafile:', error.message);
@@ -651,6 +1026,138 @@ export default class CoreLogic {
 		}
 	}
 
+	/**
+	 * Retrieves the ordered list of datafile sources, from the environment variable named by
+	 * defaultSettings.datafileSourcesVariable or from defaultSettings.datafileSources. Unknown sources are ignored.
+	 * @returns {Promise<string[]>} A promise that resolves to the datafile sources.
+	 */
+	async getDatafileSources() {
+		let sources = defaultSettings.datafileSources;
+		try {
+			const value = await this.abstractionHelper.getEnvVariableValue(defaultSettings.datafileSourcesVariable);
+			if (typeof value === 'string' && value.trim() !== '') {
+				sources = optlyHelper.splitAndTrimArray(value.toLowerCase());
+			}
+		} catch (error) {
+			// The variable is not set, the default sources are used
+		}
+		return sources.filter((source) => {
+			if (DATAFILE_SOURCE_NAMES[source]) return true;
+			this.logger.error('Unknown datafile source ignored:', source);
+			return false;
+		});
+	}
+
+	/**
+	 * Retrieves and validates the datafile from a datafile source, within the timeout of the source.
+	 * @param {string} source - The datafile source: kv, mirror, cdn or bundled.
+	 * @param {string} sdkKey - The datafile SDK key.
+	 * @returns {Promise<Object|undefined>} A promise that resolves to { datafile, revision }, or undefined if the source
+	 *   has no datafile for the SDK key.
+	 * @throws {Error} If the datafile cannot be retrieved in time or is invalid.
+	 */
+	async retrieveDatafileFromSource(source, sdkKey) {
+		const timeoutMs = defaultSettings.datafileSourceTimeouts[source];
+		const timeoutMessage = `${DATAFILE_SOURCE_NAMES[source]} did not respond within ${timeoutMs}ms.`;
+		const cacheOptions = {
+			ttlSeconds: defaultSettings.datafileCacheTtlSeconds,
+			maxStaleSeconds: defaultSettings.datafileCacheMaxStaleSeconds,
+			waitUntil: (promise) => this.ctx.waitUntil(promise),
+		};
+		const fetchWithTimeout = (accessToken, url) =>
+			optlyHelper.withTimeout(this.fetchDatafile(sdkKey, accessToken, url), timeoutMs, timeoutMessage);
+
+		switch (source) {
+			case 'kv': {
+				const datafile = await optlyHelper.withTimeout(
+					this.cdnAdapter.getDatafileFromKV(sdkKey, this.kvStore),
+					timeoutMs,
+					timeoutMessage
+				);
+				return datafile ? this.validateDatafileFromSource(datafile, source) : undefined;
+			}
+			case 'mirror': {
+				const mirrorUrl = await this.getDatafileMirrorUrl(sdkKey);
+				if (!mirrorUrl) return undefined;
+				// The access token is only sent to the Optimizely CDN
+				return await getCachedDatafile(`mirror:${sdkKey}`, () => fetchWithTimeout(undefined, mirrorUrl), cacheOptions);
+			}
+			case 'cdn': {
+				// Datafiles of secure environments are cached per access token, so they are only served with the same token
+				const cacheKey = this.datafileAccessToken
+					? `auth:${await hashValue(this.datafileAccessToken)}:${sdkKey}`
+					: sdkKey;
+				return await getCachedDatafile(cacheKey, () => fetchWithTimeout(this.datafileAccessToken), cacheOptions);
+			}
+			case 'bundled': {
+				const datafile = bundledDatafiles[sdkKey];
+				if (!datafile) return undefined;
+				return this.validateDatafileFromSource(
+					typeof datafile === 'string' ? datafile : optlyHelper.safelyStringifyJSON(datafile),
+					source
+				);
+			}
+			default:
+				return undefined;
+		}
+	}
+
+	/**
+	 * Retrieves the URL of the datafile mirror of an SDK key, from the environment variable named by
+	 * defaultSettings.datafileMirrorUrlVariable. The {sdkKey} placeholder of the URL is replaced by the SDK key.
+	 * @param {string} sdkKey - The datafile SDK key.
+	 * @returns {Promise<string|undefined>} A promise that resolves to the URL, or undefined if no mirror is configured.
+	 */
+	async getDatafileMirrorUrl(sdkKey) {
+		try {
+			const mirrorUrl = await this.abstractionHelper.getEnvVariableValue(defaultSettings.datafileMirrorUrlVariable);
+			if (typeof mirrorUrl !== 'string' || mirrorUrl.trim() === '') return undefined;
+			return mirrorUrl.trim().replace('{sdkKey}', sdkKey);
+		} catch (error) {
+			return undefined;
+		}
+	}
+
+	/**
+	 * Validates a datafile retrieved from a datafile source.
+	 * @param {string} datafile - The datafile JSON string.
+	 * @param {string} source - The datafile source.
+	 * @returns {Object} { datafile, revision }
+	 * @throws {Error} If the datafile is invalid.
+	 */
+	validateDatafileFromSource(datafile, source) {
+		const validation = validateDatafile(datafile);
+		if (!validation.valid) {
+			this.logger.error(
+				`Invalid datafile from ${DATAFILE_SOURCE_NAMES[source]}:`,
+				optlyHelper.safelyStringifyJSON(validation.errors)
+			);
+			throw new Error(`The datafile retrieved from ${DATAFILE_SOURCE_NAMES[source]} is invalid.`);
+		}
+		return { datafile, revision: validation.datafile.revision };
+	}
+
+	/**
+	 * Fetches and validates the datafile from the Optimizely CDN or from a datafile mirror.
+	 * @param {string} sdkKey - The datafile SDK key.
+	 * @param {string} [accessToken] - The datafile access token of a secure environment.
+	 * @param {string} [url] - The URL of the datafile mirror. Defaults to the URL of the datafile on the Optimizely CDN.
+	 * @returns {Promise<Object>} A promise that resolves to { datafile, revision }.
+	 * @throws {Error} If the datafile cannot be fetched or is invalid.
+	 */
+	async fetchDatafile(sdkKey, accessToken, url) {
+		const datafile = await this.cdnAdapter.getDatafile(
+			sdkKey,
+			defaultSettings.datafileCacheTtlSeconds,
+			accessToken,
+			url
+		);
+		if (!datafile) {
+			throw new Error('Unable to retrieve the required datafile.');
+		}
+		return this.validateDatafileFromSource(datafile, url ? 'mirror' : 'cdn');
+	}
+
 	/**
 	 * Initializes the Optimizely instance.
 	 * @param {Object} datafile - The Optimizely datafile object.
@@ -666,15 +1173,18 @@ export default class CoreLogic {
 			requestConfig.decideOptions,
 			requestConfig.attributes,
 			requestConfig.eventTags,
-			requestConfig.datafileAccessToken,
+			this.datafileAccessToken || requestConfig.datafileAccessToken,
 			userAgent,
-			this.sdkKey
+			this.sdkKey,
+			this.datafileRevision
 		);
 	}
 
 	getIsDecideOperation(pathName) {
 		if (this.isDecideOperation !== undefined) return this.isDecideOperation;
-		const result = !['/v1/config', '/v1/datafile', '/v1/track', '/v1/batch'].includes(pathName);
+		const result = !['/v1/config', '/v1/datafile', '/v1/track', '/v1/batch', '/v1/send-odp-event'].includes(
+			pathName
+		);
 		this.isDecideOperation = result;
 		return result;
 	}
@@ -728,13 +1238,16 @@ export default class CoreLogic {
 			requestConfig.headerCookiesString
 		);
 
-		if (requestConfig.headerCookiesString && !this.isPostMethod) {
+		if (requestConfig.headerCookiesString && !this.isPostMethod && !this.getExclusionReason()) {
 			try {
-				const tempCookie = optlyHelper.getCookieValueByName(
+				const tempCookie = readDecisionsCookie(
 					requestConfig.headerCookiesString,
 					requestConfig.settings.decisionsCookieName
 				);
-				savedCookieDecisions = optlyHelper.deserializeDecisions(tempCookie);
+				savedCookieDecisions = decodeDecisions(
+					await this.verifyDecisionsCookie(tempCookie),
+					this.optimizelyProvider.getDecisionIndex()
+				);
 				validStoredDecisions = optlyHelper.getValidCookieDecisions(savedCookieDecisions, activeFlags);
 				invalidCookieDecisions = optlyHelper.getInvalidCookieDecisions(savedCookieDecisions, activeFlags);
 			} catch (error) {
@@ -758,6 +1271,61 @@ export default class CoreLogic {
 		return { savedCookieDecisions, validStoredDecisions, invalidCookieDecisions };
 	}
 
+	/**
+	 * Verifies the signature of the decisions cookie. Cookies without a valid signature are discarded, so that a visitor
+	 * cannot force a variation by editing the cookie. Until a cookie signing secret is configured, the cookie is read
+	 * unsigned. Unsigned cookies in the legacy format, set before signing was enabled, are accepted while
+	 * acceptLegacyDecisionsCookies is enabled, and the response re-issues them signed in the version 2 format.
+	 * @param {string} cookieValue - The value of the decisions cookie.
+	 * @returns {Promise<string|undefined>} The encoded decisions, or undefined if the cookie is missing or invalid.
+	 */
+	async verifyDecisionsCookie(cookieValue) {
+		if (!cookieValue) return undefined;
+		const secrets = await getCookieSigningSecrets(this.abstractionHelper);
+		if (secrets.length === 0) {
+			warnUnsignedCookies();
+			return cookieValue;
+		}
+		const encodedDecisions = await verifySignedCookieValue(cookieValue, secrets);
+		const isUnsignedLegacyCookie = isLegacyDecisions(cookieValue) && !hasCookieSignature(cookieValue);
+		if (encodedDecisions === null && defaultSettings.acceptLegacyDecisionsCookies && isUnsignedLegacyCookie) {
+			this.logger.debug('Unsigned legacy decisions cookie accepted, it is re-issued signed [verifyDecisionsCookie]');
+			return cookieValue;
+		}
+		if (encodedDecisions === null) {
+			this.logger.debug('Invalid decisions cookie signature, the cookie is discarded [verifyDecisionsCookie]');
+			return undefined;
+		}
+		return encodedDecisions;
+	}
+
+	/**
+	 * Encodes the decisions of the request for the decisions cookie, see DecisionsCookie. The decisions that do not fit in
+	 * the numbered cookies, once signed, are left out.
+	 * @returns {string|undefined} The encoded decisions, or undefined if there is no decision to store.
+	 */
+	encodeDecisionsCookie() {
+		const maxLength =
+			defaultSettings.decisionsCookieMaxLength * defaultSettings.decisionsCookieMaxChunks - COOKIE_SIGNATURE_LENGTH;
+		return encodeDecisions(this.allDecisions, this.optimizelyProvider.getDecisionIndex(), maxLength);
+	}
+
+	/**
+	 * Signs the encoded decisions stored in the decisions cookie with the primary cookie signing secret. Until a cookie
+	 * signing secret is configured, the encoded decisions are stored unsigned.
+	 * @param {string} encodedDecisions - The encoded decisions.
+	 * @returns {Promise<string|undefined>} The cookie value, or undefined if there are no decisions.
+	 */
+	async signDecisionsCookie(encodedDecisions) {
+		if (!encodedDecisions) return undefined;
+		const [primarySecret] = await getCookieSigningSecrets(this.abstractionHelper);
+		if (!primarySecret) {
+			warnUnsignedCookies();
+			return encodedDecisions;
+		}
+		return await signCookieValue(encodedDecisions, primarySecret);
+	}
+
 	/**
 	 * Calculate flags to decide based on request config and stored decisions.
 	 */
@@ -900,7 +1468,7 @@ export default class CoreLogic {
 	}
 
 	/**
-	 * Retrieves the visitor ID from the request, cookie, or generates a new one.
+	 * Retrieves the visitor ID with the chain of visitor ID resolvers, or generates a new one.
 	 * Additionally, tracks the source of the visitor ID and stores this information
 	 * in the configuration metadata.
 	 * @param {Request} request - The incoming request object.
@@ -909,8 +1477,13 @@ export default class CoreLogic {
 	 */
 	async getVisitorId(request, requestConfig) {
 		this.logger.debug('Retrieving visitor ID [getVisitorId]');
-		let visitorId = requestConfig.visitorId;
-		let visitorIdSource = 'request-visitor'; // Default source
+		const exclusionReason = this.getExclusionReason();
+		if (exclusionReason) {
+			const ephemeralVisitorId = await optlyHelper.generateUUID();
+			this.storeVisitorIdMetadata(requestConfig, ephemeralVisitorId, 'ephemeral-visitor');
+			this.logger.debug(`Using an ephemeral visitor ID, ${exclusionReason}: ${ephemeralVisitorId}`);
+			return ephemeralVisitorId;
+		}
 
 		if (requestConfig.overrideVisitorId) {
 			this.logger.debug('Overriding visitor ID');
@@ -919,15 +1492,85 @@ export default class CoreLogic {
 			return result;
 		}
 
-		if (!visitorId) {
-			[visitorId, visitorIdSource] = await this.retrieveOrGenerateVisitorId(request, requestConfig);
-		}
-
+		const [visitorId, visitorIdSource] = await this.retrieveOrGenerateVisitorId(request, requestConfig);
 		this.storeVisitorIdMetadata(requestConfig, visitorId, visitorIdSource);
 		this.logger.debug(`Visitor ID retrieved: ${visitorId}`);
 		return visitorId;
 	}
 
+	/**
+	 * Resolves the consent of the visitor when consent-aware mode is enabled, see Consent. Without consent, the visitor
+	 * gets an ephemeral visitor ID for the request, no cookie is set and no flag is decided, so that the default
+	 * experience is served, and no decision, conversion or ODP event is dispatched.
+	 * The consent is reported in configMetadata.consentGranted and configMetadata.consentFrom.
+	 * @param {RequestConfig} requestConfig - The request configuration object.
+	 * @returns {Promise<boolean>} - True if the visitor consented or consent-aware mode is disabled.
+	 */
+	async resolveVisitorConsent(requestConfig) {
+		const consentConfig = await getConsentConfig(this.abstractionHelper);
+		if (!consentConfig) {
+			this.consentGranted = true;
+			return true;
+		}
+
+		const { granted, from } = resolveConsent(consentConfig, requestConfig.headerCookiesString, (name) =>
+			requestConfig.getHeader(name)
+		);
+		this.consentGranted = granted;
+		this.optimizelyProvider.setEventsDisabled(!granted);
+		if (requestConfig.enableResponseMetadata) {
+			requestConfig.configMetadata.consentGranted = granted;
+			requestConfig.configMetadata.consentFrom = from;
+		}
+		this.logger.debug(`Visitor consent resolved [resolveVisitorConsent]: ${granted} from ${from}`);
+		return granted;
+	}
+
+	/**
+	 * Detects bot requests, see BotDetection. Unless skipBucketingForBots is false, bot requests are excluded from
+	 * experiments: they get an ephemeral visitor ID, no cookie is set and no flag is decided, so that the default
+	 * experience is served, and no decision, conversion or ODP event is dispatched. Requests to the API endpoints are
+	 * never excluded, as their callers decide for themselves which visitors to bucket.
+	 * Bot requests are reported in configMetadata.botDetected and configMetadata.botDetectedFrom, logged as a
+	 * "botDetected" JSON line at the info level so that the bot traffic can be aggregated from the logs, and passed to
+	 * the listeners of the botDetected event.
+	 * @param {Request} request - The incoming request object.
+	 * @param {RequestConfig} requestConfig - The request configuration object.
+	 * @returns {Promise<boolean>} - True if the request is a bot request.
+	 */
+	async resolveBotTraffic(request, requestConfig) {
+		this.isBot = false;
+		this.botExcluded = false;
+		const botDetectionConfig = await getBotDetectionConfig(this.abstractionHelper);
+		if (!botDetectionConfig) return false;
+
+		const edgeContext =
+			this.cdnAdapter && typeof this.cdnAdapter.getEdgeContext === 'function'
+				? this.cdnAdapter.getEdgeContext(request)
+				: {};
+		const { isBot, from } = detectBot(botDetectionConfig, requestConfig.getHeader('User-Agent'), edgeContext, (name) =>
+			requestConfig.getHeader(name)
+		);
+		if (!isBot) return false;
+
+		this.isBot = true;
+		this.botExcluded = defaultSettings.skipBucketingForBots === true && !validatedEndpoints.includes(this.pathName);
+		if (this.botExcluded) {
+			this.optimizelyProvider.setEventsDisabled(true);
+		}
+		if (requestConfig.enableResponseMetadata) {
+			requestConfig.configMetadata.botDetected = true;
+			requestConfig.configMetadata.botDetectedFrom = from;
+		}
+
+		const botDetected = { event: 'botDetected', from, excluded: this.botExcluded, path: this.pathName };
+		this.logger.info(JSON.stringify(botDetected));
+		if (this.eventListeners.isRegistered('botDetected')) {
+			await this.eventListeners.trigger('botDetected', request, requestConfig, botDetected);
+		}
+		return true;
+	}
+
 	/**
 	 * Overrides the visitor ID by generating a new UUID.
 	 * @param {RequestConfig} requestConfig - The request configuration object.
@@ -941,17 +1584,25 @@ export default class CoreLogic {
 	}
 
 	/**
-	 * Retrieves a visitor ID from a cookie or generates a new one if not found.
+	 * Retrieves the visitor ID with the chain of visitor ID resolvers, see VisitorIdResolvers, or generates a new one if
+	 * no resolver returns a visitor ID. By default, the chain reads the visitor ID of the request, then the visitor ID
+	 * cookie, then the visitor ID returned by the listeners of the resolveVisitorId event.
 	 * @param {Request} request - The request object.
 	 * @param {RequestConfig} requestConfig - The request configuration object.
 	 * @returns {Promise<[string, string]>} - A tuple of the visitor ID and its source.
 	 */
 	async retrieveOrGenerateVisitorId(request, requestConfig) {
-		let visitorId = this.cdnAdapter.getRequestCookie(request, requestConfig.settings.visitorIdCookieName);
-		let visitorIdSource = visitorId ? 'cookie-visitor' : 'cdn-generated-visitor';
+		const resolvers = await getVisitorIdResolvers(this.abstractionHelper);
+		let [visitorId, visitorIdSource] = await resolveVisitorId(resolvers, {
+			request,
+			requestConfig,
+			cdnAdapter: this.cdnAdapter,
+			eventListeners: this.eventListeners,
+		});
 
 		if (!visitorId) {
 			visitorId = await optlyHelper.generateUUID();
+			visitorIdSource = 'cdn-generated-visitor';
 		}
 
 		return [visitorId, visitorIdSource];
@@ -1138,16 +1789,36 @@ export default class CoreLogic {
 	 */
 	async setResponseCookies(response, visitorId, serializedDecisions, requestConfig) {
 		this.logger.debug('Setting response cookies [setResponseCookies]');
-		const [visitorCookie, modRespCookie] = await Promise.all([
-			optlyHelper.createCookie(requestConfig.settings.visitorIdCookieName, visitorId),
-			optlyHelper.createCookie(requestConfig.settings.decisionsCookieName, serializedDecisions),
+		const exclusionReason = this.getExclusionReason();
+		if (exclusionReason) {
+			this.logger.debug(`No cookie is set, ${exclusionReason} [setResponseCookies]`);
+			return;
+		}
+		const [visitorIdCookieOptions, decisionsCookieOptions] = await Promise.all([
+			getCookieOptions(this.abstractionHelper, 'visitorId', requestConfig.settings.cookieExpirationInDays),
+			getCookieOptions(this.abstractionHelper, 'decisions', requestConfig.settings.cookieExpirationInDays),
 		]);
+		const visitorCookie = optlyHelper.createCookie(
+			requestConfig.settings.visitorIdCookieName,
+			visitorId,
+			visitorIdCookieOptions
+		);
+		const signedDecisions = serializedDecisions
+			? await this.signDecisionsCookie(this.encodeDecisionsCookie())
+			: undefined;
 
 		if (visitorCookie) {
 			this.cdnAdapter.cookiesToSetResponse.push(visitorCookie);
 		}
-		if (modRespCookie) {
-			this.cdnAdapter.cookiesToSetResponse.push(modRespCookie);
+		if (signedDecisions) {
+			this.cdnAdapter.cookiesToSetResponse.push(
+				...createDecisionsCookies(
+					requestConfig.settings.decisionsCookieName,
+					signedDecisions,
+					requestConfig.headerCookiesString,
+					decisionsCookieOptions
+				)
+			);
 		}
 
 		response = this.cdnAdapter.setMultipleRespSerializedCookies(response, this.cdnAdapter.cookiesToSetResponse);
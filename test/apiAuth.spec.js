@@ -0,0 +1,160 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { authenticateApiRequest, getRequiredScope } from '../src/_api_/apiAuth';
+import defaultSettings from '../src/_config_/defaultSettings';
+import { computeHmac } from '../src/_helpers_/optimizelyHelper';
+
+const logger = { debug: () => {}, error: () => {} };
+const credentials = {
+	API_READ_TOKEN: 'read-token',
+	API_WRITE_TOKEN: 'old-write-token, write-token',
+	API_READ_HMAC_SECRET: 'read-secret',
+	API_WRITE_HMAC_SECRET: 'write-secret',
+};
+
+/**
+ * Builds an abstraction helper reading the given environment and creating plain response objects.
+ * @param {Object} env - The environment variables.
+ * @returns {Object} The abstraction helper.
+ */
+function buildAbstractionHelper(env) {
+	return {
+		abstractRequest: {
+			getHttpMethodFromRequest: (request) => request.method,
+			getHeaderFromRequest: (request, name) => request.headers.get(name),
+			getNewURL: (url) => new URL(url),
+		},
+		getEnvVariableValue: (name) => {
+			if (name in env) return env[name];
+			throw new Error(`Environment variable ${name} not found`);
+		},
+		createResponse: (body, status, headers) => ({ body, status, headers }),
+	};
+}
+
+/**
+ * Authenticates a request to the API with the credentials of the environment.
+ * @param {Request} request - The request.
+ * @param {Object} [env] - The environment variables.
+ * @returns {Promise<Object>} The result of authenticateApiRequest.
+ */
+function authenticate(request, env = credentials) {
+	return authenticateApiRequest(request, buildAbstractionHelper(env), logger, defaultSettings);
+}
+
+/**
+ * Builds a request signed with an HMAC secret.
+ * @param {string} secret - The HMAC secret.
+ * @param {string} method - The HTTP method.
+ * @param {string} [body] - The body of the request.
+ * @param {number} [timestamp] - The Unix timestamp of the signature, in seconds.
+ * @returns {Promise<Request>} The signed request.
+ */
+async function buildSignedRequest(secret, method, body, timestamp = Math.floor(Date.now() / 1000)) {
+	const signature = await computeHmac(secret, `${timestamp}.${method}./v1/api/datafiles?sdkKey=abc.${body || ''}`);
+	return new Request('https://edge.example.com/v1/api/datafiles?sdkKey=abc', {
+		method,
+		body,
+		headers: { 'X-Optimizely-Signature': `sha256=${signature}`, 'X-Optimizely-Timestamp': String(timestamp) },
+	});
+}
+
+/**
+ * Builds a request with a bearer token.
+ * @param {string} token - The bearer token.
+ * @param {string} [method] - The HTTP method.
+ * @returns {Request} The request.
+ */
+function buildBearerRequest(token, method = 'GET') {
+	return new Request('https://edge.example.com/v1/api/flag_keys', {
+		method,
+		headers: { Authorization: `Bearer ${token}` },
+	});
+}
+
+describe('getRequiredScope', () => {
+	it('requires the read scope for GET and HEAD requests only', () => {
+		expect(['GET', 'HEAD', 'POST', 'DELETE'].map(getRequiredScope)).toEqual(['read', 'read', 'write', 'write']);
+	});
+});
+
+describe('authenticateApiRequest', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('grants the scope of a valid bearer token, including every rotated write token', async () => {
+		expect(await authenticate(buildBearerRequest('read-token'))).toEqual({ authorized: true, scope: 'read' });
+		expect(await authenticate(buildBearerRequest('write-token', 'POST'))).toEqual({ authorized: true, scope: 'write' });
+		expect(await authenticate(buildBearerRequest('old-write-token', 'GET'))).toEqual({
+			authorized: true,
+			scope: 'write',
+		});
+	});
+
+	it('rejects an invalid bearer token and a request without credentials with a 401', async () => {
+		const invalid = await authenticate(buildBearerRequest('write-token-2', 'POST'));
+		expect(invalid.authorized).toBe(false);
+		expect(invalid.response).toMatchObject({
+			status: 401,
+			body: { error: 'unauthorized', message: 'Invalid credentials.' },
+			headers: { 'WWW-Authenticate': 'Bearer realm="optimizely-edge-agent-api"' },
+		});
+		const missing = await authenticate(new Request('https://edge.example.com/v1/api/flag_keys'));
+		expect(missing.response.body.message).toBe('Missing credentials. Use a bearer token or an HMAC signature.');
+	});
+
+	it('rejects a read-only token on a write route with a 403', async () => {
+		const result = await authenticate(buildBearerRequest('read-token', 'POST'));
+		expect(result.authorized).toBe(false);
+		expect(result.response).toMatchObject({
+			status: 403,
+			body: { error: 'forbidden', message: 'The credentials do not grant the write scope required by POST requests.' },
+		});
+		expect(result.response.headers).not.toHaveProperty('WWW-Authenticate');
+	});
+
+	it('grants the scope of a valid HMAC signature of the method, path, query string and body', async () => {
+		expect(await authenticate(await buildSignedRequest('write-secret', 'POST', '{"flagKeys":["a"]}'))).toEqual({
+			authorized: true,
+			scope: 'write',
+		});
+		expect(await authenticate(await buildSignedRequest('read-secret', 'GET'))).toEqual({
+			authorized: true,
+			scope: 'read',
+		});
+		const readOnly = await authenticate(await buildSignedRequest('read-secret', 'POST', '{}'));
+		expect(readOnly.response.status).toBe(403);
+	});
+
+	it('rejects a signature made with another secret or over another body', async () => {
+		const wrongSecret = await authenticate(await buildSignedRequest('other-secret', 'GET'));
+		expect(wrongSecret.response.body.message).toBe('Invalid credentials.');
+
+		const signed = await buildSignedRequest('write-secret', 'POST', '{"flagKeys":["a"]}');
+		const tampered = new Request(signed.url, { method: 'POST', headers: signed.headers, body: '{"flagKeys":["b"]}' });
+		expect((await authenticate(tampered)).response).toMatchObject({
+			status: 401,
+			body: { message: 'Invalid credentials.' },
+		});
+	});
+
+	it('rejects a signature whose timestamp is outside the tolerance', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const timestamp = Math.floor(Date.now() / 1000);
+		const request = await buildSignedRequest('write-secret', 'GET', undefined, timestamp);
+		vi.advanceTimersByTime((defaultSettings.apiSignatureToleranceSeconds + 1) * 1000);
+
+		expect((await authenticate(request)).response).toMatchObject({
+			status: 401,
+			body: { message: 'Missing or expired X-Optimizely-Timestamp header.' },
+		});
+	});
+
+	it('rejects every request when no credentials are configured', async () => {
+		const result = await authenticate(buildBearerRequest('write-token'), { API_READ_TOKEN: ' , ' });
+		expect(result.response).toMatchObject({
+			status: 401,
+			body: { message: 'API authentication is not configured.' },
+		});
+	});
+});
@@ -0,0 +1,86 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getAttributeMapping, resolveMappedAttributes } from '../src/_helpers_/attributeMapping';
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+/**
+ * Builds a KV store that serves the values of a map and counts its reads.
+ * @param {Object} values - The values of the KV store, by key.
+ * @returns {Object} The KV store, with the number of reads in reads.
+ */
+function buildKvStore(values) {
+	const kvStore = {
+		reads: 0,
+		get: async (key) => {
+			kvStore.reads++;
+			if (values.failing) throw new Error('KV unavailable');
+			return key in values ? values[key] : null;
+		},
+	};
+	return kvStore;
+}
+
+describe('getAttributeMapping', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('reads the mapping of the environment variable first', async () => {
+		const kvStore = buildKvStore({});
+		const mapping = await getAttributeMapping(
+			abstractionHelper({ OPTIMIZELY_ATTRIBUTE_MAPPING: '{"plan": {"cookie": "user_plan"}}' }),
+			kvStore
+		);
+		expect(mapping).toEqual({ plan: { cookie: 'user_plan' } });
+		expect(kvStore.reads).toBe(0);
+	});
+
+	it('caches the mapping of the KV store in the isolate until it expires', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const values = { optly_attribute_mapping: '{"campaign": {"query": "utm_campaign"}}' };
+		const kvStore = buildKvStore(values);
+
+		expect(await getAttributeMapping(abstractionHelper({}), kvStore)).toEqual({ campaign: { query: 'utm_campaign' } });
+		values.optly_attribute_mapping = '{"beta": {"header": "X-Beta-User", "type": "boolean"}}';
+		expect(await getAttributeMapping(abstractionHelper({}), kvStore)).toEqual({ campaign: { query: 'utm_campaign' } });
+		expect(kvStore.reads).toBe(1);
+
+		vi.advanceTimersByTime(61000);
+		expect(await getAttributeMapping(abstractionHelper({}), kvStore)).toEqual({
+			beta: { header: 'X-Beta-User', type: 'boolean' },
+		});
+		expect(kvStore.reads).toBe(2);
+
+		// The last mapping read is used when the KV store cannot be read
+		vi.advanceTimersByTime(61000);
+		values.failing = true;
+		expect(await getAttributeMapping(abstractionHelper({}), kvStore)).toEqual({
+			beta: { header: 'X-Beta-User', type: 'boolean' },
+		});
+		expect(kvStore.reads).toBe(3);
+	});
+});
+
+describe('resolveMappedAttributes', () => {
+	it('reads and coerces the attributes from their sources', () => {
+		const mapping = {
+			plan: { cookie: 'user_plan' },
+			loggedIn: { cookie: 'session', exists: true },
+			visits: { cookie: 'visit_count', type: 'number' },
+			beta: { header: 'X-Beta-User', type: 'boolean' },
+			campaign: { query: 'utm_campaign' },
+		};
+		const cookies = { user_plan: 'gold', visit_count: 'many' };
+		const attributes = resolveMappedAttributes(mapping, {
+			getCookie: (name) => cookies[name],
+			getQueryParameter: () => null,
+			getHeader: (name) => (name === 'X-Beta-User' ? 'Yes' : null),
+		});
+		expect(attributes).toEqual({ plan: 'gold', loggedIn: false, beta: true });
+	});
+});
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import OptimizelyProvider from '../src/_optimizely_/optimizelyProvider';
+
+const abstractionHelper = {
+	abstractRequest: { method: 'POST', getHeader: () => null },
+	abstractContext: {},
+	getEnvVariableValue: (name) => {
+		throw new Error(`Environment variable ${name} not found`);
+	},
+};
+
+/**
+ * Builds an Optimizely client that decides every flag with the "on" variation and records the decide options and the
+ * tracked events.
+ * @returns {Object} The Optimizely client, with the decide options in decideOptions and the events in trackedEvents.
+ */
+function buildOptimizelyClient() {
+	const decide = (flagKey) => ({ flagKey, variationKey: 'on', ruleKey: 'experiment', enabled: true, variables: {} });
+	const optimizelyClient = {
+		decideOptions: [],
+		trackedEvents: [],
+		createUserContext: (visitorId, attributes) => ({
+			decideForKeys: (flagKeys, options) => {
+				optimizelyClient.decideOptions.push(options);
+				return Object.fromEntries(flagKeys.map((flagKey) => [flagKey, decide(flagKey)]));
+			},
+			decideAll: (options) => {
+				optimizelyClient.decideOptions.push(options);
+				return { flag_a: decide('flag_a'), flag_b: decide('flag_b') };
+			},
+			trackEvent: (eventKey, eventTags) => optimizelyClient.trackedEvents.push({ visitorId, eventKey, eventTags }),
+		}),
+		getOptimizelyConfig: () => ({ revision: '42' }),
+	};
+	return optimizelyClient;
+}
+
+/**
+ * Builds an OptimizelyProvider with an Optimizely client for the visitor of the request.
+ * @returns {OptimizelyProvider} The provider.
+ */
+function buildProvider() {
+	const provider = new OptimizelyProvider({}, {}, {}, {}, abstractionHelper);
+	provider.optimizelyClient = buildOptimizelyClient();
+	provider.visitorId = 'request-visitor';
+	return provider;
+}
+
+describe('batch', () => {
+	it('returns one result per operation in request order, each with its own status', async () => {
+		const provider = buildProvider();
+		const results = await provider.batch([
+			{ id: 'first', type: 'decide', visitorId: 'visitor-1', flagKeys: ['flag_a'] },
+			{ type: 'track', eventKey: 'purchase', eventTags: { revenue: 100 } },
+			{ type: 'track' },
+			{ type: 'config' },
+			{ type: 'decide', attributes: ['plan'] },
+		]);
+
+		expect(results).toEqual([
+			{
+				id: 'first',
+				type: 'decide',
+				visitorId: 'visitor-1',
+				status: 'success',
+				result: [{ flagKey: 'flag_a', variationKey: 'on', ruleKey: 'experiment', enabled: true, variables: {} }],
+			},
+			{
+				id: 1,
+				type: 'track',
+				visitorId: 'request-visitor',
+				status: 'success',
+				result: { eventKey: 'purchase', dispatched: true },
+			},
+			{
+				id: 2,
+				type: 'track',
+				visitorId: 'request-visitor',
+				status: 'error',
+				error: 'Invalid or missing event key. An event key is required for tracking conversions.',
+			},
+			{ id: 3, type: 'config', visitorId: 'request-visitor', status: 'success', result: { revision: '42' } },
+			{ id: 4, type: 'decide', visitorId: undefined, status: 'error', error: 'Attributes must be a valid object.' },
+		]);
+		expect(provider.optimizelyClient.trackedEvents).toEqual([
+			{ visitorId: 'request-visitor', eventKey: 'purchase', eventTags: { revenue: 100 } },
+		]);
+	});
+
+	it('reports unknown operation types and operations that are not objects', async () => {
+		const results = await buildProvider().batch([{ type: 'activate' }, 'decide']);
+		expect(results.map(({ status, error }) => ({ status, error }))).toEqual([
+			{ status: 'error', error: 'Unsupported batch operation type: activate' },
+			{ status: 'error', error: 'Operation must be an object.' },
+		]);
+	});
+
+	it('does not dispatch events when the events of the request are disabled', async () => {
+		const provider = buildProvider();
+		provider.setEventsDisabled(true);
+		const results = await provider.batch([{ type: 'decide' }, { type: 'track', eventKey: 'purchase' }]);
+
+		expect(results[0].result.map((decision) => decision.flagKey)).toEqual(['flag_a', 'flag_b']);
+		expect(provider.optimizelyClient.decideOptions[0]).toContain('DISABLE_DECISION_EVENT');
+		expect(results[1].result).toEqual({ eventKey: 'purchase', dispatched: false });
+		expect(provider.optimizelyClient.trackedEvents).toEqual([]);
+	});
+
+	it('rejects an empty batch', async () => {
+		await expect(buildProvider().batch([])).rejects.toThrow('Batch operations must be a non-empty array.');
+	});
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { detectBot, getBotDetectionConfig } from '../src/_helpers_/botDetection';
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+const HTTP_CLIENTS = [
+	'curl/8.4.0',
+	'python-requests/2.31.0',
+	'okhttp/4.12.0',
+	'axios/1.6.8',
+	'node-fetch/1.0 (+https://github.com/bitinn/node-fetch)',
+	'Go-http-client/2.0',
+	'Java/17.0.2',
+];
+const noHeader = () => null;
+
+describe('detectBot', () => {
+	it('detects crawlers from the User-Agent', async () => {
+		const config = await getBotDetectionConfig(abstractionHelper({}));
+		expect(detectBot(config, GOOGLEBOT, {}, noHeader)).toEqual({ isBot: true, from: 'user-agent' });
+	});
+
+	it('does not treat HTTP libraries as bots unless they are configured', async () => {
+		const config = await getBotDetectionConfig(abstractionHelper({}));
+		for (const userAgent of HTTP_CLIENTS) {
+			expect(detectBot(config, userAgent, {}, noHeader).isBot).toBe(false);
+		}
+		const customConfig = await getBotDetectionConfig(
+			abstractionHelper({ OPTIMIZELY_BOT_DETECTION: '{"userAgents": ["Curl/"]}' })
+		);
+		expect(detectBot(customConfig, 'curl/8.4.0', {}, noHeader)).toEqual({ isBot: true, from: 'user-agent' });
+	});
+
+	it('gives precedence to the verified bot signals', async () => {
+		const config = await getBotDetectionConfig(
+			abstractionHelper({ OPTIMIZELY_BOT_DETECTION: '{"verifiedBotHeader": "X-Verified-Bot"}' })
+		);
+		expect(detectBot(config, GOOGLEBOT, { verifiedBot: true }, noHeader).from).toBe('verified-bot');
+		expect(detectBot(config, 'curl/8.4.0', {}, (name) => (name === 'X-Verified-Bot' ? 'true' : null))).toEqual({
+			isBot: true,
+			from: 'verified-bot',
+		});
+	});
+
+	it('disables the detection with false', async () => {
+		expect(await getBotDetectionConfig(abstractionHelper({ OPTIMIZELY_BOT_DETECTION: 'false' }))).toBeNull();
+	});
+});
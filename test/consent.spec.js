@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { getConsentConfig, getTcfPurposeConsents, resolveConsent } from '../src/_helpers_/consent';
+
+// Fields of the core segment of a TCF v2 consent string, in order, with their size in bits
+const TCF_CORE_FIELDS = [
+	['version', 6],
+	['created', 36],
+	['lastUpdated', 36],
+	['cmpId', 12],
+	['cmpVersion', 12],
+	['consentScreen', 6],
+	['consentLanguage', 12],
+	['vendorListVersion', 12],
+	['tcfPolicyVersion', 6],
+	['isServiceSpecific', 1],
+	['useNonStandardTexts', 1],
+	['specialFeatureOptIns', 12],
+];
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Builds the core segment of a TCF v2 consent string, with every field set to a non-zero value so that a wrong
+ * offset reads bits that do not belong to the purpose consents.
+ * @param {number[]} purposes - The purposes the visitor consented to.
+ * @param {Object} [fields] - The values of the fields preceding the purpose consents.
+ * @returns {string} The base64url encoded core segment.
+ */
+function buildTcString(purposes, fields = {}) {
+	let bits = '';
+	for (const [name, size] of TCF_CORE_FIELDS) {
+		const value = fields[name] !== undefined ? fields[name] : name === 'version' ? 2 : 2 ** size - 1;
+		bits += value.toString(2).padStart(size, '0');
+	}
+	for (let purpose = 1; purpose <= 24; purpose++) {
+		bits += purposes.includes(purpose) ? '1' : '0';
+	}
+	// Purpose legitimate interests and the vendor sections are not read
+	bits += '0'.repeat(24);
+	bits = bits.padEnd(Math.ceil(bits.length / 6) * 6, '0');
+	return bits.replace(/.{6}/g, (chunk) => BASE64URL_ALPHABET[parseInt(chunk, 2)]);
+}
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+describe('getTcfPurposeConsents', () => {
+	it('reads the purpose consents at bit 152 of the core segment', () => {
+		expect([...getTcfPurposeConsents(buildTcString([1, 3, 7, 24]))]).toEqual([1, 3, 7, 24]);
+		expect(getTcfPurposeConsents(buildTcString([])).size).toBe(0);
+	});
+
+	it('only reads the core segment', () => {
+		expect([...getTcfPurposeConsents(`${buildTcString([2])}.YAAAAAAAAAAA.QAAA`)]).toEqual([2]);
+	});
+
+	it('rejects strings that are not TCF v2 strings', () => {
+		expect(getTcfPurposeConsents(buildTcString([1], { version: 1 }))).toBeNull();
+		expect(getTcfPurposeConsents(buildTcString([1]).slice(0, 20))).toBeNull();
+		expect(getTcfPurposeConsents('not a consent string')).toBeNull();
+		expect(getTcfPurposeConsents(undefined)).toBeNull();
+	});
+});
+
+describe('resolveConsent', () => {
+	it('grants consent when every configured purpose is consented to', async () => {
+		const config = await getConsentConfig(
+			abstractionHelper({ OPTIMIZELY_CONSENT: '{"cookie": "euconsent-v2", "format": "tcf", "purposes": [1, 7]}' })
+		);
+		const getHeader = () => null;
+		expect(resolveConsent(config, `euconsent-v2=${buildTcString([1, 7])}`, getHeader)).toEqual({
+			granted: true,
+			from: 'cookie',
+		});
+		expect(resolveConsent(config, `euconsent-v2=${buildTcString([1])}`, getHeader).granted).toBe(false);
+		expect(resolveConsent(config, '', getHeader)).toEqual({ granted: false, from: 'missing' });
+	});
+
+	it('compares a flag signal with the granted values, the header taking precedence over the cookie', async () => {
+		const config = await getConsentConfig(
+			abstractionHelper({ OPTIMIZELY_CONSENT: '{"header": "X-Consent", "cookie": "consent", "format": "flag"}' })
+		);
+		expect(resolveConsent(config, 'consent=no', () => 'Granted')).toEqual({ granted: true, from: 'header' });
+		expect(resolveConsent(config, 'consent=yes', () => null)).toEqual({ granted: true, from: 'cookie' });
+		expect(resolveConsent(config, 'consent=denied', () => null).granted).toBe(false);
+	});
+
+	it('disables consent-aware mode when the configuration is missing or invalid', async () => {
+		expect(await getConsentConfig(abstractionHelper({}))).toBeNull();
+		expect(await getConsentConfig(abstractionHelper({ OPTIMIZELY_CONSENT: '{"format": "tcf"}' }))).toBeNull();
+	});
+});
@@ -0,0 +1,97 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getCookieOptions } from '../src/_helpers_/cookieSettings';
+import { createCookie } from '../src/_helpers_/optimizelyHelper';
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+describe('getCookieOptions', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('uses the default options with a max-age and an expiration date of cookieExpirationInDays', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+		expect(await getCookieOptions(abstractionHelper({}), 'visitorId', 1)).toEqual({
+			path: '/',
+			domain: null,
+			secure: true,
+			httpOnly: true,
+			sameSite: 'None',
+			maxAge: 86400,
+			expires: new Date('2026-01-02T00:00:00Z'),
+		});
+	});
+
+	it('applies the shared options, then the options of the cookie, and ignores invalid options', async () => {
+		const options = await getCookieOptions(
+			abstractionHelper({
+				OPTIMIZELY_COOKIE_OPTIONS: '{"domain": ".example.com", "sameSite": "lax", "path": "relative", "maxAge": -1}',
+				OPTIMIZELY_DECISIONS_COOKIE_OPTIONS: { sameSite: 'Strict', httpOnly: false, priority: 'High' },
+				OPTIMIZELY_VISITOR_ID_COOKIE_OPTIONS: '{"domain": "visitor.example.com"}',
+			}),
+			'decisions',
+			30
+		);
+		expect(options).toMatchObject({
+			domain: '.example.com',
+			path: '/',
+			sameSite: 'Strict',
+			httpOnly: false,
+			maxAge: 2592000,
+		});
+		expect(options).not.toHaveProperty('priority');
+	});
+
+	it('ignores options that are not a JSON object', async () => {
+		const options = await getCookieOptions(
+			abstractionHelper({
+				OPTIMIZELY_COOKIE_OPTIONS: '{domain: .example.com}',
+				OPTIMIZELY_VISITOR_ID_COOKIE_OPTIONS: '[]',
+			}),
+			'visitorId',
+			1
+		);
+		expect(options.domain).toBeNull();
+	});
+
+	it('sets the Secure attribute of SameSite=None cookies', async () => {
+		const options = await getCookieOptions(
+			abstractionHelper({ OPTIMIZELY_COOKIE_OPTIONS: '{"sameSite": "none", "secure": false}' }),
+			'visitorId',
+			1
+		);
+		expect(options).toMatchObject({ sameSite: 'None', secure: true });
+		expect(createCookie('optimizely_visitor_id', 'visitor-1', options)).toContain('; Secure; HttpOnly; SameSite=None');
+	});
+});
+
+describe('createCookie', () => {
+	it('serializes the value and every option of the cookie', () => {
+		const expires = new Date('2026-01-02T00:00:00Z');
+		expect(
+			createCookie('optimizely_visitor_id', 'visitor 1;', {
+				expires,
+				maxAge: 86400,
+				domain: '.example.com',
+				path: '/',
+				secure: true,
+				httpOnly: true,
+				sameSite: 'Lax',
+			})
+		).toBe(
+			'optimizely_visitor_id=visitor%201%3B; Expires=Fri, 02 Jan 2026 00:00:00 GMT; Max-Age=86400; Domain=.example.com; Path=/; Secure; HttpOnly; SameSite=Lax'
+		);
+	});
+
+	it('keeps a max-age of 0, which deletes the cookie, and leaves out the unset options', () => {
+		expect(createCookie('optimizely_decisions', '', { maxAge: 0, domain: null, secure: false, sameSite: 'Lax' })).toBe(
+			'optimizely_decisions=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax'
+		);
+	});
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import {
+	getCookieSigningSecrets,
+	hasCookieSignature,
+	signCookieValue,
+	verifySignedCookieValue,
+} from '../src/_helpers_/cookieSigning';
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+describe('signCookieValue and verifySignedCookieValue', () => {
+	it('returns the original value of a cookie signed with an accepted secret', async () => {
+		const signedValue = await signCookieValue('v2.AQID', 'primary');
+		expect(signedValue).toMatch(/^v2\.AQID\.[0-9a-f]{64}$/);
+		expect(hasCookieSignature(signedValue)).toBe(true);
+		expect(await verifySignedCookieValue(signedValue, ['primary'])).toBe('v2.AQID');
+		expect(await verifySignedCookieValue(signedValue, ['rotated', 'primary'])).toBe('v2.AQID');
+	});
+
+	it('rejects a cookie that was edited, signed with another secret or not signed', async () => {
+		const signedValue = await signCookieValue('v2.AQID', 'primary');
+		expect(await verifySignedCookieValue(signedValue.replace('AQID', 'AQIE'), ['primary'])).toBeNull();
+		expect(await verifySignedCookieValue(signedValue, ['rotated'])).toBeNull();
+		expect(await verifySignedCookieValue('v2.AQID', ['primary'])).toBeNull();
+		expect(await verifySignedCookieValue(undefined, ['primary'])).toBeNull();
+		expect(hasCookieSignature('flag:variation:rule')).toBe(false);
+	});
+});
+
+describe('getCookieSigningSecrets', () => {
+	it('returns the primary secret first and ignores the secrets that are not set', async () => {
+		const secrets = await getCookieSigningSecrets(
+			abstractionHelper({ COOKIE_SIGNING_SECRET: ' primary ', COOKIE_SIGNING_SECRET_SECONDARY: 'secondary' })
+		);
+		expect(secrets).toEqual(['primary', 'secondary']);
+		expect(await getCookieSigningSecrets(abstractionHelper({ COOKIE_SIGNING_SECRET_SECONDARY: '' }))).toEqual([]);
+	});
+});
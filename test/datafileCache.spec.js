@@ -0,0 +1,100 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getCachedDatafile } from '../src/_helpers_/datafileCache';
+
+const cacheOptions = { ttlSeconds: 60, maxStaleSeconds: 3600 };
+
+/**
+ * Builds a datafile fetcher that serves the revisions in order and counts its calls.
+ * @param {Array<string|Error>} revisions - The revisions served by each call, or the error it throws.
+ * @returns {Function} The fetcher, with the number of calls in calls.
+ */
+function buildFetcher(revisions) {
+	const fetchDatafile = async () => {
+		const revision = revisions[Math.min(fetchDatafile.calls, revisions.length - 1)];
+		fetchDatafile.calls++;
+		if (revision instanceof Error) throw revision;
+		return { datafile: { revision }, revision };
+	};
+	fetchDatafile.calls = 0;
+	return fetchDatafile;
+}
+
+describe('getCachedDatafile', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('serves a fresh datafile from the cache until the TTL expires', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const fetchDatafile = buildFetcher(['1', '2']);
+
+		expect(await getCachedDatafile('ttl', fetchDatafile, cacheOptions)).toMatchObject({
+			revision: '1',
+			status: 'miss',
+		});
+		vi.advanceTimersByTime(59000);
+		expect(await getCachedDatafile('ttl', fetchDatafile, cacheOptions)).toMatchObject({
+			revision: '1',
+			status: 'fresh',
+		});
+		expect(fetchDatafile.calls).toBe(1);
+	});
+
+	it('serves a stale datafile while it is refreshed in the background, then the new revision', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const fetchDatafile = buildFetcher(['1', '2']);
+		const background = [];
+		const options = { ...cacheOptions, waitUntil: (promise) => background.push(promise) };
+
+		await getCachedDatafile('stale', fetchDatafile, options);
+		vi.advanceTimersByTime(61000);
+		expect(await getCachedDatafile('stale', fetchDatafile, options)).toMatchObject({
+			revision: '1',
+			status: 'stale',
+		});
+		expect(background).toHaveLength(1);
+		await Promise.all(background);
+		expect(await getCachedDatafile('stale', fetchDatafile, options)).toMatchObject({
+			revision: '2',
+			status: 'fresh',
+		});
+	});
+
+	it('refreshes a datafile older than the maximum staleness before serving it', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const fetchDatafile = buildFetcher(['1', '2']);
+
+		await getCachedDatafile('expired', fetchDatafile, cacheOptions);
+		vi.advanceTimersByTime((60 + 3600) * 1000);
+		expect(await getCachedDatafile('expired', fetchDatafile, cacheOptions)).toMatchObject({
+			revision: '2',
+			status: 'refreshed',
+		});
+	});
+
+	it('keeps serving the last-known-good datafile when a refresh fails', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const fetchDatafile = buildFetcher(['1', new Error('CDN unavailable')]);
+
+		await getCachedDatafile('fallback', fetchDatafile, cacheOptions);
+		vi.advanceTimersByTime((60 + 3600) * 1000);
+		expect(await getCachedDatafile('fallback', fetchDatafile, cacheOptions)).toMatchObject({
+			revision: '1',
+			status: 'refreshed',
+		});
+		await expect(
+			getCachedDatafile('uncached', buildFetcher([new Error('CDN unavailable')]), cacheOptions)
+		).rejects.toThrow('CDN unavailable');
+	});
+
+	it('fetches a datafile that is not cached once for concurrent requests', async () => {
+		const fetchDatafile = buildFetcher(['1']);
+		const results = await Promise.all([
+			getCachedDatafile('cold', fetchDatafile, cacheOptions),
+			getCachedDatafile('cold', fetchDatafile, cacheOptions),
+			getCachedDatafile('cold', fetchDatafile, cacheOptions),
+		]);
+		expect(results.map((result) => result.revision)).toEqual(['1', '1', '1']);
+		expect(fetchDatafile.calls).toBe(1);
+	});
+});
@@ -0,0 +1,108 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+	getCurrentDatafile,
+	getDatafileRevision,
+	listDatafileRevisions,
+	rollbackDatafile,
+	storeDatafileRevision,
+} from '../src/_helpers_/datafileRevisions';
+import defaultSettings from '../src/_config_/defaultSettings';
+
+const maxRevisions = defaultSettings.datafileMaxRevisions;
+
+/**
+ * Builds a KV store backed by a map.
+ * @param {Object} [values] - The initial values, by key.
+ * @returns {Object} The KV store.
+ */
+function buildKvStore(values = {}) {
+	return {
+		values,
+		get: async (key) => (key in values ? values[key] : null),
+		put: async (key, value) => {
+			values[key] = value;
+		},
+		delete: async (key) => {
+			delete values[key];
+		},
+	};
+}
+
+/**
+ * Stores datafiles with the given revisions, oldest first.
+ * @param {Object} kvStore - The KV store.
+ * @param {string[]} revisions - The revisions of the datafiles.
+ * @returns {Promise<Object[]>} The stored revisions, oldest first.
+ */
+async function storeRevisions(kvStore, revisions) {
+	const entries = [];
+	for (const revision of revisions) {
+		entries.push(await storeDatafileRevision(kvStore, 'sdkKey', JSON.stringify({ revision }), 'api'));
+	}
+	return entries;
+}
+
+describe('storeDatafileRevision', () => {
+	afterEach(() => {
+		defaultSettings.datafileMaxRevisions = maxRevisions;
+	});
+
+	it('stores each datafile as a new current revision, newest first in the history', async () => {
+		const kvStore = buildKvStore();
+		const [first, second] = await storeRevisions(kvStore, ['1', '2']);
+
+		expect(first.id).not.toBe(second.id);
+		expect(second).toMatchObject({ revision: '2', source: 'api' });
+		const { current, revisions } = await listDatafileRevisions(kvStore, 'sdkKey');
+		expect(current).toEqual({ ...second, updatedAt: second.storedAt });
+		expect(revisions).toEqual([second, first]);
+		expect(await getCurrentDatafile(kvStore, 'sdkKey')).toBe('{"revision":"2"}');
+	});
+
+	it('trims the history to datafileMaxRevisions and deletes the content of the removed revisions', async () => {
+		defaultSettings.datafileMaxRevisions = 3;
+		const kvStore = buildKvStore();
+		const entries = await storeRevisions(kvStore, ['1', '2', '3', '4', '5']);
+
+		const { revisions } = await listDatafileRevisions(kvStore, 'sdkKey');
+		expect(revisions.map((entry) => entry.revision)).toEqual(['5', '4', '3']);
+		expect(await getDatafileRevision(kvStore, 'sdkKey', entries[0].id)).toBeNull();
+		expect(await getDatafileRevision(kvStore, 'sdkKey', entries[1].id)).toBeNull();
+		expect(await getDatafileRevision(kvStore, 'sdkKey', entries[2].id)).toBe('{"revision":"3"}');
+	});
+});
+
+describe('getCurrentDatafile', () => {
+	it('reads the datafile stored under the SDK key when no revision was stored', async () => {
+		const kvStore = buildKvStore({ sdkKey: '{"revision":"legacy"}' });
+		expect(await getCurrentDatafile(kvStore, 'sdkKey')).toBe('{"revision":"legacy"}');
+		expect(await getCurrentDatafile(buildKvStore(), 'sdkKey')).toBeNull();
+	});
+});
+
+describe('rollbackDatafile', () => {
+	it('rolls back to the revision before the current one by default, without changing the history', async () => {
+		const kvStore = buildKvStore();
+		const [first, second, third] = await storeRevisions(kvStore, ['1', '2', '3']);
+
+		const pointer = await rollbackDatafile(kvStore, 'sdkKey');
+		expect(pointer).toMatchObject({ id: second.id, revision: '2', rolledBackFrom: third.id });
+		expect(await getCurrentDatafile(kvStore, 'sdkKey')).toBe('{"revision":"2"}');
+		expect((await rollbackDatafile(kvStore, 'sdkKey')).id).toBe(first.id);
+		expect((await listDatafileRevisions(kvStore, 'sdkKey')).revisions).toEqual([third, second, first]);
+
+		// The oldest revision has no previous revision
+		expect(await rollbackDatafile(kvStore, 'sdkKey')).toBeNull();
+		expect(await getCurrentDatafile(kvStore, 'sdkKey')).toBe('{"revision":"1"}');
+	});
+
+	it('rolls back or forward to a given revision, and rejects an unknown one', async () => {
+		const kvStore = buildKvStore();
+		const [first, , third] = await storeRevisions(kvStore, ['1', '2', '3']);
+
+		expect((await rollbackDatafile(kvStore, 'sdkKey', first.id)).revision).toBe('1');
+		expect((await rollbackDatafile(kvStore, 'sdkKey', third.id)).revision).toBe('3');
+		expect(await rollbackDatafile(kvStore, 'sdkKey', 'unknown')).toBeNull();
+		expect(await getCurrentDatafile(kvStore, 'sdkKey')).toBe('{"revision":"3"}');
+	});
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { validateDatafile } from '../src/_helpers_/datafileValidator';
+
+/**
+ * Builds a valid version 4 datafile with one experiment, one rollout and one feature flag.
+ * @returns {Object} The datafile.
+ */
+function buildDatafile() {
+	const rule = (id) => ({
+		id,
+		key: `rule_${id}`,
+		status: 'Running',
+		layerId: `layer_${id}`,
+		audienceIds: [],
+		variations: [{ id: `${id}_on`, key: 'on' }],
+		trafficAllocation: [{ entityId: `${id}_on`, endOfRange: 10000 }],
+	});
+	return {
+		version: '4',
+		projectId: '100',
+		accountId: '200',
+		revision: '42',
+		experiments: [rule('exp_1')],
+		events: [{ id: 'event_1', key: 'purchase' }],
+		attributes: [{ id: 'attribute_1', key: 'plan' }],
+		audiences: [{ id: 'audience_1', name: 'Gold', conditions: '["and"]' }],
+		groups: [],
+		rollouts: [{ id: 'rollout_1', experiments: [rule('delivery_1')] }],
+		featureFlags: [
+			{
+				id: 'flag_1',
+				key: 'checkout',
+				rolloutId: 'rollout_1',
+				experimentIds: ['exp_1'],
+				variables: [{ id: 'variable_1', key: 'cdnVariationSettings', type: 'json', defaultValue: '{}' }],
+			},
+		],
+	};
+}
+
+describe('validateDatafile', () => {
+	it('accepts a valid datafile as a JSON string or an object, and returns it parsed', () => {
+		const datafile = buildDatafile();
+		expect(validateDatafile(datafile)).toEqual({ valid: true, errors: [], datafile });
+		expect(validateDatafile(JSON.stringify(datafile))).toEqual({ valid: true, errors: [], datafile });
+	});
+
+	it('rejects invalid or truncated JSON and values that are not objects', () => {
+		const truncated = validateDatafile(JSON.stringify(buildDatafile()).slice(0, 100));
+		expect(truncated.valid).toBe(false);
+		expect(truncated.datafile).toBeNull();
+		expect(truncated.errors[0].message).toMatch(/^is not valid JSON/);
+		expect(validateDatafile('[]').errors).toEqual([{ path: '', message: 'must be a JSON object' }]);
+	});
+
+	it('reports the path of every missing or invalid property', () => {
+		const datafile = buildDatafile();
+		datafile.version = '5';
+		delete datafile.revision;
+		datafile.experiments[0].trafficAllocation[0].endOfRange = '10000';
+		datafile.events = [null];
+		datafile.audiences[0].conditions = 1;
+		datafile.featureFlags[0].variables[0].defaultValue = {};
+
+		expect(validateDatafile(datafile).errors).toEqual([
+			{ path: 'version', message: 'is not supported, expected one of 2, 3, 4' },
+			{ path: 'revision', message: 'is required and must be a string' },
+			{ path: 'experiments[0].trafficAllocation[0].endOfRange', message: 'must be a number' },
+			{ path: 'events[0]', message: 'must be an object' },
+			{ path: 'audiences[0].conditions', message: 'is required and must be a string or an array' },
+			{ path: 'featureFlags[0].variables[0].defaultValue', message: 'must be a string' },
+		]);
+	});
+
+	it('reports feature flags referencing unknown experiments or rollouts', () => {
+		const datafile = buildDatafile();
+		datafile.featureFlags[0].rolloutId = 'rollout_2';
+		datafile.featureFlags[0].experimentIds = ['exp_1', 'exp_2'];
+
+		expect(validateDatafile(datafile).errors).toEqual([
+			{ path: 'featureFlags[0].rolloutId', message: 'references unknown rollout rollout_2' },
+			{ path: 'featureFlags[0].experimentIds[1]', message: 'references unknown experiment exp_2' },
+		]);
+	});
+
+	it('does not require feature flags and rollouts in datafiles before version 4', () => {
+		const datafile = buildDatafile();
+		datafile.version = '3';
+		delete datafile.featureFlags;
+		delete datafile.rollouts;
+		expect(validateDatafile(datafile).valid).toBe(true);
+	});
+});
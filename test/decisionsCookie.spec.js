@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import defaultSettings from '../src/_config_/defaultSettings';
+import {
+	buildDecisionIndex,
+	createDecisionsCookies,
+	decodeDecisions,
+	encodeDecisions,
+	isLegacyDecisions,
+	readDecisionsCookie,
+} from '../src/_helpers_/decisionsCookie';
+
+const datafile = {
+	experiments: [
+		{
+			id: '1001',
+			key: 'hero_test',
+			variations: [
+				{ id: '2001', key: 'control' },
+				{ id: '2002', key: 'treatment' },
+			],
+		},
+	],
+	groups: [{ experiments: [{ id: '1002', key: 'grouped_test', variations: [{ id: '2003', key: 'variation_é' }] }] }],
+	rollouts: [
+		{
+			id: '3001',
+			experiments: [{ id: '9999999999', key: 'default-rollout', variations: [{ id: '2004', key: 'on' }] }],
+		},
+	],
+	featureFlags: [
+		{ id: '4001', key: 'hero', experimentIds: ['1001'], rolloutId: '3001' },
+		{ id: '4002', key: 'grouped', experimentIds: ['1002'], rolloutId: '' },
+	],
+};
+const index = buildDecisionIndex(datafile);
+
+const decisions = [
+	{ flagKey: 'hero', ruleKey: 'hero_test', variationKey: 'treatment' },
+	{ flagKey: 'hero', ruleKey: 'default-rollout', variationKey: 'on' },
+	{ flagKey: 'grouped', ruleKey: 'grouped_test', variationKey: 'variation_é' },
+];
+
+/**
+ * Builds the Cookie header of a request from the Set-Cookie values of a response.
+ * @param {string[]} cookies - The Set-Cookie values.
+ * @returns {string} The Cookie header.
+ */
+const toCookieHeader = (cookies) => cookies.map((cookie) => cookie.split(';')[0]).join('; ');
+
+describe('encodeDecisions and decodeDecisions', () => {
+	it('round-trips the decisions of experiments, exclusion groups and rollouts', () => {
+		const value = encodeDecisions(decisions, index);
+		expect(value).toMatch(/^v2\.[A-Za-z0-9_-]+$/);
+		expect(decodeDecisions(value, index)).toEqual(decisions);
+	});
+
+	it('leaves out the decisions that are not in the datafile', () => {
+		const value = encodeDecisions([...decisions, { flagKey: 'removed', ruleKey: 'gone', variationKey: 'x' }], index);
+		expect(decodeDecisions(value, index)).toEqual(decisions);
+		expect(encodeDecisions([{ flagKey: 'removed', ruleKey: 'gone', variationKey: 'x' }], index)).toBeUndefined();
+	});
+
+	it('drops the decisions whose variation was removed from the datafile', () => {
+		const value = encodeDecisions(decisions, index);
+		const updatedIndex = buildDecisionIndex({
+			...datafile,
+			experiments: [{ ...datafile.experiments[0], variations: [{ id: '2001', key: 'control' }] }],
+		});
+		expect(decodeDecisions(value, updatedIndex)).toEqual(decisions.slice(1));
+	});
+
+	it('leaves out the last decisions when the value is longer than maxLength', () => {
+		const value = encodeDecisions(decisions, index, 12);
+		expect(value.length).toBeLessThanOrEqual(12);
+		expect(decodeDecisions(value, index)).toEqual(decisions.slice(0, 1));
+	});
+
+	it('decodes the legacy format', () => {
+		expect(isLegacyDecisions('hero:treatment:hero_test')).toBe(true);
+		expect(isLegacyDecisions(encodeDecisions(decisions, index))).toBe(false);
+		expect(decodeDecisions('hero:treatment:hero_test', index)).toEqual([decisions[0]]);
+	});
+
+	it('returns no decision for an empty or corrupted value', () => {
+		expect(decodeDecisions(undefined, index)).toEqual([]);
+		expect(decodeDecisions('v2.!!!', index)).toEqual([]);
+	});
+});
+
+describe('createDecisionsCookies and readDecisionsCookie', () => {
+	it('stores a short value in a single cookie', () => {
+		const value = encodeDecisions(decisions, index);
+		const cookies = createDecisionsCookies('optly_edge_decisions', value);
+		expect(cookies).toHaveLength(1);
+		expect(readDecisionsCookie(toCookieHeader(cookies), 'optly_edge_decisions')).toBe(value);
+	});
+
+	it('splits a long value across numbered cookies and joins them back', () => {
+		const value = `v2.${'a'.repeat(defaultSettings.decisionsCookieMaxLength * 2 + 10)}`;
+		const cookies = createDecisionsCookies('optly_edge_decisions', value);
+		expect(cookies).toHaveLength(4);
+		expect(cookies[0]).toMatch(/^optly_edge_decisions=split\.3;/);
+		expect(readDecisionsCookie(toCookieHeader(cookies), 'optly_edge_decisions')).toBe(value);
+	});
+
+	it('expires the numbered cookies of a previous, longer value', () => {
+		const cookies = createDecisionsCookies(
+			'optly_edge_decisions',
+			'v2.AQID',
+			'optly_edge_decisions_1=a; optly_edge_decisions_2=b'
+		);
+		expect(cookies).toHaveLength(3);
+		expect(cookies[1]).toMatch(/^optly_edge_decisions_1=;/);
+		expect(cookies[2]).toMatch(/^optly_edge_decisions_2=;/);
+	});
+
+	it('ignores a split cookie with a missing chunk', () => {
+		expect(
+			readDecisionsCookie('optly_edge_decisions=split.2; optly_edge_decisions_1=a', 'optly_edge_decisions')
+		).toBeUndefined();
+	});
+});
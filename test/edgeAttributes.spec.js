@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { buildEdgeAttributes, getEdgeAttributeMapping, getRequestContext } from '../src/_helpers_/edgeAttributes';
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+const edgeContext = {
+	country: 'US',
+	region: 'CA',
+	city: 'San Francisco',
+	postalCode: '94107',
+	continent: 'NA',
+	latitude: '37.78',
+	longitude: '-122.39',
+	timezone: 'America/Los_Angeles',
+	asn: '13335',
+	asOrganization: 'Cloudflare',
+	deviceType: 'Mobile',
+	language: 'en-US',
+	referrerHost: 'www.google.com',
+};
+
+describe('getEdgeAttributeMapping and buildEdgeAttributes', () => {
+	it('only adds coarse attributes by default', async () => {
+		const mapping = await getEdgeAttributeMapping(abstractionHelper({}));
+		expect(buildEdgeAttributes(edgeContext, mapping)).toEqual({
+			country: 'US',
+			region: 'CA',
+			continent: 'NA',
+			timezone: 'America/Los_Angeles',
+			device_type: 'mobile',
+			language: 'en-US',
+			referrer_host: 'www.google.com',
+		});
+	});
+
+	it('adds the precise location and network of the visitor when they are opted in', async () => {
+		const mapping = await getEdgeAttributeMapping(
+			abstractionHelper({ OPTIMIZELY_EDGE_ATTRIBUTES: '{"city": "city", "latitude": "lat", "asn": "asn"}' })
+		);
+		expect(buildEdgeAttributes(edgeContext, mapping)).toEqual({ city: 'San Francisco', lat: 37.78, asn: 13335 });
+	});
+
+	it('disables the edge attributes with false', async () => {
+		expect(await getEdgeAttributeMapping(abstractionHelper({ OPTIMIZELY_EDGE_ATTRIBUTES: 'false' }))).toBeNull();
+	});
+});
+
+describe('getRequestContext', () => {
+	it('reads the preferred language and the referrer host', () => {
+		const headers = { 'Accept-Language': 'fr-CA,fr;q=0.9', Referer: 'https://www.google.com/search?q=edge' };
+		expect(getRequestContext((name) => headers[name])).toEqual({ language: 'fr-CA', referrerHost: 'www.google.com' });
+		expect(getRequestContext(() => null)).toEqual({ language: undefined, referrerHost: undefined });
+	});
+});
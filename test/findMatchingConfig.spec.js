@@ -0,0 +1,171 @@
+import { describe, expect, it } from 'vitest';
+import CoreLogic from '../src/coreLogic';
+
+const logger = { debug: () => {}, debugExt: () => {}, info: () => {}, error: () => {} };
+const abstractionHelper = { abstractRequest: { getNewURL: (url) => new URL(url) } };
+
+/**
+ * Builds a decision whose variation has the given cdnVariationSettings.
+ * @param {string} flagKey - The flag key.
+ * @param {Object} cdnVariationSettings - The cdnVariationSettings of the variation.
+ * @returns {Object} The decision.
+ */
+function decision(flagKey, cdnVariationSettings) {
+	return { flagKey, variationKey: 'on', ruleKey: `${flagKey}_rule`, variables: { cdnVariationSettings } };
+}
+
+/**
+ * Finds the configuration of the decisions matching a URL.
+ * @param {string} requestURL - The URL of the request.
+ * @param {Object[]} decisions - The decisions.
+ * @returns {Promise<Object|null>} The merged configuration, or null if no configuration matches.
+ */
+function findMatchingConfig(requestURL, decisions) {
+	const coreLogic = new CoreLogic({}, {}, {}, 'sdkKey', abstractionHelper, undefined, undefined, logger);
+	// The environment is set by processRequest
+	coreLogic.env = {};
+	return coreLogic.findMatchingConfig(requestURL, decisions);
+}
+
+describe('findMatchingConfig', () => {
+	it.each([
+		['an exact URL', 'https://www.example.com/page/1', undefined, 'https://www.example.com/page/1', {}],
+		[
+			'an exact URL, ignoring the protocol, extra slashes, the trailing slash and the query string',
+			'https://www.example.com/page/1',
+			undefined,
+			'http://www.example.com//page/1/?utm_source=mail',
+			{},
+		],
+		['an exact URL', 'https://www.example.com/page/1', undefined, 'https://www.example.com/page/12', null],
+		['a "*" wildcard', 'https://www.example.com/products/*', undefined, 'https://www.example.com/products/shoes', {}],
+		[
+			'a "*" wildcard, within one path segment only',
+			'https://www.example.com/products/*',
+			undefined,
+			'https://www.example.com/products/shoes/red',
+			null,
+		],
+		[
+			'a "**" wildcard, across path segments',
+			'https://www.example.com/products/**',
+			undefined,
+			'https://www.example.com/products/shoes/red',
+			{},
+		],
+		[
+			'a ":name" parameter',
+			'https://www.example.com/p/:sku/reviews',
+			undefined,
+			'https://www.example.com/p/A-100/reviews',
+			{ sku: 'A-100' },
+		],
+		[
+			'a "*" taken literally when the match type is exact',
+			'https://www.example.com/products/*',
+			'exact',
+			'https://www.example.com/products/shoes',
+			null,
+		],
+		[
+			'a regex with named groups',
+			'^https://www\\.example\\.com/blog/(?<year>\\d{4})/',
+			'regex',
+			'https://www.example.com/blog/2024/edge',
+			{ year: '2024' },
+		],
+		['a regex', '^https://www\\.example\\.com/blog/\\d{4}/', 'regex', 'https://www.example.com/blog/latest', null],
+		['an invalid regex', '^https://www.example.com/(blog', 'regex', 'https://www.example.com/(blog', null],
+	])('matches %s: %s against %s', async (description, cdnExperimentURL, urlMatchType, requestURL, urlParams) => {
+		const cdnConfig = await findMatchingConfig(requestURL, [decision('flag', { cdnExperimentURL, urlMatchType })]);
+		expect(cdnConfig && cdnConfig.urlParams).toEqual(urlParams);
+	});
+
+	it('replaces the parameters captured by the pattern in the cdnResponseURL', async () => {
+		const cdnConfig = await findMatchingConfig('https://www.example.com/p/A-100', [
+			decision('pdp', {
+				cdnExperimentURL: 'https://www.example.com/p/:sku',
+				cdnResponseURL: 'https://origin.example.com/variants/:sku/:missing',
+			}),
+		]);
+		expect(cdnConfig.cdnResponseURL).toBe('https://origin.example.com/variants/A-100/:missing');
+	});
+
+	it.each([
+		[
+			'an exact URL wins over a glob pattern, which wins over a regex',
+			[
+				decision('regex', { cdnExperimentURL: '^https://www\\.example\\.com/p/', urlMatchType: 'regex' }),
+				decision('glob', { cdnExperimentURL: 'https://www.example.com/p/*' }),
+				decision('exact', { cdnExperimentURL: 'https://www.example.com/p/shoes' }),
+			],
+			['exact', 'glob', 'regex'],
+		],
+		[
+			'the highest matchPriority wins over the match type',
+			[
+				decision('exact', { cdnExperimentURL: 'https://www.example.com/p/shoes' }),
+				decision('glob', { cdnExperimentURL: 'https://www.example.com/p/*', matchPriority: '10' }),
+			],
+			['glob', 'exact'],
+		],
+		[
+			'the most specific glob pattern wins',
+			[
+				decision('any', { cdnExperimentURL: 'https://www.example.com/**' }),
+				decision('products', { cdnExperimentURL: 'https://www.example.com/p/*' }),
+			],
+			['products', 'any'],
+		],
+		[
+			'the order of the decisions breaks the remaining ties',
+			[
+				decision('first', { cdnExperimentURL: 'https://www.example.com/p/*' }),
+				decision('second', { cdnExperimentURL: 'https://www.example.com/p/*' }),
+			],
+			['first', 'second'],
+		],
+		[
+			'the most query parameters matched wins',
+			[
+				decision('any', { cdnExperimentURL: 'https://www.example.com/p/shoes' }),
+				decision('campaign', {
+					cdnExperimentURL: 'https://www.example.com/p/shoes',
+					requiredQueryParameters: { utm_campaign: ['summer', 'winter'] },
+				}),
+				decision('other', {
+					cdnExperimentURL: 'https://www.example.com/p/shoes',
+					requiredQueryParameters: { utm_campaign: 'spring' },
+				}),
+			],
+			['campaign', 'any'],
+		],
+	])('with overlapping matches, %s', async (description, decisions, flagKeys) => {
+		const cdnConfig = await findMatchingConfig('https://www.example.com/p/shoes?utm_campaign=summer', decisions);
+		expect(cdnConfig.flagKey).toBe(flagKeys[0]);
+		expect(cdnConfig.activeExperiments.map((experiment) => experiment.flagKey)).toEqual(flagKeys);
+	});
+
+	it('merges the configurations of every matching experiment, the highest precedence one winning conflicts', async () => {
+		const cdnConfig = await findMatchingConfig('https://www.example.com/p/shoes', [
+			decision('glob', {
+				cdnExperimentURL: 'https://www.example.com/p/*',
+				cdnResponseURL: 'https://origin.example.com/glob',
+				responseHeaders: { 'X-Test': 'glob', 'X-Glob': '1' },
+				forwardRequestToOrigin: 'true',
+				cacheRequestToOrigin: 'true',
+			}),
+			decision('exact', {
+				cdnExperimentURL: 'https://www.example.com/p/shoes',
+				responseHeaders: { 'X-Test': 'exact' },
+			}),
+		]);
+		expect(cdnConfig).toMatchObject({
+			flagKey: 'exact',
+			cdnResponseURL: 'https://origin.example.com/glob',
+			responseHeaders: { 'X-Test': 'exact', 'X-Glob': '1' },
+			forwardRequestToOrigin: true,
+			cacheRequestToOrigin: false,
+		});
+	});
+});
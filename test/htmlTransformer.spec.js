@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import HtmlTransformer from '../src/_html_rewriter_/htmlTransformer';
+import { applyOperation } from '../src/_html_rewriter_/variationChanges';
+
+/**
+ * Transforms HTML with rewriter operations, each applied to the elements matching its selector.
+ * @param {string} html - The HTML to transform.
+ * @param {Object[]} operations - The rewriter operations.
+ * @returns {Promise<string>} The transformed HTML.
+ */
+function transform(html, operations) {
+	const transformer = new HtmlTransformer();
+	for (const operation of operations) {
+		transformer.on(operation.selector, { element: (element) => applyOperation(element, operation) });
+	}
+	return transformer.transformHtml(html);
+}
+
+describe('HtmlTransformer', () => {
+	it('sets the text or the HTML content of the matching elements', async () => {
+		expect(
+			await transform('<h1>Welcome</h1><p>Old <b>offer</b></p>', [
+				{ selector: 'h1', type: 'text', value: 'Save <10%> & more' },
+				{ selector: 'p', type: 'html', value: 'New <em>offer</em>' },
+			])
+		).toBe('<h1>Save &lt;10%&gt; &amp; more</h1><p>New <em>offer</em></p>');
+	});
+
+	it('sets the attributes and appends to the style of the matching elements', async () => {
+		expect(
+			await transform('<a href="/old" class="cta" style="color: red">Buy</a><a>Help</a>', [
+				{ selector: 'a.cta', type: 'attribute', name: 'href', value: '/new?a="1"' },
+				{ selector: 'a.cta', type: 'style', value: 'font-weight: bold;' },
+				{ selector: 'a:nth-child(2)', type: 'attribute', name: 'title', value: 'Help' },
+			])
+		).toBe(
+			'<a href="/new?a=&quot;1&quot;" class="cta" style="color: red; font-weight: bold;">Buy</a><a title="Help">Help</a>'
+		);
+	});
+
+	it('inserts HTML around and inside the matching elements', async () => {
+		const operations = ['before', 'after', 'prepend', 'append'].map((position) => ({
+			selector: '#banner',
+			type: 'insert',
+			position,
+			value: `<i>${position}</i>`,
+		}));
+		expect(await transform('<div id="banner">Sale</div>', operations)).toBe(
+			'<i>before</i><div id="banner"><i>prepend</i>Sale<i>append</i></div><i>after</i>'
+		);
+	});
+
+	it('removes the matching elements with their content', async () => {
+		expect(
+			await transform('<ul><li class="ad">Ad <a href="/ad">link</a></li><li>Item</li></ul>', [
+				{ selector: '.ad', type: 'remove' },
+				{ selector: '.ad a', type: 'text', value: 'never applied' },
+			])
+		).toBe('<ul><li>Item</li></ul>');
+	});
+
+	it('matches descendant, child and attribute selectors', async () => {
+		const html =
+			'<main><section><p data-id="hero-1">A</p></section><p data-id="hero-2" lang="en-US">B</p><p>C</p></main>';
+		const matched = async (selector) => {
+			const tags = [];
+			const transformer = new HtmlTransformer().on(selector, {
+				element: (element) => tags.push(element.getAttribute('data-id')),
+			});
+			await transformer.transformHtml(html);
+			return tags;
+		};
+
+		expect(await matched('main p')).toEqual(['hero-1', 'hero-2', null]);
+		expect(await matched('main > p')).toEqual(['hero-2', null]);
+		expect(await matched('section p, p[lang|=en]')).toEqual(['hero-1', 'hero-2']);
+		expect(await matched('[data-id]')).toEqual(['hero-1', 'hero-2']);
+		expect(await matched('p[data-id="hero-2"]')).toEqual(['hero-2']);
+		expect(await matched('[data-id^=hero]')).toEqual(['hero-1', 'hero-2']);
+		expect(await matched('[data-id$="-1"]')).toEqual(['hero-1']);
+		expect(await matched('[data-id*=ro-]')).toEqual(['hero-1', 'hero-2']);
+		expect(await matched('p:first-of-type')).toEqual(['hero-1', 'hero-2']);
+		expect(() => new HtmlTransformer().on('p::before', {})).toThrow(SyntaxError);
+	});
+
+	it('handles void and self-closing elements, which have no content', async () => {
+		expect(
+			await transform('<p>Logo<img src="/a.png"><br/>Text<svg><path d="M0" /></svg></p>', [
+				{ selector: 'img', type: 'attribute', name: 'src', value: '/b.png' },
+				{ selector: 'img', type: 'insert', position: 'after', value: '<span>new</span>' },
+				{ selector: 'path', type: 'attribute', name: 'fill', value: 'red' },
+				{ selector: 'p', type: 'insert', position: 'append', value: '!' },
+			])
+		).toBe('<p>Logo<img src="/b.png"><span>new</span><br/>Text<svg><path d="M0" fill="red" /></svg>!</p>');
+	});
+
+	it('leaves the content of scripts, styles and comments untouched', async () => {
+		const html =
+			'<head><style>p > b { color: red; }</style><script>if (a < b) document.write("<p>x</p>");</script></head>' +
+			'<body><!-- <p>commented</p> --><p>shown</p></body>';
+		expect(await transform(html, [{ selector: 'p', type: 'text', value: 'changed' }])).toBe(
+			html.replace('<p>shown</p>', '<p>changed</p>')
+		);
+	});
+});
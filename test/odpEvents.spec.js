@@ -0,0 +1,189 @@
+import { describe, expect, it } from 'vitest';
+import OptimizelyProvider from '../src/_optimizely_/optimizelyProvider';
+import OdpEventDispatcher from '../src/_helpers_/odpEventDispatcher';
+import RequestConfig from '../src/_config_/requestConfig';
+import requestSchema from '../src/_config_/requestSchema';
+import defaultSettings from '../src/_config_/defaultSettings';
+import { validateRequestInputs } from '../src/_helpers_/requestValidator';
+
+const abstractionHelper = {
+	abstractRequest: { method: 'POST', getHeader: () => null },
+	abstractContext: {},
+	getEnvVariableValue: (name) => {
+		throw new Error(`Environment variable ${name} not found`);
+	},
+};
+const odpIntegration = { key: 'odp', host: 'https://api.zaius.com', publicKey: 'W4WzcEs-ABgXorzY7h1LCQ' };
+
+/**
+ * Builds an OptimizelyProvider whose datafile has the given integrations, and whose CDN adapter queues the ODP events
+ * on an OdpEventDispatcher that records the requests instead of sending them.
+ * @param {Object[]} integrations - The integrations of the datafile.
+ * @returns {OptimizelyProvider} The provider, with the requests sent in requests and the promises in background.
+ */
+function buildProvider(integrations = [odpIntegration]) {
+	const provider = new OptimizelyProvider({}, {}, {}, {}, abstractionHelper);
+	provider.visitorId = 'visitor-1';
+	provider.optimizelyClient = {
+		getOptimizelyConfig: () => ({ getDatafile: () => JSON.stringify({ integrations }) }),
+	};
+	provider.requests = [];
+	provider.background = [];
+	provider.setCdnAdapter({
+		odpEventDispatcher: new OdpEventDispatcher({
+			fetch: async (url, options) => {
+				provider.requests.push({ url, ...options });
+				return { ok: true, status: 202 };
+			},
+			waitUntil: (promise) => provider.background.push(promise),
+		}),
+	});
+	return provider;
+}
+
+describe('validateOdpEvent', () => {
+	const provider = buildProvider();
+
+	it('accepts an event with an action and string identifiers', () => {
+		expect(provider.validateOdpEvent({ action: 'purchase' })).toEqual([]);
+		expect(
+			provider.validateOdpEvent({
+				type: 'commerce',
+				action: 'purchase',
+				identifiers: { email: 'user@example.com' },
+				data: { sku: 'A-100', price: 42, gift: false, coupon: null },
+			})
+		).toEqual([]);
+	});
+
+	it('reports every invalid field of an event', () => {
+		expect(provider.validateOdpEvent(['purchase'])).toEqual(['ODP event must be an object.']);
+		expect(provider.validateOdpEvent({ type: '', identifiers: { email: '' }, data: { items: ['A-100'] } })).toEqual([
+			'ODP event type must be a non-empty string.',
+			'ODP event action is required and must be a non-empty string.',
+			'ODP event identifier values must be non-empty strings.',
+			'ODP event data values must be strings, numbers, booleans or null.',
+		]);
+		expect(provider.validateOdpEvent({ action: 'purchase', identifiers: {} })).toEqual([
+			'ODP event identifiers must be a non-empty object.',
+		]);
+	});
+});
+
+describe('buildOdpEvent', () => {
+	it('identifies the visitor of the request and adds the data source fields', async () => {
+		const odpEvent = await buildProvider().buildOdpEvent({ action: 'purchase', data: { sku: 'A-100' } });
+		expect(odpEvent).toEqual({
+			type: 'fullstack',
+			action: 'purchase',
+			identifiers: { fs_user_id: 'visitor-1' },
+			data: {
+				idempotence_id: expect.any(String),
+				data_source_type: 'sdk',
+				data_source: defaultSettings.optlyClientEngine,
+				data_source_version: defaultSettings.optlyClientEngineVersion,
+				sku: 'A-100',
+			},
+		});
+	});
+
+	it('keeps the identifiers and type of the event', async () => {
+		const odpEvent = await buildProvider().buildOdpEvent({
+			type: 'commerce',
+			action: 'purchase',
+			identifiers: { email: 'user@example.com' },
+		});
+		expect(odpEvent).toMatchObject({ type: 'commerce', identifiers: { email: 'user@example.com' } });
+	});
+});
+
+describe('sendOdpEvent', () => {
+	it('queues the events and sends them in a single batch in the background', async () => {
+		const provider = buildProvider();
+		const result = await provider.sendOdpEvent([{ action: 'purchase' }, { action: 'refund' }]);
+		expect(result).toEqual({ success: true, eventsQueued: 2 });
+		expect(provider.requests).toEqual([]);
+
+		provider.cdnAdapter.odpEventDispatcher.dispatch(defaultSettings.odpEventsPath);
+		await Promise.all(provider.background);
+		expect(provider.requests).toHaveLength(1);
+		expect(provider.requests[0]).toMatchObject({
+			url: `${odpIntegration.host}${defaultSettings.odpEventsPath}`,
+			method: 'POST',
+			headers: { 'x-api-key': odpIntegration.publicKey },
+		});
+		expect(JSON.parse(provider.requests[0].body).map((odpEvent) => odpEvent.action)).toEqual(['purchase', 'refund']);
+	});
+
+	it('queues no event when one of them is invalid', async () => {
+		const provider = buildProvider();
+		const result = await provider.sendOdpEvent([{ action: 'purchase' }, { type: 'commerce' }]);
+		expect(result).toEqual({
+			success: false,
+			errors: [{ index: 1, errors: ['ODP event action is required and must be a non-empty string.'] }],
+		});
+		expect(provider.cdnAdapter.odpEventDispatcher.events).toEqual([]);
+	});
+
+	it('rejects missing events and more events than allowed per request', async () => {
+		const provider = buildProvider();
+		expect((await provider.sendOdpEvent(undefined)).errors[0].errors).toEqual([
+			'The body must be an ODP event with an action, or contain an events array.',
+		]);
+		expect((await provider.sendOdpEvent([])).errors[0].errors).toEqual(['At least one ODP event is required.']);
+		const odpEvents = Array.from({ length: defaultSettings.odpMaxEventsPerRequest + 1 }, () => ({ action: 'view' }));
+		expect((await provider.sendOdpEvent(odpEvents)).errors[0].errors).toEqual([
+			`A maximum of ${defaultSettings.odpMaxEventsPerRequest} ODP events is allowed per request.`,
+		]);
+	});
+
+	it('rejects the events with a 422 status when ODP is not integrated', async () => {
+		expect(await buildProvider([]).sendOdpEvent([{ action: 'purchase' }])).toEqual({
+			success: false,
+			status: 422,
+			message: 'ODP is not integrated.',
+			errors: [],
+		});
+	});
+});
+
+describe('ODP events of the request body', () => {
+	/**
+	 * Reads the ODP events of a request body.
+	 * @param {Object} body - The JSON body of the request.
+	 * @returns {Promise<Object[]|undefined>} The ODP events.
+	 */
+	async function readOdpEvents(body) {
+		const requestConfig = Object.assign(Object.create(RequestConfig.prototype), {
+			body,
+			settings: {},
+			flagKeys: [],
+			configMetadata: {},
+		});
+		await requestConfig.initializeFromBody();
+		return requestConfig.odpEvents;
+	}
+
+	it('reads an events array or a body that is itself an event', async () => {
+		expect(await readOdpEvents({ events: [{ action: 'purchase' }] })).toEqual([{ action: 'purchase' }]);
+		expect(await readOdpEvents({ action: 'purchase' })).toEqual([{ action: 'purchase' }]);
+	});
+
+	it('reads no event from any other body', async () => {
+		expect(await readOdpEvents({ evnts: [{ action: 'purchase' }] })).toBeUndefined();
+		expect(await readOdpEvents({ events: {}, action: 'purchase' })).toBeUndefined();
+	});
+
+	it('rejects an events value that is not an array', () => {
+		const request = {
+			getHeader: () => null,
+			getQueryParameter: () => null,
+			body: { events: {} },
+			headerNames: {},
+			queryParameterNames: {},
+		};
+		expect(validateRequestInputs(requestSchema, request, '/v1/send-odp-event')).toEqual([
+			{ field: 'events', source: 'body', name: 'events', message: 'must be an array' },
+		]);
+	});
+});
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import OptimizelyClientPool from '../src/_optimizely_/optimizelyClientPool';
+
+/**
+ * Lists the pool keys of the clients of a pool, from the least to the most recently used.
+ * @param {OptimizelyClientPool} pool - The pool.
+ * @returns {string[]} The pool keys.
+ */
+function pooledKeys(pool) {
+	return [...pool.entries.keys()];
+}
+
+describe('OptimizelyClientPool', () => {
+	it('evicts the least recently used client when the pool is full', () => {
+		const pool = new OptimizelyClientPool(2);
+		pool.add('sdkA', '1', 'clientA');
+		pool.add('sdkB', '1', 'clientB');
+		expect(pool.get('sdkA', '1').client).toBe('clientA');
+
+		pool.add('sdkC', '1', 'clientC');
+		expect(pooledKeys(pool)).toEqual(['sdkA:1', 'sdkC:1']);
+		expect(pool.get('sdkB', '1')).toBeUndefined();
+	});
+
+	it('replaces the clients of the previous revisions of an SDK key, keeping its user profile service', () => {
+		const pool = new OptimizelyClientPool(3);
+		const userProfileService = { lookup: () => null };
+		pool.add('sdkA', '1', 'clientA1', userProfileService);
+		pool.add('sdkB', '1', 'clientB1', null);
+
+		expect(pool.getUserProfileService('sdkA')).toBe(userProfileService);
+		pool.add('sdkA', '2', 'clientA2', pool.getUserProfileService('sdkA'));
+		expect(pooledKeys(pool)).toEqual(['sdkB:1', 'sdkA:2']);
+		expect(pool.get('sdkA', '1')).toBeUndefined();
+		expect(pool.get('sdkA', '2')).toEqual({ sdkKey: 'sdkA', revision: '2', client: 'clientA2', userProfileService });
+		expect(pool.getUserProfileService('sdkB')).toBeUndefined();
+	});
+
+	it('keeps at least one client', () => {
+		const pool = new OptimizelyClientPool(0);
+		pool.add('sdkA', '1', 'clientA');
+		pool.add('sdkB', '1', 'clientB');
+		expect(pooledKeys(pool)).toEqual(['sdkB:1']);
+	});
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import requestSchema from '../src/_config_/requestSchema';
+import { checkInputValue, parseInputValue, validateRequestInputs } from '../src/_helpers_/requestValidator';
+
+const headerNames = {
+	sdkKeyHeader: 'X-Optimizely-SDK-Key',
+	attributesHeader: 'X-Optimizely-Attributes-Header',
+	decideOptionsHeader: 'X-Optimizely-Decide-Options',
+	enableRespMetadataHeader: 'X-Optimizely-Enable-Response-Metadata',
+};
+const queryParameterNames = { sdkKey: 'sdkKey', keys: 'keys', eventKey: 'eventKey', decideAll: 'decideAll' };
+
+/**
+ * Builds the request inputs of validateRequestInputs.
+ * @param {Object} [options] - { headers, query, body }, the headers and query parameters of the request, and its body.
+ * @returns {Object} The request inputs.
+ */
+function buildRequest({ headers = {}, query = {}, body } = {}) {
+	return {
+		getHeader: (name) => (name in headers ? headers[name] : null),
+		getQueryParameter: (name) => (name in query ? query[name] : null),
+		body,
+		headerNames,
+		queryParameterNames,
+	};
+}
+
+describe('checkInputValue', () => {
+	it('checks the type of a value and of the items of an array', () => {
+		expect(checkInputValue('key', 'string')).toBeUndefined();
+		expect(checkInputValue(['a', 'b'], 'array', 'string')).toBeUndefined();
+		expect(checkInputValue(1, 'string')).toBe('must be a string');
+		expect(checkInputValue([], 'object')).toBe('must be an object');
+		expect(checkInputValue(['a', 2], 'array', 'string')).toBe(
+			'must be an array of strings, the item at index 1 is not a string'
+		);
+	});
+});
+
+describe('parseInputValue', () => {
+	it('parses booleans and JSON values', () => {
+		expect(parseInputValue(' TRUE ', 'boolean')).toEqual({ value: true });
+		expect(parseInputValue('{"plan":"gold"}', 'object')).toEqual({ value: { plan: 'gold' } });
+		expect(parseInputValue('key', 'string')).toEqual({ value: 'key' });
+	});
+
+	it('reports values that cannot be parsed', () => {
+		expect(parseInputValue('yes', 'boolean')).toEqual({ error: 'must be "true" or "false"' });
+		expect(parseInputValue('{plan}', 'object').error).toMatch(/^must be valid JSON: /);
+		expect(parseInputValue('["a"]', 'object')).toEqual({ error: 'must be a JSON object' });
+	});
+});
+
+describe('validateRequestInputs', () => {
+	it('accepts valid inputs from every source', () => {
+		const request = buildRequest({
+			headers: {
+				'X-Optimizely-Attributes-Header': '{"plan":"gold"}',
+				'X-Optimizely-Decide-Options': '["INCLUDE_REASONS"]',
+			},
+			query: { keys: 'flag_a', decideAll: 'false' },
+			body: { sdkKey: 'sdk-key', flagKeys: ['flag_a'], attributes: { plan: 'gold' } },
+		});
+		expect(validateRequestInputs(requestSchema, request, '/v1/decide')).toEqual([]);
+	});
+
+	it('reports each invalid input with its field, source and name', () => {
+		const request = buildRequest({
+			headers: { 'X-Optimizely-Attributes-Header': 'plan=gold', 'X-Optimizely-Enable-Response-Metadata': 'maybe' },
+			query: { decideAll: '1' },
+			body: { visitorId: 42, flagKeys: ['flag_a', 7] },
+		});
+		expect(validateRequestInputs(requestSchema, request, '/v1/decide')).toEqual([
+			{ field: 'visitorId', source: 'body', name: 'visitorId', message: 'must be a string' },
+			{
+				field: 'flagKeys',
+				source: 'body',
+				name: 'flagKeys',
+				message: 'must be an array of strings, the item at index 1 is not a string',
+			},
+			{
+				field: 'attributes',
+				source: 'header',
+				name: 'X-Optimizely-Attributes-Header',
+				message: expect.stringMatching(/^must be valid JSON: /),
+			},
+			{
+				field: 'enableResponseMetadata',
+				source: 'header',
+				name: 'X-Optimizely-Enable-Response-Metadata',
+				message: 'must be "true" or "false"',
+			},
+			{ field: 'decideAll', source: 'query', name: 'decideAll', message: 'must be "true" or "false"' },
+		]);
+	});
+
+	it('reports the inputs required by the endpoint', () => {
+		expect(validateRequestInputs(requestSchema, buildRequest({ body: {} }), '/v1/track')).toEqual([
+			{ field: 'eventKey', source: 'request', name: 'eventKey', message: 'is required for /v1/track' },
+		]);
+		expect(
+			validateRequestInputs(requestSchema, buildRequest({ query: { eventKey: 'purchase' } }), '/v1/track')
+		).toEqual([]);
+	});
+
+	it('reports a body that is not a JSON object', () => {
+		expect(validateRequestInputs(requestSchema, buildRequest({ body: ['operations'] }), '/v1/decide')).toEqual([
+			{ field: 'body', source: 'body', name: 'body', message: 'must be a JSON object' },
+		]);
+	});
+});
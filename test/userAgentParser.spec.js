@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { buildUserAgentAttributes, parseUserAgent } from '../src/_helpers_/userAgentParser';
+
+const USER_AGENTS = {
+	chromeWindows:
+		'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+	edgeWindows:
+		'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.2478.51',
+	safariIphone:
+		'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+	chromeAndroidTablet:
+		'Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+	firefoxMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.4; rv:125.0) Gecko/20100101 Firefox/125.0',
+	googlebot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+	bingbot: 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)',
+};
+
+describe('parseUserAgent', () => {
+	it('recognizes the browser, operating system and device type', () => {
+		expect(parseUserAgent(USER_AGENTS.chromeWindows)).toEqual({
+			deviceType: 'desktop',
+			browser: 'Chrome',
+			browserVersion: '124.0.0.0',
+			os: 'Windows',
+			isBot: false,
+		});
+		expect(parseUserAgent(USER_AGENTS.edgeWindows)).toMatchObject({ browser: 'Edge', browserVersion: '124.0.2478.51' });
+		expect(parseUserAgent(USER_AGENTS.safariIphone)).toMatchObject({
+			deviceType: 'mobile',
+			browser: 'Safari',
+			os: 'iOS',
+		});
+		expect(parseUserAgent(USER_AGENTS.chromeAndroidTablet)).toMatchObject({ deviceType: 'tablet', os: 'Android' });
+		expect(parseUserAgent(USER_AGENTS.firefoxMac)).toMatchObject({ browser: 'Firefox', os: 'macOS' });
+	});
+
+	it('flags crawlers as bots', () => {
+		expect(parseUserAgent(USER_AGENTS.googlebot).isBot).toBe(true);
+		expect(parseUserAgent(USER_AGENTS.bingbot).isBot).toBe(true);
+	});
+
+	it('returns no attribute for a missing User-Agent header', () => {
+		expect(parseUserAgent(undefined)).toEqual({
+			deviceType: undefined,
+			browser: undefined,
+			browserVersion: undefined,
+			os: undefined,
+			isBot: false,
+		});
+	});
+});
+
+describe('buildUserAgentAttributes', () => {
+	it('maps the recognized values to their attribute keys', () => {
+		const parsedUserAgent = parseUserAgent(USER_AGENTS.googlebot);
+		expect(buildUserAgentAttributes(parsedUserAgent, { browser: 'browser', isBot: 'is_bot', os: false })).toEqual({
+			is_bot: true,
+		});
+	});
+});
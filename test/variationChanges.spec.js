@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeVariationChanges } from '../src/_html_rewriter_/variationChanges';
+
+describe('normalizeVariationChanges', () => {
+	it('converts attribute changes to one operation per attribute, and the css to a style operation', () => {
+		expect(
+			normalizeVariationChanges([
+				{
+					type: 'attribute',
+					selector: '.hero',
+					attributes: { text: 'Hello', html: '<b>Hi</b>', href: '/sale', hide: true, remove: false },
+					css: { 'background-color': 'red', 'font-size': '12px' },
+				},
+				{ type: 'attribute', selector: '.ad', attributes: { remove: true, hide: false } },
+			])
+		).toEqual([
+			{ selector: '.hero', type: 'text', value: 'Hello' },
+			{ selector: '.hero', type: 'html', value: '<b>Hi</b>' },
+			{ selector: '.hero', type: 'attribute', name: 'href', value: '/sale' },
+			{ selector: '.hero', type: 'style', value: 'display: none !important;' },
+			{ selector: '.hero', type: 'style', value: 'background-color: red; font-size: 12px;' },
+			{ selector: '.ad', type: 'remove' },
+		]);
+	});
+
+	it('converts insert_html changes, appending by default, and custom_css to a style element in the head', () => {
+		expect(
+			normalizeVariationChanges([
+				{ type: 'insert_html', selector: 'main', operator: 'before', value: '<p>Top</p>' },
+				{ type: 'insert_html', selector: 'main', value: '<p>Bottom</p>' },
+				{ type: 'custom_css', value: 'body { color: red; }' },
+			])
+		).toEqual([
+			{ selector: 'main', type: 'insert', position: 'before', value: '<p>Top</p>' },
+			{ selector: 'main', type: 'insert', position: 'append', value: '<p>Bottom</p>' },
+			{ selector: 'head', type: 'insert', position: 'append', value: '<style>body { color: red; }</style>' },
+		]);
+	});
+
+	it('ignores the changes that cannot be applied at the edge or are incomplete', () => {
+		expect(
+			normalizeVariationChanges([
+				null,
+				{ type: 'custom_code', value: 'alert(1)' },
+				{ type: 'redirect', destination: 'https://example.com' },
+				{ type: 'attribute', attributes: { text: 'No selector' } },
+				{ type: 'insert_html', selector: 'main', operator: 'replace', value: '<p>x</p>' },
+				{ type: 'custom_css', value: '' },
+			])
+		).toEqual([]);
+		expect(normalizeVariationChanges(undefined)).toEqual([]);
+	});
+});
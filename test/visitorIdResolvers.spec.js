@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import { getJwtClaim, getVisitorIdResolvers, hashValue, resolveVisitorId } from '../src/_helpers_/visitorIdResolvers';
+
+const abstractionHelper = (env) => ({
+	getEnvVariableValue: (name) => {
+		if (name in env) return env[name];
+		throw new Error(`Environment variable ${name} not found`);
+	},
+});
+
+/**
+ * Builds an unsigned JSON Web Token with the given payload.
+ * @param {Object} payload - The payload of the token.
+ * @returns {string} The token.
+ */
+function buildJwt(payload) {
+	const encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64url');
+	return `${encode({ alg: 'none' })}.${encode(payload)}.signature`;
+}
+
+/**
+ * Builds the context of the resolvers for a request.
+ * @param {Object} request - The visitor ID of the request, its cookies and headers, and the result of the
+ *   resolveVisitorId listeners, or null when no listener is registered.
+ * @returns {Object} The context.
+ */
+function buildContext({ visitorId, cookies = {}, headers = {}, listenerResult = null }) {
+	return {
+		request: {},
+		requestConfig: {
+			visitorId,
+			settings: { visitorIdCookieName: 'optimizely_visitor_id' },
+			getHeader: (name) => headers[name],
+		},
+		cdnAdapter: { getRequestCookie: (request, name) => cookies[name] },
+		eventListeners: {
+			isRegistered: (event) => event === 'resolveVisitorId' && listenerResult !== null,
+			trigger: async () => listenerResult,
+		},
+	};
+}
+
+describe('getVisitorIdResolvers', () => {
+	it('reads the chain of the environment variable, or the default chain', async () => {
+		expect(await getVisitorIdResolvers(abstractionHelper({}))).toEqual([
+			{ type: 'request' },
+			{ type: 'cookie' },
+			{ type: 'custom' },
+		]);
+		expect(
+			await getVisitorIdResolvers(
+				abstractionHelper({ OPTIMIZELY_VISITOR_ID_RESOLVERS: '[{"type": "jwt"}, {"type": "ldap"}, null]' })
+			)
+		).toEqual([{ type: 'jwt' }]);
+	});
+
+	it('falls back to the default chain when the environment variable is not a JSON array', async () => {
+		for (const value of ['{"type": "jwt"}', '[{"type": "jwt"']) {
+			expect(await getVisitorIdResolvers(abstractionHelper({ OPTIMIZELY_VISITOR_ID_RESOLVERS: value }))).toHaveLength(
+				3
+			);
+		}
+	});
+});
+
+describe('resolveVisitorId', () => {
+	const defaultResolvers = [{ type: 'request' }, { type: 'cookie' }, { type: 'custom' }];
+
+	it('falls back through the request, the cookie and the custom resolver, in order', async () => {
+		const cookies = { optimizely_visitor_id: 'cookie-1' };
+		const listenerResult = { visitorId: 'custom-1' };
+		expect(
+			await resolveVisitorId(defaultResolvers, buildContext({ visitorId: 'request-1', cookies, listenerResult }))
+		).toEqual(['request-1', 'request-visitor']);
+		expect(await resolveVisitorId(defaultResolvers, buildContext({ visitorId: ' ', cookies, listenerResult }))).toEqual(
+			['cookie-1', 'cookie-visitor']
+		);
+		expect(await resolveVisitorId(defaultResolvers, buildContext({ listenerResult }))).toEqual([
+			'custom-1',
+			'custom-visitor',
+		]);
+		expect(await resolveVisitorId(defaultResolvers, buildContext({}))).toEqual([]);
+	});
+
+	it('skips a resolver that fails', async () => {
+		const context = buildContext({ cookies: { optimizely_visitor_id: 'cookie-1' } });
+		context.requestConfig.getHeader = () => {
+			throw new Error('Headers unavailable');
+		};
+		expect(await resolveVisitorId([{ type: 'jwt', header: 'Authorization' }, { type: 'cookie' }], context)).toEqual([
+			'cookie-1',
+			'cookie-visitor',
+		]);
+	});
+
+	it('reads a JWT claim, a hashed header or another cookie, with the source of the resolver', async () => {
+		const context = buildContext({
+			cookies: { _ga: 'GA1.1.123' },
+			headers: { Authorization: `Bearer ${buildJwt({ sub: 'user-1', account: { id: 42 } })}`, 'X-Email': ' a@b.c ' },
+		});
+		expect(await resolveVisitorId([{ type: 'jwt', header: 'Authorization' }], context)).toEqual([
+			'user-1',
+			'jwt-visitor',
+		]);
+		expect(
+			await resolveVisitorId([{ type: 'jwt', header: 'Authorization', claim: 'account.id', from: 'account' }], context)
+		).toEqual(['42', 'account']);
+		expect(await resolveVisitorId([{ type: 'hashedHeader', header: 'X-Email', salt: 's' }], context)).toEqual([
+			await hashValue('a@b.c', 's'),
+			'hashed-header-visitor',
+		]);
+		expect(await resolveVisitorId([{ type: 'cookie', name: '_ga' }], context)).toEqual([
+			'GA1.1.123',
+			'cookie-visitor:_ga',
+		]);
+	});
+});
+
+describe('getJwtClaim', () => {
+	it('returns undefined for a malformed token or a claim that is not a string or a number', () => {
+		expect(getJwtClaim('not-a-token', 'sub')).toBeUndefined();
+		expect(getJwtClaim('a.b!.c', 'sub')).toBeUndefined();
+		expect(getJwtClaim(buildJwt({ sub: { id: 1 } }), 'sub')).toBeUndefined();
+	});
+});
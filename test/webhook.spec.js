@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest';
+import { handleDatafileWebhook, verifyWebhookSignature } from '../src/_api_/handlers/webhook';
+import defaultSettings from '../src/_config_/defaultSettings';
+import { computeHmac } from '../src/_helpers_/optimizelyHelper';
+
+const logger = { debug: () => {}, error: () => {} };
+const abstractionHelper = {
+	abstractRequest: {
+		getHttpMethodFromRequest: (request) => request.method,
+		getHeaderFromRequest: (request, name) => request.headers.get(name),
+	},
+	getEnvVariableValue: (name) => {
+		if (name === defaultSettings.webhookSecret) return 'old-secret,webhook-secret';
+		throw new Error(`Environment variable ${name} not found`);
+	},
+	createResponse: (body, status) => ({ body, status }),
+};
+
+/**
+ * Builds a KV store backed by a map.
+ * @param {Object} [values] - The initial values, by key.
+ * @returns {Object} The KV store.
+ */
+function buildKvStore(values = {}) {
+	return {
+		values,
+		get: async (key) => (key in values ? values[key] : null),
+		put: async (key, value) => {
+			values[key] = value;
+		},
+	};
+}
+
+/**
+ * Builds a webhook delivery signed with a secret.
+ * @param {Object} payload - The payload of the delivery.
+ * @param {string} [secret] - The webhook secret.
+ * @returns {Promise<Request>} The request.
+ */
+async function buildDelivery(payload, secret = 'webhook-secret') {
+	const body = JSON.stringify(payload);
+	return new Request('https://edge.example.com/v1/api/webhooks/datafile', {
+		method: 'POST',
+		body,
+		headers: { 'X-Hub-Signature': `sha1=${await computeHmac(secret, body, 'SHA-1')}` },
+	});
+}
+
+/**
+ * Builds the payload of a project.datafile_updated event.
+ * @param {string} cdnUrl - The URL of the datafile.
+ * @param {number} revision - The revision of the datafile.
+ * @returns {Object} The payload.
+ */
+function datafileUpdated(cdnUrl, revision) {
+	return {
+		event: 'project.datafile_updated',
+		data: { cdn_url: cdnUrl, environment: 'Production', revision },
+	};
+}
+
+describe('verifyWebhookSignature', () => {
+	it('accepts the sha1 signature of the body made with any of the secrets', async () => {
+		const signature = `sha1=${await computeHmac('old-secret', 'body', 'SHA-1')}`;
+		expect(await verifyWebhookSignature('body', signature, ['webhook-secret', 'old-secret'])).toBe(true);
+		expect(await verifyWebhookSignature('body!', signature, ['webhook-secret', 'old-secret'])).toBe(false);
+		expect(await verifyWebhookSignature('body', signature.replace('sha1=', 'sha256='), ['old-secret'])).toBe(false);
+		expect(await verifyWebhookSignature('body', undefined, ['old-secret'])).toBe(false);
+	});
+});
+
+describe('handleDatafileWebhook', () => {
+	const cdnUrl = 'https://cdn.optimizely.com/datafiles/SdkKey_1.json';
+
+	it('rejects a delivery with an invalid signature', async () => {
+		const kvStore = buildKvStore();
+		const request = await buildDelivery(datafileUpdated(cdnUrl, 10), 'other-secret');
+		expect(await handleDatafileWebhook(request, abstractionHelper, kvStore, logger, defaultSettings)).toEqual({
+			body: { message: 'Invalid X-Hub-Signature.' },
+			status: 401,
+		});
+		expect(kvStore.values).toEqual({});
+	});
+
+	it('acknowledges a replayed or out of order delivery without fetching the datafile', async () => {
+		const deliveryKey = `${defaultSettings.kv_key_optly_webhook_delivery}:SdkKey_1`;
+		const kvStore = buildKvStore({ [deliveryKey]: JSON.stringify({ revision: 10, environment: 'Production' }) });
+
+		for (const revision of [10, 9]) {
+			const request = await buildDelivery(datafileUpdated(cdnUrl, revision));
+			expect(await handleDatafileWebhook(request, abstractionHelper, kvStore, logger, defaultSettings)).toEqual({
+				body: {
+					message: `Datafile revision ${revision} was already processed.`,
+					status: 'duplicate',
+					sdkKey: 'SdkKey_1',
+					environment: 'Production',
+					revision: 10,
+				},
+				status: 200,
+			});
+		}
+	});
+
+	it('rejects a datafile URL that is not on the Optimizely CDN', async () => {
+		for (const url of [
+			'https://evil.example.com/datafiles/SdkKey_1.json',
+			'http://cdn.optimizely.com/datafiles/SdkKey_1.json',
+			'https://cdn.optimizely.com/datafiles/SdkKey_1.json?redirect=https://evil.example.com',
+			'https://cdn.optimizely.com.evil.example.com/datafiles/SdkKey_1.json',
+		]) {
+			const request = await buildDelivery(datafileUpdated(url, 11));
+			expect(await handleDatafileWebhook(request, abstractionHelper, buildKvStore(), logger, defaultSettings)).toEqual({
+				body: { message: 'The webhook payload has no valid cdn_url.' },
+				status: 400,
+			});
+		}
+	});
+
+	it('ignores the other events', async () => {
+		const request = await buildDelivery({ event: 'project.updated', data: {} });
+		expect(await handleDatafileWebhook(request, abstractionHelper, buildKvStore(), logger, defaultSettings)).toEqual({
+			body: { message: 'Event project.updated ignored.', status: 'ignored' },
+			status: 200,
+		});
+	});
+});